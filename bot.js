@@ -1,110 +1,115 @@
 require('dotenv').config();
 const { Telegraf } = require('telegraf');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const { getStorage, closeStorage } = require('./lib/storage');
 const proxies = require('./lib/proxies');
+const proxyHealth = require('./lib/proxy-health');
+const providers = require('./lib/providers');
+const watcher = require('./lib/watcher');
+const attachments = require('./lib/attachments');
+const { extractCodes } = require('./lib/otp');
+const { escapeHtml, renderMessageBody, paginateHtml } = require('./lib/render');
+const { createPager, paginateArray, createPagerCache } = require('./lib/pagination');
+const callbacks = require('./lib/callbacks');
+const forwarding = require('./lib/forwarding');
+const quotas = require('./lib/quotas');
+const { createScheduler } = require('./lib/scheduler');
+const apiKeys = require('./lib/api-keys');
+const expiry = require('./lib/expiry');
+const emailList = require('./lib/email-list');
+const archive = require('./lib/archive');
+const preferences = require('./lib/preferences');
+const dates = require('./lib/dates');
+const i18n = require('./lib/i18n');
+const axios = require('axios');
+const { createCheck, createHttpServer } = require('./lib/server');
 
-const bot = new Telegraf(process.env.BOT_TOKEN);
-const API_KEY = process.env.API_KEY;
-const API_BASE_URL = 'https://chat-tempmail.com/api';
+// Handlers use the results of their API calls, so webhook updates must not be answered in the HTTP reply
+const bot = new Telegraf(process.env.BOT_TOKEN, { telegram: { webhookReply: false } });
 const ADMIN_ID = parseInt(process.env.ADMIN_ID || '0');
+const WATCH_INTERVAL = parseInt(process.env.WATCH_INTERVAL || '60'); // Seconds between inbox polls, 0 disables
+const PROXY_CHECK_INTERVAL = parseInt(process.env.PROXY_CHECK_INTERVAL || '300'); // Seconds between proxy probes, 0 disables
+const EXPIRY_REMINDER = parseInt(process.env.EXPIRY_REMINDER || '3600'); // Seconds before an address expires to remind its owner, 0 disables
+const EXPIRY_CHECK_INTERVAL = (parseInt(process.env.EXPIRY_CHECK_INTERVAL || '300') || 300) * 1000; // Reminder and cleanup runs
+const EXTENSION_OPTIONS = [3600000, 86400000]; // Extensions offered in reminders, in ms
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL || '86400') || 86400) * 1000; // Idle sessions are forgotten after this
+const LIST_PAGE_SIZE = Math.min(Math.max(parseInt(process.env.LIST_PAGE_SIZE || '10') || 10, 1), 30); // Emails / messages per page
+const BOT_MODE = process.env.BOT_MODE === 'webhook' ? 'webhook' : 'polling';
+const HTTP_PORT = parseInt(process.env.HTTP_PORT || '') || (BOT_MODE === 'webhook' ? 8080 : 0); // 0: no HTTP server while polling
+const HTTP_HOST = process.env.HTTP_HOST || '0.0.0.0';
 
-// Database file path
-const dbPath = path.join(__dirname, 'database', 'users.json');
-const langPath = path.join(__dirname, 'database', 'languages.json');
+// Persistent storage (users, emails, settings, proxies)
+const storage = getStorage();
 
-// Load language file
-function loadLanguages() {
-  try {
-    const data = fs.readFileSync(langPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error loading languages:', error.message);
-    return { en: {}, id: {} };
-  }
+// Get translation in the user's language (see lib/i18n.js for fallbacks and plurals)
+function t(userId, key, params = {}) {
+  return i18n.translate(getUserLanguage(userId), key, params);
 }
 
-const languages = loadLanguages();
+// Client language of people who have not started the bot yet, so inline queries and old buttons don't register them
+const clientLanguages = new Map();
 
-// Get translation with fallback
-function t(userId, key, params = {}) {
-  try {
-    const db = loadDatabase();
-    const userLang = db.users?.[userId]?.language || 'en';
-    let text = languages[userLang]?.[key] || languages['en']?.[key] || key;
-    
-    // Replace parameters
-    Object.keys(params).forEach(param => {
-      text = text.replace(`{${param}}`, params[param]);
-    });
-    
-    return text;
-  } catch (error) {
-    return key;
-  }
+// Get user language; languages whose locale file was removed fall back to the default
+function getUserLanguage(userId) {
+  const language = storage.getUser(userId)?.language || clientLanguages.get(String(userId));
+  return i18n.hasLanguage(language) ? language : i18n.getDefaultLanguage();
 }
 
-// Load database
-function loadDatabase() {
-  try {
-    if (fs.existsSync(dbPath)) {
-      const data = fs.readFileSync(dbPath, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('Error loading database:', error.message);
-  }
-  return { users: {} };
+// Name of a language for display, e.g. "🇮🇩 Indonesia"
+function getLanguageName(language) {
+  return i18n.hasLanguage(language) ? i18n.getLanguageMeta(language).name : language || '-';
 }
 
-// Save database
-function saveDatabase(data) {
-  try {
-    const dir = path.dirname(dbPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(dbPath, JSON.stringify(data, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving database:', error.message);
-  }
+// Set user language
+function setUserLanguage(userId, language) {
+  storage.setUserLanguage(userId, language);
+  clientLanguages.delete(String(userId));
 }
 
-// Get user language
-function getUserLanguage(userId) {
-  const db = loadDatabase();
-  return db.users[userId]?.language || 'en';
+// Timezone the user picked, or the default of their language
+function getUserTimezone(userId) {
+  return storage.getUser(userId)?.timezone || getLanguageTimezone(getUserLanguage(userId));
 }
 
-// Set user language
-function setUserLanguage(userId, language) {
-  const db = loadDatabase();
-  if (!db.users[userId]) {
-    db.users[userId] = {};
-  }
-  db.users[userId].language = language;
-  saveDatabase(db);
+function getLanguageTimezone(language) {
+  return i18n.getLanguageMeta(language).timezone || dates.getDefaultTimezone();
+}
+
+// Every date shown to a user goes through here: their locale and timezone, optionally with "(5m ago)"
+// style: "datetime" (default), "date" or "time"
+function formatDate(userId, date, { style, relative = false } = {}) {
+  return dates.formatDate(date, {
+    locale: i18n.getLanguageMeta(getUserLanguage(userId)).locale,
+    timeZone: getUserTimezone(userId),
+    style,
+    relative
+  });
+}
+
+// Only the relative part, e.g. "5m ago"
+function formatTimeAgo(userId, date) {
+  return dates.formatRelative(date, i18n.getLanguageMeta(getUserLanguage(userId)).locale);
 }
 
 // Get user emails from database
 function getUserEmails(userId) {
-  const db = loadDatabase();
-  if (!db.users[userId]) {
-    db.users[userId] = {};
-    saveDatabase(db);
-  }
-  return db.users[userId];
+  return storage.getUserEmails(userId);
+}
+
+// Get the IDs of a user's emails
+function getUserEmailIds(userId) {
+  return getUserEmails(userId).map(email => email.id);
+}
+
+// Check that an email belongs to a user
+function userOwnsEmail(userId, emailId) {
+  const email = storage.getEmail(emailId);
+  return Boolean(email) && email.userId === String(userId);
 }
 
 // Add email to user
-function addEmailToUser(userId, emailId) {
-  const db = loadDatabase();
-  if (!db.users[userId]) {
-    db.users[userId] = {};
-  }
-  db.users[userId][emailId] = true;
-  saveDatabase(db);
+function addEmailToUser(userId, email) {
+  storage.addEmail(userId, email);
+  listPagers.invalidate(`emails_${userId}`);
 }
 
 // Check if user is admin
@@ -114,183 +119,220 @@ function isAdmin(userId) {
 
 // Get all users from database
 function getAllUsers() {
-  const db = loadDatabase();
-  return Object.keys(db.users || {}).map(userId => ({
-    userId,
-    emails: Object.keys(db.users[userId]).filter(key => key !== 'language'),
-    language: db.users[userId].language || 'en'
+  return storage.listUsers().map(user => ({
+    userId: user.id,
+    emails: getUserEmailIds(user.id),
+    language: user.language || i18n.getDefaultLanguage()
   }));
 }
 
 // Remove email from user
 function removeEmailFromUser(userId, emailId) {
-  const db = loadDatabase();
-  if (db.users[userId]) {
-    delete db.users[userId][emailId];
-    saveDatabase(db);
+  if (userOwnsEmail(userId, emailId)) {
+    storage.removeEmail(emailId);
+    listPagers.invalidate(`emails_${userId}`);
   }
 }
 
-// Store user sessions
+// Store user sessions (loaded from storage on first use, see the session middleware)
 const userSessions = {};
-const emailCache = {}; // Cache emails with short IDs
-const messageCache = {}; // Cache messages with short IDs
-const rateLimitDelay = 5000; // 5 second global rate limit delay
-let lastRequestTime = 0;
+const messageDetailCache = new Map(); // Message bodies, so turning pages does not refetch them
+const messageDetailCacheSize = 50;
+const listPagers = createPagerCache(); // Email lists and inboxes, fetched page by page
+
+// API_KEY from .env becomes the first key of the pool (see lib/api-keys); later keys are added by the admin
+apiKeys.seedFromEnv(process.env.API_KEY);
 
+// Every provider call is queued here: token buckets per API key and per proxy, a few requests at once,
+// and interactive requests ahead of background polling (see lib/scheduler)
+const scheduler = createScheduler({
+  getApiKeys: apiKeys.getUsableKeyIds,
+  reportApiKey: apiKeys.recordResult,
+  getProxy: filter => proxies.getNextProxy(filter),
+  getProxyCount: () => proxies.getProxyCount(),
+  concurrency: parseInt(process.env.SCHEDULER_CONCURRENCY || '') || 4,
+  keyRate: parseFloat(process.env.SCHEDULER_KEY_RATE || '') || 2,
+  keyBurst: parseInt(process.env.SCHEDULER_KEY_BURST || '') || 5,
+  proxyRate: parseFloat(process.env.SCHEDULER_PROXY_RATE || '') || 1,
+  proxyBurst: parseInt(process.env.SCHEDULER_PROXY_BURST || '') || 3,
+  maxRetries: parseInt(process.env.SCHEDULER_MAX_RETRIES || '') || 3
+});
+
+// Inside a scheduled call the scheduler has already picked the proxy; other callers (health checks) rotate
 function getNextProxy() {
-  return proxies.getNextProxy();
+  const route = scheduler.getContext();
+  return route ? route.proxy : proxies.getNextProxy();
 }
 
-// ==================== API Calls ====================
+// Key the scheduler picked for the running call; other callers (health checks) use the first usable key
+function getCurrentApiKey() {
+  const route = scheduler.getContext();
+  const keyId = route ? route.apiKey : apiKeys.getUsableKeyIds()[0];
+  if (keyId) return apiKeys.getSecret(keyId);
+  return apiKeys.getKeyCount() === 0 ? process.env.API_KEY : null;
+}
 
-// Retry logic for rate limiting with proxy rotation
-async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
-  const totalProxies = proxies.getProxyCount();
-  // If we have more proxies than retries, use that for maxRetries
-  const actualMaxRetries = totalProxies > 0 ? Math.max(maxRetries, totalProxies) : maxRetries;
-  
-  for (let i = 0; i < actualMaxRetries; i++) {
-    try {
-      // Wait if we hit rate limit before
-      const timeSinceLastRequest = Date.now() - lastRequestTime;
-      if (timeSinceLastRequest < rateLimitDelay) {
-        const waitTime = rateLimitDelay - timeSinceLastRequest;
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
-      
-      lastRequestTime = Date.now();
-      return await fn();
-    } catch (error) {
-      // Check if it's a rate limit error (429)
-      if (error.response?.status === 429 && i < actualMaxRetries - 1) {
-        const delay = initialDelay * Math.pow(2, Math.floor(i / totalProxies)); // Exponential backoff per proxy cycle
-        const nextProxy = getNextProxy();
-        const proxyMsg = nextProxy ? ` using proxy ${nextProxy}` : '';
-        const attemptNum = i + 1;
-        console.warn(`Rate limited. Retrying in ${delay}ms (attempt ${attemptNum}/${actualMaxRetries})${proxyMsg}`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
-      throw error;
-    }
-  }
+// Requests about an email must use the key that created it
+function emailKey(emailId) {
+  return { apiKey: apiKeys.keyForEmail(storage.getEmail(emailId)) };
 }
 
+// Mail backend selected with MAIL_PROVIDER; the API key is read on every call so admin changes apply at once
+const mailProvider = providers.createProviderFromEnv({
+  getApiKey: getCurrentApiKey,
+  getProxy: getNextProxy,
+  reportProxy: proxyHealth.recordResult
+});
+
+// ==================== API Calls ====================
+
+// `priority` is "interactive" (default) for what a user waits on, "background" for polling
+
 async function getDomains() {
-  return retryWithBackoff(async () => {
-    const config = {
-      headers: { 'X-API-Key': API_KEY }
-    };
-    const proxy = getNextProxy();
-    if (proxy) {
-      config.httpAgent = new (require('http').Agent)({ httpAgent: proxy });
-      config.httpsAgent = new (require('https').Agent)({ httpAgent: proxy });
-    }
-    const response = await axios.get(`${API_BASE_URL}/email/domains`, config);
-    return response.data.domains;
-  });
+  return scheduler.schedule(() => mailProvider.getDomains());
 }
 
+// Resolves with apiKeyId, the key the address now belongs to
 async function generateEmail(name, expiryTime, domain) {
-  return retryWithBackoff(async () => {
-    const config = {
-      headers: {
-        'X-API-Key': API_KEY,
-        'Content-Type': 'application/json'
-      }
-    };
-    const proxy = getNextProxy();
-    if (proxy) {
-      config.httpAgent = new (require('http').Agent)({ httpAgent: proxy });
-      config.httpsAgent = new (require('https').Agent)({ httpAgent: proxy });
-    }
-    const response = await axios.post(`${API_BASE_URL}/emails/generate`, {
-      name,
-      expiryTime,
-      domain
-    }, config);
-    return response.data;
-  });
+  // Not repeated after a lost answer: the address may have been created already
+  return scheduler.schedule(async () => {
+    const result = await mailProvider.generateEmail(name, expiryTime, domain);
+    return { ...result, apiKeyId: scheduler.getContext().apiKey };
+  }, { idempotent: false });
 }
 
-async function listUserEmails(userId) {
-  return retryWithBackoff(async () => {
-    const config = {
-      headers: { 'X-API-Key': API_KEY }
-    };
-    const response = await axios.get(`${API_BASE_URL}/emails`, config);
-    
-    // Get user emails from database
-    const userEmailIds = getUserEmails(userId);
-    
-    const userEmailList = response.data.emails.filter(email => {
-      return userEmailIds[email.id] === true;
-    });
-    
-    return {
-      emails: userEmailList,
-      nextCursor: response.data.nextCursor,
-      total: userEmailList.length
-    };
-  });
+// The user's emails, read from the account listing one cursor page at a time
+function getUserEmailPager(userId, fresh = false) {
+  return listPagers.get(`emails_${userId}`, () => {
+    const owned = new Set(getUserEmailIds(userId));
+    return createPager(async cursor => {
+      const data = await listEmails(cursor);
+      return { items: data.emails, nextCursor: data.nextCursor };
+    }, { filter: email => owned.has(email.id) });
+  }, fresh);
+}
+
+// Messages of one inbox; `viewer` keeps user and admin browsing apart
+function getInboxPager(viewer, emailId, fresh = false) {
+  return listPagers.get(`inbox_${viewer}_${emailId}`, () => createPager(async cursor => {
+    const data = await getMessages(emailId, cursor);
+    return { items: data.messages, nextCursor: data.nextCursor };
+  }), fresh);
 }
 
-async function listEmails(cursor = null) {
+// Each key lists its own account; the cursor ("keyId:cursor") walks the keys that own stored emails in turn
+// Emails from before the key pool have no key (""): their account is listed with the key any keyless request gets
+async function listEmails(cursor = null, priority) {
+  const keyIds = Object.keys(storage.countEmailsByApiKey()).sort();
+  if (keyIds.length === 0) keyIds.push('');
+  
+  let index = 0;
+  let innerCursor = null;
+  if (cursor) {
+    const separator = cursor.indexOf(':');
+    index = keyIds.indexOf(cursor.substring(0, separator));
+    innerCursor = cursor.substring(separator + 1) || null;
+    if (index === -1) return { emails: [], nextCursor: null };
+  }
+  
   try {
-    const config = {
-      headers: { 'X-API-Key': API_KEY }
-    };
-    const url = cursor 
-      ? `${API_BASE_URL}/emails?cursor=${cursor}`
-      : `${API_BASE_URL}/emails`;
-    
-    const response = await axios.get(url, config);
-    return response.data;
+    const keyId = keyIds[index];
+    const data = await scheduler.schedule(() => mailProvider.listEmails(innerCursor), {
+      priority,
+      apiKey: keyId || undefined
+    });
+    let nextCursor = null;
+    if (data.nextCursor) {
+      nextCursor = `${keyId}:${data.nextCursor}`;
+    } else if (index + 1 < keyIds.length) {
+      nextCursor = `${keyIds[index + 1]}:`;
+    }
+    return { ...data, nextCursor };
   } catch (error) {
     console.error('Error listing emails:', error.message);
     throw new Error('Failed to list emails');
   }
 }
 
-async function getMessages(emailId, cursor = null) {
-  return retryWithBackoff(async () => {
-    const config = {
-      headers: { 'X-API-Key': API_KEY }
-    };
-    const url = cursor
-      ? `${API_BASE_URL}/emails/${emailId}?cursor=${cursor}`
-      : `${API_BASE_URL}/emails/${emailId}`;
-    
-    const response = await axios.get(url, config);
-    return response.data;
-  });
+// Fetch every email on the account, following pagination cursors
+async function listAllEmails(priority) {
+  const emails = [];
+  let cursor = null;
+  do {
+    const data = await listEmails(cursor, priority);
+    emails.push(...(data.emails || []));
+    cursor = data.nextCursor;
+  } while (cursor);
+  return emails;
+}
+
+async function getMessages(emailId, cursor = null, priority) {
+  return scheduler.schedule(() => mailProvider.getMessages(emailId, cursor), { priority, ...emailKey(emailId) });
 }
 
-async function getMessageDetail(emailId, messageId) {
+async function getMessageDetail(emailId, messageId, priority) {
   try {
-    const response = await axios.get(
-      `${API_BASE_URL}/emails/${emailId}/${messageId}`,
-      {
-        headers: { 'X-API-Key': API_KEY }
-      }
-    );
-    return response.data.message;
+    return await scheduler.schedule(() => mailProvider.getMessageDetail(emailId, messageId), {
+      priority,
+      ...emailKey(emailId)
+    });
   } catch (error) {
     console.error('Error getting message detail:', error.message);
     throw new Error('Failed to get message detail');
   }
 }
 
-async function deleteEmail(emailId) {
+// Message detail with a small cache for paging through long messages
+async function getCachedMessageDetail(emailId, messageId) {
+  const key = `${emailId}_${messageId}`;
+  if (messageDetailCache.has(key)) {
+    return messageDetailCache.get(key);
+  }
+  
+  const message = await getMessageDetail(emailId, messageId);
+  messageDetailCache.set(key, message);
+  if (messageDetailCache.size > messageDetailCacheSize) {
+    messageDetailCache.delete(messageDetailCache.keys().next().value);
+  }
+  return message;
+}
+
+async function getAttachment(emailId, messageId, attachmentId) {
+  if (!mailProvider.getAttachment) {
+    throw new Error('Attachments are not supported by this mail provider');
+  }
   try {
-    const response = await axios.delete(
-      `${API_BASE_URL}/emails/${emailId}`,
-      {
-        headers: { 'X-API-Key': API_KEY }
-      }
+    return await scheduler.schedule(
+      () => mailProvider.getAttachment(emailId, messageId, attachmentId),
+      emailKey(emailId)
+    );
+  } catch (error) {
+    console.error('Error getting attachment:', error.message);
+    throw new Error('Failed to get attachment');
+  }
+}
+
+// Only some providers can push back an expiry (see lib/providers)
+function canExtendEmails() {
+  return typeof mailProvider.extendEmail === 'function';
+}
+
+async function extendEmail(emailId, extraTime) {
+  try {
+    // Not repeated after a lost answer: the time may have been added already
+    return await scheduler.schedule(
+      () => mailProvider.extendEmail(emailId, extraTime),
+      { ...emailKey(emailId), idempotent: false }
     );
-    return response.data;
+  } catch (error) {
+    console.error('Error extending email:', error.message);
+    throw new Error('Failed to extend email');
+  }
+}
+
+async function deleteEmail(emailId) {
+  try {
+    return await scheduler.schedule(() => mailProvider.deleteEmail(emailId), emailKey(emailId));
   } catch (error) {
     console.error('Error deleting email:', error.message);
     throw new Error('Failed to delete email');
@@ -299,68 +341,418 @@ async function deleteEmail(emailId) {
 
 async function deleteMessage(emailId, messageId) {
   try {
-    const response = await axios.delete(
-      `${API_BASE_URL}/emails/${emailId}/${messageId}`,
-      {
-        headers: { 'X-API-Key': API_KEY }
-      }
-    );
-    return response.data;
+    return await scheduler.schedule(() => mailProvider.deleteMessage(emailId, messageId), emailKey(emailId));
   } catch (error) {
     console.error('Error deleting message:', error.message);
     throw new Error('Failed to delete message');
   }
 }
 
+// ==================== Callback Tokens ====================
+
+// Buttons refer to emails and messages through tokens that survive restarts (see lib/callbacks)
+function emailToken(userId, emailId) {
+  return callbacks.createToken(userId, { type: 'email', emailId });
+}
+
+function messageToken(userId, emailId, messageId) {
+  return callbacks.createToken(userId, { type: 'message', emailId, messageId });
+}
+
+// Email behind a button; null when the token expired, belongs to someone else or the email is gone
+function resolveEmailToken(ctx, token) {
+  const userId = ctx.from.id;
+  const payload = callbacks.resolveToken(userId, token, 'email');
+  const email = payload && storage.getEmail(payload.emailId);
+  if (!email) return null;
+  // Admins can open anyone's email from the admin panel
+  if (email.userId !== String(userId) && !isAdmin(userId)) return null;
+  return email;
+}
+
+function archivedToken(userId, emailId, messageId) {
+  return callbacks.createToken(userId, { type: 'archived', emailId, messageId });
+}
+
+// { email, messageId } behind a button, with the same checks as resolveEmailToken
+function resolveMessageToken(ctx, token) {
+  const userId = ctx.from.id;
+  const payload = callbacks.resolveToken(userId, token, 'message');
+  const email = payload && storage.getEmail(payload.emailId);
+  if (!email) return null;
+  if (email.userId !== String(userId) && !isAdmin(userId)) return null;
+  return { email, messageId: payload.messageId };
+}
+
 // ==================== Helper Functions ====================
 
-function formatEmailInfo(email) {
-  const createdDate = new Date(email.createdAt).toLocaleString();
-  const expiresDate = new Date(email.expiresAt).toLocaleString();
+function formatEmailInfo(userId, email) {
+  const createdDate = formatDate(userId, email.createdAt, { relative: true });
+  const expiresDate = formatDate(userId, email.expiresAt, { relative: true });
   return `📧 <b>${email.address}</b>\n\n` +
-         `📅 Created: ${createdDate}\n` +
-         `⏰ Expires: ${expiresDate}`;
+         `📅 ${t(userId, 'created_at', { date: createdDate })}\n` +
+         `⏰ ${t(userId, 'expires_at', { date: expiresDate })}`;
 }
 
-function formatMessagePreview(message) {
-  return `📨 <b>${message.from_address}</b>\n` +
-         `<b>Subject:</b> ${message.subject}\n` +
-         `🕐 ${new Date(message.received_at).toLocaleString()}`;
+// Time left as its two largest units, e.g. "2d 5h" or "45m"
+function formatRemaining(userId, ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  const parts = [
+    [Math.floor(minutes / 1440), 'unit_day'],
+    [Math.floor((minutes % 1440) / 60), 'unit_hour'],
+    [minutes % 60, 'unit_minute']
+  ];
+  const first = parts.findIndex(([count]) => count > 0);
+  return parts.slice(first, first + 2)
+    .filter(([count]) => count > 0)
+    .map(([count, unit]) => t(userId, unit, { count }))
+    .join(' ');
+}
+
+// "⏳ 2h 5m left", "♾️ Never expires" or "⌛ Expired"
+function formatExpiry(userId, email) {
+  const remaining = expiry.getRemaining(email);
+  if (remaining === null) return t(userId, 'never_expires');
+  if (remaining === 0) return t(userId, 'expired');
+  return t(userId, 'expires_in', { time: formatRemaining(userId, remaining) });
+}
+
+function formatMessagePreview(userId, message) {
+  return `📨 <b>${escapeHtml(message.from_address)}</b>\n` +
+         `<b>${t(userId, 'subject')}</b> ${escapeHtml(message.subject)}\n` +
+         `🕐 ${formatDate(userId, message.received_at, { relative: true })}`;
+}
+
+function formatCodes(userId, codes) {
+  return `🔑 <b>${t(userId, 'verification_code')}</b>\n` +
+    codes.map(code => `<code>${escapeHtml(code)}</code>`).join('\n');
+}
+
+// Why a user may not create another address right now, or null; admins have no limits
+function quotaError(userId, permanent = false) {
+  if (isAdmin(userId)) return null;
+  const problem = quotas.checkCreation(userId, { permanent });
+  if (!problem) return null;
+  if (problem.reason === 'permanent') return t(userId, 'quota_permanent_denied');
+  
+  const minutes = problem.resetAt ? Math.max(1, Math.ceil((problem.resetAt.getTime() - Date.now()) / 60000)) : 0;
+  return t(userId, `quota_${problem.reason}`, { limit: problem.limit, minutes });
+}
+
+// Tier and remaining quota of a user, shown to the user (profile) and to admins
+function formatQuota(viewerId, targetUserId) {
+  const usage = quotas.getUsage(targetUserId);
+  const tier = isAdmin(targetUserId) ? 'unlimited' : usage.tier;
+  const limits = isAdmin(targetUserId) ? quotas.getLimits('unlimited') : usage.limits;
+  const left = (limit, used) => limit === null ? '∞' : `${Math.max(0, limit - used)}/${limit}`;
+  
+  return `<b>${t(viewerId, 'quota_title')}</b>\n` +
+    `🏷 ${t(viewerId, 'tier')}: <b>${t(viewerId, `tier_${tier}`)}</b>\n` +
+    `📬 ${t(viewerId, 'quota_active')}: ${usage.active}/${limits.maxActive === null ? '∞' : limits.maxActive}\n` +
+    `⏱ ${t(viewerId, 'quota_hour_left')}: ${left(limits.perHour, usage.lastHour)}\n` +
+    `📆 ${t(viewerId, 'quota_day_left')}: ${left(limits.perDay, usage.lastDay)}\n` +
+    `♾️ ${t(viewerId, 'quota_permanent')}: ${limits.allowPermanent ? '✅' : '❌'}`;
+}
+
+// Attachment names and sizes; ones that will not be sent are marked with 🚫
+function formatAttachmentList(userId, message) {
+  const list = message.attachments || [];
+  if (list.length === 0) return '';
+  
+  return `📎 <b>${t(userId, 'attachments')}</b>\n` +
+    list.map((att, index) => {
+      const problem = attachments.checkAttachment(att);
+      const mark = problem ? ` 🚫 ${t(userId, `attachment_${problem}`)}` : '';
+      return `${index + 1}. ${escapeHtml(att.filename)} (${attachments.formatSize(att.size)})${mark}`;
+    }).join('\n') + '\n\n';
+}
+
+const MESSAGE_LIMIT = 4096; // Characters Telegram allows per message
+const MIN_PAGE_SIZE = 1000; // Body room the header always leaves
+const HEADER_FIELD_LENGTH = 200;
+const HEADER_CODES = 5;
+
+function clip(text, length) {
+  const value = String(text || '');
+  return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+}
+
+// Render one page of a message; long bodies are split at safe boundaries
+// extraHeader goes above everything else and counts against the page size like the rest of the header
+function formatMessageDetail(userId, message, page = 0, extraHeader = '') {
+  let header = extraHeader;
+  
+  // Codes go first so they can be copied with one tap
+  const codes = extractCodes(message).slice(0, HEADER_CODES);
+  if (codes.length > 0) {
+    header += `${formatCodes(userId, codes)}\n\n`;
+  }
+  
+  // Long senders and subjects are shortened so the header always leaves room for the body
+  header += `<b>${t(userId, 'from')}</b> ${escapeHtml(clip(message.from_address, HEADER_FIELD_LENGTH))}\n`;
+  header += `<b>${t(userId, 'subject')}</b> ${escapeHtml(clip(message.subject, HEADER_FIELD_LENGTH))}\n`;
+  header += `<b>${t(userId, 'received')}</b> ${formatDate(userId, message.received_at, { relative: true })}\n\n`;
+  const divider = `<b>───────────────────────</b>\n\n`;
+  // Too many attachments to list: the count is enough, the buttons below still offer each one
+  const attachmentList = formatAttachmentList(userId, message);
+  header += header.length + attachmentList.length + divider.length <= MESSAGE_LIMIT - MIN_PAGE_SIZE
+    ? attachmentList
+    : `📎 <b>${t(userId, 'attachments')}</b> ${message.attachments.length}\n\n`;
+  header += divider;
+  
+  const pageSize = MESSAGE_LIMIT - header.length;
+  const pages = paginateHtml(renderMessageBody(message) || t(userId, 'no_content'), pageSize);
+  const currentPage = Math.min(Math.max(page, 0), pages.length - 1);
+  
+  return {
+    content: header + pages[currentPage],
+    page: currentPage,
+    totalPages: pages.length
+  };
+}
+
+// Page buttons (◀️ 2/5 ▶️) plus previous / next message buttons
+function messageNavigation(userId, view, pageCallback, previousCallback, nextCallback) {
+  const rows = [];
+  
+  if (view.totalPages > 1) {
+    const pageRow = [];
+    if (view.page > 0) {
+      pageRow.push({ text: '◀️', callback_data: pageCallback(view.page - 1) });
+    }
+    pageRow.push({ text: `📄 ${view.page + 1}/${view.totalPages}`, callback_data: 'noop' });
+    if (view.page < view.totalPages - 1) {
+      pageRow.push({ text: '▶️', callback_data: pageCallback(view.page + 1) });
+    }
+    rows.push(pageRow);
+  }
+  
+  const messageRow = [];
+  if (previousCallback) {
+    messageRow.push({ text: t(userId, 'previous_message'), callback_data: previousCallback });
+  }
+  if (nextCallback) {
+    messageRow.push({ text: t(userId, 'next_message'), callback_data: nextCallback });
+  }
+  if (messageRow.length > 0) {
+    rows.push(messageRow);
+  }
+  
+  return rows;
+}
+
+// ◀️ 📄 2/5 ▶️ row for lists; the page count is left out while the end is not known yet
+function pageNavigation(view, pageCallback) {
+  if (!view.hasPrevious && !view.hasNext) return [];
+  
+  const row = [];
+  if (view.hasPrevious) {
+    row.push({ text: '◀️', callback_data: pageCallback(view.page - 1) });
+  }
+  row.push({
+    text: view.totalPages ? `📄 ${view.page + 1}/${view.totalPages}` : `📄 ${view.page + 1}`,
+    callback_data: 'noop'
+  });
+  if (view.hasNext) {
+    row.push({ text: '▶️', callback_data: pageCallback(view.page + 1) });
+  }
+  return [row];
+}
+
+// One button per attachment that may be sent, plus one for the inline images as an album
+function attachmentButtons(userId, message, attachmentCallback, imagesCallback) {
+  const rows = [];
+  let inlineImages = 0;
+  
+  (message.attachments || []).forEach((att, index) => {
+    if (attachments.checkAttachment(att)) return;
+    if (attachments.isInlineImage(att)) {
+      inlineImages++;
+      return;
+    }
+    const name = att.filename.length > 30 ? `${att.filename.substring(0, 29)}…` : att.filename;
+    rows.push([{ text: `📎 ${name}`, callback_data: attachmentCallback(index) }]);
+  });
+  
+  if (inlineImages > 0) {
+    rows.push([{ text: `${t(userId, 'inline_images')} (${inlineImages})`, callback_data: imagesCallback }]);
+  }
+  
+  return rows;
+}
+
+// Send one attachment as a document
+async function sendAttachment(ctx, userId, emailId, messageId, index) {
+  try {
+    const message = await getCachedMessageDetail(emailId, messageId);
+    const att = (message.attachments || [])[index];
+    if (!att) {
+      ctx.answerCbQuery(t(userId, 'error') + t(userId, 'attachment_not_found'), true);
+      return;
+    }
+    
+    const problem = attachments.checkAttachment(att);
+    if (problem) {
+      ctx.answerCbQuery(`🚫 ${t(userId, `attachment_${problem}`)}`, true);
+      return;
+    }
+    
+    const file = await getAttachment(emailId, messageId, att.id);
+    // Listed sizes can be missing, so check what was actually downloaded
+    if (file.content.length > attachments.getMaxSize()) {
+      ctx.answerCbQuery(`🚫 ${t(userId, 'attachment_too_large')}`, true);
+      return;
+    }
+    
+    await ctx.answerCbQuery(t(userId, 'sending_attachment'));
+    await ctx.replyWithDocument({ source: file.content, filename: att.filename });
+  } catch (error) {
+    ctx.answerCbQuery(t(userId, 'error') + error.message, true);
+  }
+}
+
+// Send the images embedded in the HTML body (cid: references) as a photo album
+async function sendInlineImages(ctx, userId, emailId, messageId) {
+  try {
+    const message = await getCachedMessageDetail(emailId, messageId);
+    const images = (message.attachments || [])
+      .filter(att => attachments.isInlineImage(att) && !attachments.checkAttachment(att));
+    if (images.length === 0) {
+      ctx.answerCbQuery(t(userId, 'no_inline_images'), true);
+      return;
+    }
+    
+    const files = [];
+    for (const att of images) {
+      const file = await getAttachment(emailId, messageId, att.id);
+      if (file.content.length <= attachments.getMaxSize()) {
+        files.push({ ...file, filename: att.filename });
+      }
+    }
+    
+    await ctx.answerCbQuery(t(userId, 'sending_attachment'));
+    // Telegram photos are limited to 10 MB; bigger images go out as documents
+    const photos = files.filter(file => file.content.length <= 10 * 1024 * 1024);
+    for (const file of files.filter(f => !photos.includes(f))) {
+      await ctx.replyWithDocument({ source: file.content, filename: file.filename });
+    }
+    // An album holds 2 to 10 items
+    for (let i = 0; i < photos.length; i += 10) {
+      const chunk = photos.slice(i, i + 10);
+      if (chunk.length === 1) {
+        await ctx.replyWithPhoto({ source: chunk[0].content, filename: chunk[0].filename });
+      } else {
+        await ctx.replyWithMediaGroup(chunk.map(file => ({
+          type: 'photo',
+          media: { source: file.content, filename: file.filename }
+        })));
+      }
+    }
+  } catch (error) {
+    ctx.answerCbQuery(t(userId, 'error') + error.message, true);
+  }
+}
+
+// Send the untouched HTML body as a document
+async function sendOriginalHtml(ctx, userId, emailId, messageId) {
+  try {
+    const message = await getMessageDetail(emailId, messageId);
+    if (!message.html) {
+      ctx.answerCbQuery(t(userId, 'no_html'), true);
+      return;
+    }
+    
+    const name = (message.subject || 'message').replace(/[^\p{L}\p{N} _-]+/gu, '').trim().substring(0, 50) || 'message';
+    await ctx.answerCbQuery();
+    await ctx.replyWithDocument(
+      { source: Buffer.from(message.html, 'utf8'), filename: `${name}.html` },
+      { caption: escapeHtml(message.subject), parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    ctx.answerCbQuery(t(userId, 'error') + error.message, true);
+  }
 }
 
 // ==================== Main Menu ====================
 
-const mainMenu = {
-  reply_markup: {
-    inline_keyboard: [
-      [{ text: '✉️ Create Email', callback_data: 'create_email' }],
-      [{ text: '📬 My Emails', callback_data: 'list_emails' }],
-      [{ text: '⚙️ Settings', callback_data: 'settings' }]
-    ]
+// Keyboard of /start and the back-to-menu button
+function mainMenu(userId) {
+  return [
+    [{ text: t(userId, 'create_email'), callback_data: 'create_email' }],
+    [{ text: t(userId, 'quick_create'), callback_data: 'quick_create' }],
+    [{ text: t(userId, 'my_emails'), callback_data: 'list_emails' }],
+    [{ text: t(userId, 'search_mail'), callback_data: 'archive_search' }],
+    [{ text: t(userId, 'profile'), callback_data: 'view_profile' }],
+    [{ text: t(userId, 'settings'), callback_data: 'settings' }]
+  ];
+}
+
+// ==================== Sessions ====================
+
+// Saved sessions older than SESSION_TTL start over empty
+function loadSession(userId) {
+  const saved = storage.getSession(userId);
+  if (!saved || Date.now() - new Date(saved.updatedAt).getTime() > SESSION_TTL) {
+    return {};
   }
-};
+  return saved.data || {};
+}
+
+// First contact: start in the language of the user's Telegram client when there is a locale for it
+// Saved once the user is registered (/start or their first address); until then only remembered
+bot.use((ctx, next) => {
+  const userId = ctx.from?.id;
+  if (userId && !ctx.from.is_bot) {
+    const user = storage.getUser(userId);
+    if (!user) {
+      clientLanguages.set(String(userId), i18n.detectLanguage(ctx.from.language_code));
+    } else if (!user.language) {
+      setUserLanguage(userId, i18n.detectLanguage(ctx.from.language_code));
+    }
+  }
+  return next();
+});
+
+// Sessions survive restarts: loaded from storage on first use and written back when a handler changed them
+bot.use(async (ctx, next) => {
+  const userId = ctx.from?.id;
+  if (!userId) return next();
+  
+  if (!userSessions[userId]) {
+    userSessions[userId] = loadSession(userId);
+  }
+  const before = JSON.stringify(userSessions[userId]);
+  
+  await next();
+  
+  if (userSessions[userId] && JSON.stringify(userSessions[userId]) !== before) {
+    storage.setSession(userId, userSessions[userId]);
+  }
+});
+
+// Drop expired callback tokens, idle sessions, creations older than the quota windows and old archived mail
+function pruneSessions() {
+  try {
+    callbacks.pruneTokens();
+    quotas.pruneCreations();
+    archive.pruneArchive();
+    storage.deleteSessionsBefore(new Date(Date.now() - SESSION_TTL).toISOString());
+  } catch (error) {
+    console.error('Error pruning sessions:', error.message);
+  }
+}
 
 // ==================== Command Handlers ====================
 
 bot.start((ctx) => {
   const userId = ctx.from.id;
-  // Ensure user has a language set
-  const currentLang = getUserLanguage(userId);
-  if (!currentLang || currentLang === 'en') {
-    // User has default language
-  }
+  // Register the user so the join date is recorded, in the language detected from their client
+  if (!storage.ensureUser(userId).language) setUserLanguage(userId, getUserLanguage(userId));
   
   ctx.replyWithHTML(
     `<b>${t(userId, 'welcome')}</b> 🎉\n\n${t(userId, 'welcome_desc')}`,
     {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: t(userId, 'create_email'), callback_data: 'create_email' }],
-          [{ text: t(userId, 'my_emails'), callback_data: 'list_emails' }],
-          [{ text: t(userId, 'profile'), callback_data: 'view_profile' }],
-          [{ text: t(userId, 'settings'), callback_data: 'settings' }]
-        ]
-      }
+      reply_markup: { inline_keyboard: mainMenu(userId) }
     }
   );
   userSessions[userId] = {};
@@ -372,7 +764,10 @@ bot.command('help', (ctx) => {
     `<b>${t(userId, 'available_commands')}</b>\n\n` +
     `<code>${t(userId, 'cmd_start')}</code>\n` +
     `<code>${t(userId, 'cmd_create')}</code>\n` +
+    `<code>${t(userId, 'cmd_new')}</code>\n` +
     `<code>${t(userId, 'cmd_list')}</code>\n` +
+    `<code>${t(userId, 'cmd_search')}</code>\n` +
+    `<code>${t(userId, 'cmd_language')}</code>\n` +
     `<code>${t(userId, 'cmd_help')}</code>\n` +
     `<code>${t(userId, 'cmd_cancel')}</code>`,
     {
@@ -410,12 +805,83 @@ bot.command('cancel', (ctx) => {
 
 // ==================== Create Email Flow ====================
 
-bot.command('create', async (ctx) => {
-  const userId = ctx.from.id;
-  try {
-    const domains = await getDomains();
-    userSessions[userId] = { step: 'domain_selection', domains };
-    
+const EXPIRY_LABELS = { 3600000: '1_hour', 86400000: '1_day', 259200000: '3_days', 0: 'permanent' };
+
+function canCreatePermanent(userId) {
+  return isAdmin(userId) || quotas.getLimits(quotas.getUserTier(userId)).allowPermanent;
+}
+
+// One button per expiry; permanent is only offered when the user's tier allows it
+function expiryButtons(userId, callbackPrefix) {
+  return preferences.EXPIRY_OPTIONS
+    .filter(expiryTime => expiryTime > 0 || canCreatePermanent(userId))
+    .map(expiryTime => [{ text: t(userId, EXPIRY_LABELS[expiryTime]), callback_data: `${callbackPrefix}${expiryTime}` }]);
+}
+
+// Create an address and track it as belonging to the user
+async function createEmailFor(userId, prefix, expiryTime, domain) {
+  const result = await generateEmail(prefix, expiryTime, domain);
+  quotas.recordCreation(userId);
+  
+  addEmailToUser(userId, {
+    id: result.id,
+    address: result.email,
+    domain,
+    expiresAt: expiryTime > 0 ? new Date(Date.now() + expiryTime).toISOString() : null,
+    apiKeyId: result.apiKeyId
+  });
+  return result;
+}
+
+function formatCreatedEmail(userId, result, expiryTime) {
+  return `<b>${t(userId, 'email_created')}</b>\n\n` +
+    `📧 <b>${result.email}</b>\n\n` +
+    `📅 ${t(userId, 'created_at', { date: formatDate(userId, new Date()) })}\n` +
+    (expiryTime > 0
+      ? `⏰ ${t(userId, 'expires_at', { date: formatDate(userId, Date.now() + expiryTime, { relative: true }) })}`
+      : t(userId, 'never_expires'));
+}
+
+// One-tap creation with the user's preferences; the first domain is used when the preferred one is gone
+// Resolves with { message, buttons }
+async function quickCreate(userId) {
+  const prefs = preferences.getPreferences(userId);
+  const back = [[{ text: t(userId, 'back'), callback_data: 'back_menu' }]];
+  const quotaProblem = quotaError(userId, prefs.expiry === 0);
+  if (quotaProblem) {
+    return { message: quotaProblem, buttons: back };
+  }
+  
+  const domains = await getDomains();
+  const domain = domains.includes(prefs.domain) ? prefs.domain : domains[0];
+  if (!domain) {
+    return { message: t(userId, 'no_domains'), buttons: back };
+  }
+  
+  const result = await createEmailFor(userId, preferences.buildPrefix(prefs), prefs.expiry, domain);
+  userSessions[userId] = { lastEmail: result };
+  return {
+    message: formatCreatedEmail(userId, result, prefs.expiry),
+    buttons: [
+      [{ text: t(userId, 'open'), callback_data: `view_email_${emailToken(userId, result.id)}` }],
+      [{ text: t(userId, 'quick_create'), callback_data: 'quick_create' }],
+      [{ text: t(userId, 'create_preferences'), callback_data: 'prefs' }]
+    ]
+  };
+}
+
+bot.command('create', async (ctx) => {
+  const userId = ctx.from.id;
+  const quotaProblem = quotaError(userId);
+  if (quotaProblem) {
+    ctx.replyWithHTML(quotaProblem);
+    return;
+  }
+  
+  try {
+    const domains = await getDomains();
+    userSessions[userId] = { step: 'domain_selection', domains };
+    
     const buttons = domains.map((domain, index) => [
       { text: `${index + 1}`, callback_data: `domain_${domain}` }
     ]);
@@ -435,6 +901,17 @@ bot.command('create', async (ctx) => {
 
 bot.action('create_email', async (ctx) => {
   const userId = ctx.from.id;
+  const quotaProblem = quotaError(userId);
+  if (quotaProblem) {
+    ctx.editMessageText(quotaProblem, {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: t(userId, 'back'), callback_data: 'back_menu' }]]
+      }
+    });
+    return;
+  }
+  
   try {
     const domains = await getDomains();
     userSessions[userId] = { step: 'domain_selection', domains };
@@ -466,7 +943,30 @@ bot.action(/^domain_(.+)$/, async (ctx) => {
   ctx.editMessageText(
     `<b>${t(userId, 'select_domain')}</b>\n\n` +
     `${t(userId, 'enter_prefix').replace('{domain}', domain)}`,
-    { parse_mode: 'HTML' }
+    {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: t(userId, 'random_prefix'), callback_data: 'random_prefix' }]]
+      }
+    }
+  );
+});
+
+// Prefix made from the user's style and template instead of typing one
+bot.action('random_prefix', (ctx) => {
+  const userId = ctx.from.id;
+  const session = userSessions[userId];
+  if (!session || session.step !== 'email_prefix') {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  session.prefix = preferences.buildPrefix(preferences.getPreferences(userId));
+  session.step = 'expiry_time';
+  ctx.editMessageText(
+    `📧 <code>${escapeHtml(session.prefix)}@${escapeHtml(session.domain)}</code>\n\n` +
+    `<b>${t(userId, 'select_expiry')}</b>`,
+    { parse_mode: 'HTML', reply_markup: { inline_keyboard: expiryButtons(userId, 'expiry_') } }
   );
 });
 
@@ -476,48 +976,60 @@ bot.action('cancel_create', (ctx) => {
   ctx.editMessageText(t(userId, 'action_cancelled'), { parse_mode: 'HTML' });
 });
 
-bot.on('text', async (ctx) => {
+bot.on('text', async (ctx, next) => {
   const userId = ctx.from.id;
   const session = userSessions[userId];
   
-  if (!session || !session.step) return;
+  // Commands registered further down (/list, /admin, ...) still need to run
+  if (!session || !session.step) return next();
+  // A command abandons whatever the user was asked to type
+  if (ctx.message.text.startsWith('/')) {
+    session.step = null;
+    return next();
+  }
 
   try {
-    // Handle API key update (admin only)
-    if (session.step === 'waiting_api_key' && isAdmin(userId)) {
-      const newApiKey = ctx.message.text.trim();
+    // Handle a new pool key: "<key> [label]" (admin only)
+    if (session.step === 'waiting_api_key_add' && isAdmin(userId)) {
+      const [newApiKey, ...labelWords] = ctx.message.text.trim().split(/\s+/);
+      const result = apiKeys.addKey(newApiKey, labelWords.join(' '));
       
-      if (newApiKey.length < 20) {
-        ctx.replyWithHTML(t(userId, 'api_key_short'));
+      if (result.error) {
+        ctx.replyWithHTML(t(userId, result.error === 'short' ? 'api_key_short' : 'api_key_exists'));
         return;
       }
       
-      // Update .env file
-      try {
-        const envPath = path.join(__dirname, '.env');
-        let envContent = fs.readFileSync(envPath, 'utf8');
-        envContent = envContent.replace(/API_KEY=.*/g, `API_KEY=${newApiKey}`);
-        fs.writeFileSync(envPath, envContent, 'utf8');
-        process.env.API_KEY = newApiKey;
-        
-        ctx.replyWithHTML(
-          `${t(userId, 'api_key_updated')}\n\n` +
-          `${t(userId, 'api_key_new')}<code>${newApiKey.substring(0, 10)}...</code>\n\n` +
-          `${t(userId, 'api_key_warning')}`
-        );
-      } catch (error) {
-        ctx.replyWithHTML(`${t(userId, 'error')}${error.message}`);
+      // The key is in the message history; remove it where possible
+      ctx.deleteMessage().catch(() => {});
+      ctx.replyWithHTML(
+        `${t(userId, 'api_key_added')}\n\n` +
+        `🔑 <b>${apiKeyName(result.apiKey)}</b> <code>${escapeHtml(apiKeys.maskKey(result.apiKey.key))}</code>`,
+        { reply_markup: { inline_keyboard: [[{ text: t(userId, 'api_keys'), callback_data: 'admin_api_menu' }]] } }
+      );
+      session.step = null;
+      return;
+    }
+    
+    // Handle a pool key label (admin only)
+    if (session.step === 'waiting_api_key_label' && isAdmin(userId)) {
+      const label = ctx.message.text.trim();
+      if (!apiKeys.setLabel(session.apiKeyId, label === '-' ? null : label)) {
+        ctx.replyWithHTML(t(userId, 'button_expired'));
+      } else {
+        ctx.replyWithHTML(t(userId, 'api_key_label_saved'), {
+          reply_markup: { inline_keyboard: [[{ text: t(userId, 'api_keys'), callback_data: 'admin_api_menu' }]] }
+        });
       }
-      
       session.step = null;
+      session.apiKeyId = null;
       return;
     }
     
     // Handle proxy add (admin only)
     if (session.step === 'waiting_proxy_add' && isAdmin(userId)) {
-      const newProxy = ctx.message.text.trim();
+      const newProxy = proxies.parseProxy(ctx.message.text);
       
-      if (!newProxy.startsWith('http://') && !newProxy.startsWith('https://')) {
+      if (!newProxy) {
         ctx.replyWithHTML(t(userId, 'proxy_format_error'));
         return;
       }
@@ -525,7 +1037,7 @@ bot.on('text', async (ctx) => {
       if (proxies.addProxy(newProxy)) {
         ctx.replyWithHTML(
           `${t(userId, 'proxy_added')}\n\n` +
-          `🌐 <code>${newProxy}</code>\n\n` +
+          `🌐 <code>${escapeHtml(proxies.maskProxy(newProxy))}</code>\n\n` +
           `${t(userId, 'total_proxies')}<b>${proxies.getProxyCount()}</b>`
         );
       } else {
@@ -536,22 +1048,176 @@ bot.on('text', async (ctx) => {
       return;
     }
     
+    // Handle pasted proxy list (admin only)
+    if (session.step === 'waiting_proxy_import' && isAdmin(userId)) {
+      runProxyImport(ctx, userId, ctx.message.text)
+        .catch(error => ctx.replyWithHTML(`${t(userId, 'error')}${escapeHtml(error.message)}`));
+      return;
+    }
+    
+    // Handle attachment MIME blocklist entry (admin only)
+    if (session.step === 'waiting_mime_block' && isAdmin(userId)) {
+      const mimeType = ctx.message.text.trim().toLowerCase();
+      
+      if (!attachments.blockMimeType(mimeType)) {
+        ctx.replyWithHTML(t(userId, 'mime_invalid'));
+        return;
+      }
+      
+      ctx.replyWithHTML(`${t(userId, 'mime_blocked')}<code>${escapeHtml(mimeType)}</code>`);
+      session.step = null;
+      return;
+    }
+    
+    // Handle forwarding target chat
+    if (session.step === 'waiting_forward_chat') {
+      const email = storage.getEmail(session.forwardEmailId);
+      if (!email || email.userId !== String(userId)) {
+        session.step = null;
+        ctx.replyWithHTML(t(userId, 'button_expired'));
+        return;
+      }
+      
+      let chat;
+      try {
+        chat = await resolveForwardChat(userId, ctx.message.text);
+      } catch (error) {
+        ctx.replyWithHTML(`${t(userId, 'forward_chat_error')}${escapeHtml(error.message)}`);
+        return;
+      }
+      
+      session.step = null;
+      const target = forwarding.addTarget(email.id, chat);
+      const buttons = [[{ text: t(userId, 'forwarding'), callback_data: `fwd_${emailToken(userId, email.id)}` }]];
+      if (!target) {
+        ctx.replyWithHTML(t(userId, 'forward_target_exists'), { reply_markup: { inline_keyboard: buttons } });
+        return;
+      }
+      ctx.replyWithHTML(
+        `${t(userId, 'forward_target_added')}<b>${escapeHtml(chat.title)}</b>`,
+        { reply_markup: { inline_keyboard: buttons } }
+      );
+      return;
+    }
+    
+    // Handle forwarding filter ("-" clears it)
+    if (session.step === 'waiting_forward_filter') {
+      const target = forwarding.getTarget(session.forwardTargetId);
+      const email = target && storage.getEmail(target.emailId);
+      if (!email || email.userId !== String(userId)) {
+        session.step = null;
+        ctx.replyWithHTML(t(userId, 'button_expired'));
+        return;
+      }
+      
+      const value = ctx.message.text.trim().substring(0, 100);
+      forwarding.setFilter(target.id, session.forwardFilterField, value === '-' ? null : value);
+      session.step = null;
+      ctx.replyWithHTML(t(userId, 'forward_filter_saved'), {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: t(userId, 'forwarding'), callback_data: `fwdt_${forwardToken(userId, target.id)}` }]
+          ]
+        }
+      });
+      return;
+    }
+    
+    // Handle a typed timezone name
+    if (session.step === 'waiting_timezone') {
+      const zone = dates.normalizeTimezone(ctx.message.text);
+      if (!zone) {
+        ctx.replyWithHTML(t(userId, 'timezone_invalid'));
+        return;
+      }
+      storage.setUserTimezone(userId, zone);
+      session.step = null;
+      ctx.replyWithHTML(
+        t(userId, 'timezone_set', { zone: `<b>${escapeHtml(zone)}</b>`, time: formatDate(userId, new Date()) }),
+        {
+          reply_markup: {
+            inline_keyboard: [[{ text: t(userId, 'back_settings'), callback_data: 'settings' }]]
+          }
+        }
+      );
+      return;
+    }
+    
+    // Handle prefix template ("-" clears it)
+    if (session.step === 'waiting_prefix_template') {
+      const value = ctx.message.text.trim();
+      const template = preferences.normalizeTemplate(value);
+      if (value !== '-' && !template) {
+        ctx.replyWithHTML(t(userId, 'prefs_invalid_template', { max: preferences.MAX_TEMPLATE_LENGTH }));
+        return;
+      }
+      preferences.setPreferences(userId, { prefixTemplate: value === '-' ? null : template });
+      session.step = null;
+      showPreferences(ctx, userId, true);
+      return;
+    }
+    
+    // Handle archive search
+    if (session.step === 'waiting_archive_search') {
+      session.step = null;
+      session.archiveQuery = ctx.message.text.trim().substring(0, 100);
+      const results = renderSearchResults(userId, 0);
+      ctx.replyWithHTML(results.message, { reply_markup: { inline_keyboard: results.buttons } });
+      return;
+    }
+    
+    // Handle email list search ("-" clears it)
+    if (session.step === 'waiting_list_search') {
+      const query = ctx.message.text.trim();
+      setListOptions(userId, { search: query === '-' ? null : query });
+      session.step = null;
+      
+      const list = await renderEmailList(userId, 0, false);
+      if (!list) {
+        ctx.replyWithHTML(t(userId, 'no_emails'));
+        return;
+      }
+      ctx.replyWithHTML(list.message, { reply_markup: { inline_keyboard: list.buttons } });
+      return;
+    }
+    
+    // Handle email label or note ("-" clears it)
+    if (session.step === 'waiting_email_label' || session.step === 'waiting_email_note') {
+      const email = storage.getEmail(session.labelEmailId);
+      if (!email || email.userId !== String(userId)) {
+        session.step = null;
+        ctx.replyWithHTML(t(userId, 'button_expired'));
+        return;
+      }
+      
+      const value = ctx.message.text.trim();
+      if (session.step === 'waiting_email_label') {
+        emailList.setLabel(email.id, value === '-' ? null : value);
+      } else {
+        emailList.setNote(email.id, value === '-' ? null : value);
+      }
+      session.step = null;
+      
+      const token = emailToken(userId, email.id);
+      ctx.replyWithHTML(t(userId, 'email_details_saved'), {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: t(userId, 'label_note'), callback_data: `meta_${token}` }],
+            [{ text: t(userId, 'open'), callback_data: `view_email_${token}` }]
+          ]
+        }
+      });
+      return;
+    }
+    
     // Handle email prefix (existing functionality)
     if (session.step === 'email_prefix') {
       const prefix = ctx.message.text;
       session.step = 'expiry_time';
-      
-      const expiryOptions = [
-        [{ text: t(userId, '1_hour'), callback_data: 'expiry_3600000' }],
-        [{ text: t(userId, '1_day'), callback_data: 'expiry_86400000' }],
-        [{ text: t(userId, '3_days'), callback_data: 'expiry_259200000' }],
-        [{ text: t(userId, 'permanent'), callback_data: 'expiry_0' }]
-      ];
-      
       session.prefix = prefix;
       ctx.replyWithHTML(
         `<b>${t(userId, 'select_expiry')}</b>`,
-        { reply_markup: { inline_keyboard: expiryOptions } }
+        { reply_markup: { inline_keyboard: expiryButtons(userId, 'expiry_') } }
       );
     }
   } catch (error) {
@@ -563,26 +1229,51 @@ bot.action(/^expiry_(\d+)$/, async (ctx) => {
   const userId = ctx.from.id;
   const session = userSessions[userId];
   const expiryTime = parseInt(ctx.match[1]);
+  // Old buttons and second taps find the flow finished; only offered expiries are accepted
+  if (!session || session.step !== 'expiry_time' || !preferences.EXPIRY_OPTIONS.includes(expiryTime)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  session.step = null;
+  
+  // Checked again here: limits may have been reached since the flow started
+  const quotaProblem = quotaError(userId, expiryTime === 0);
+  if (quotaProblem) {
+    ctx.editMessageText(quotaProblem, { parse_mode: 'HTML' });
+    return;
+  }
   
   try {
     await ctx.editMessageText(`<b>${t(userId, 'creating')}</b>`, { parse_mode: 'HTML' });
     
-    const result = await generateEmail(session.prefix, expiryTime, session.domain);
-    
-    // Track this email as belonging to this user in database
-    addEmailToUser(userId, result.id);
-    
+    const result = await createEmailFor(userId, session.prefix, expiryTime, session.domain);
     session.lastEmail = result;
     
-    ctx.editMessageText(
-      `<b>${t(userId, 'email_created')}</b>\n\n` +
-      `📧 <b>${result.email}</b>\n\n` +
-      `📅 ${t(userId, 'version')}: ${new Date().toLocaleString()}\n` +
-      `⏰ ${t(userId, 'received')}: ${new Date(Date.now() + expiryTime).toLocaleString()}`,
-      { parse_mode: 'HTML' }
-    );
-    
-    session.step = null;
+    ctx.editMessageText(formatCreatedEmail(userId, result, expiryTime), { parse_mode: 'HTML' });
+  } catch (error) {
+    ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+bot.command('new', async (ctx) => {
+  const userId = ctx.from.id;
+  try {
+    const created = await quickCreate(userId);
+    ctx.replyWithHTML(created.message, { reply_markup: { inline_keyboard: created.buttons } });
+  } catch (error) {
+    ctx.replyWithHTML(t(userId, 'error') + error.message);
+  }
+});
+
+bot.action('quick_create', async (ctx) => {
+  const userId = ctx.from.id;
+  try {
+    await ctx.editMessageText(`<b>${t(userId, 'creating')}</b>`, { parse_mode: 'HTML' });
+    const created = await quickCreate(userId);
+    ctx.editMessageText(created.message, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: created.buttons }
+    });
   } catch (error) {
     ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
   }
@@ -590,130 +1281,362 @@ bot.action(/^expiry_(\d+)$/, async (ctx) => {
 
 // ==================== List & View Emails ====================
 
+// Sort, filter and search of the user's email list, kept in the session
+function getListOptions(userId) {
+  return emailList.normalizeOptions(userSessions[userId]?.listOptions);
+}
+
+function setListOptions(userId, changes) {
+  userSessions[userId] = userSessions[userId] || {};
+  userSessions[userId].listOptions = emailList.normalizeOptions({ ...getListOptions(userId), ...changes });
+}
+
+// Listing entry with what the user stored for it; the stored expiry is the one extensions update
+function withStoredDetails(email) {
+  const stored = storage.getEmail(email.id) || {};
+  return {
+    ...email,
+    expiresAt: stored.expiresAt || email.expiresAt || null,
+    label: stored.label || null,
+    note: stored.note || null,
+    unread: stored.unread || 0
+  };
+}
+
+// "Sorted by expiry · Unread · Search: "jenkins"" for lists that are not shown as listed
+function formatListOptions(userId, options) {
+  const parts = [];
+  if (options.sort !== 'newest') parts.push(t(userId, 'sorted_by', { sort: t(userId, `sort_${options.sort}`) }));
+  if (options.filter !== 'all') parts.push(t(userId, `filter_${options.filter}`));
+  if (options.search) parts.push(t(userId, 'search_for', { query: escapeHtml(options.search) }));
+  return parts.join(' · ');
+}
+
+// One page of the user's email list, or null when there are none
+// Sorted, filtered or searched lists need the whole listing; the default one is fetched page by page
+async function renderEmailList(userId, page, fresh) {
+  const options = getListOptions(userId);
+  const pager = getUserEmailPager(userId, fresh);
+  let view;
+  if (emailList.isDefault(options)) {
+    view = await pager.getPage(page, LIST_PAGE_SIZE);
+    if (view.items.length === 0) return null;
+    view.items = view.items.map(withStoredDetails);
+  } else {
+    const all = (await pager.getAll()).map(withStoredDetails);
+    view = paginateArray(emailList.applyOptions(all, options), page, LIST_PAGE_SIZE);
+  }
+  
+  let message = `<b>${t(userId, 'your_emails')}</b>\n`;
+  if (!emailList.isDefault(options)) {
+    message += `<i>${formatListOptions(userId, options)}</i>\n`;
+  }
+  message += '\n';
+  if (view.items.length === 0) {
+    message += t(userId, 'no_matching_emails');
+  }
+  const buttons = [];
+  
+  view.items.forEach((email, offset) => {
+    const index = view.start + offset;
+    message += email.label
+      ? `${index + 1}. 🏷 <b>${escapeHtml(email.label)}</b>\n   <code>${escapeHtml(email.address)}</code>\n`
+      : `${index + 1}. <code>${escapeHtml(email.address)}</code>\n`;
+    message += `   ${formatExpiry(userId, email)}`;
+    if (email.unread > 0) message += ` · ${t(userId, 'unread_count', { count: email.unread })}`;
+    message += '\n';
+    buttons.push([
+      { text: `📧 ${index + 1}`, callback_data: `view_email_${emailToken(userId, email.id)}` }
+    ]);
+  });
+  
+  buttons.push(...pageNavigation(view, p => `list_emails_${p}`));
+  buttons.push([
+    { text: t(userId, 'list_options'), callback_data: 'list_options' },
+    { text: t(userId, 'search_emails'), callback_data: 'list_search' }
+  ]);
+  buttons.push([{ text: t(userId, 'refresh'), callback_data: 'list_emails' }]);
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'back_menu' }]);
+  
+  userSessions[userId] = userSessions[userId] || {};
+  userSessions[userId].emailListPage = view.page;
+  return { message, buttons };
+}
+
+// Page of the email list an email was last seen on, for back buttons
+function emailListPageOf(userId, emailId) {
+  // Sorted and filtered lists are rebuilt on every render; the page last shown is the best guess
+  if (!emailList.isDefault(getListOptions(userId))) {
+    return userSessions[userId]?.emailListPage || 0;
+  }
+  const index = getUserEmailPager(userId).items.findIndex(email => email.id === emailId);
+  return index === -1 ? 0 : Math.floor(index / LIST_PAGE_SIZE);
+}
+
+// Page of an inbox a message was last seen on, for back buttons
+function inboxPageOf(viewer, emailId, messageId) {
+  const index = getInboxPager(viewer, emailId).items.findIndex(msg => msg.id === messageId);
+  return index === -1 ? 0 : Math.floor(index / LIST_PAGE_SIZE);
+}
+
+// Messages before and after one in the inbox listing, if that part was fetched already
+function neighbouringMessages(viewer, emailId, messageId) {
+  const items = getInboxPager(viewer, emailId).items;
+  const index = items.findIndex(msg => msg.id === messageId);
+  if (index === -1) return { previous: null, next: null };
+  return { previous: items[index - 1] || null, next: items[index + 1] || null };
+}
+
 bot.command('list', async (ctx) => {
   const userId = ctx.from.id;
   try {
     await ctx.replyWithHTML(t(userId, 'loading_emails'));
-    const userId = ctx.from.id;
-    const data = await listUserEmails(userId);
+    const list = await renderEmailList(userId, 0, true);
     
-    if (!data.emails || data.emails.length === 0) {
+    if (!list) {
       ctx.replyWithHTML(t(userId, 'no_emails'));
       return;
     }
     
-    let message = `<b>${t(userId, 'your_emails')}</b>\n\n`;
-    const buttons = [];
-    
-    data.emails.forEach((email, index) => {
-      message += `${index + 1}. <code>${email.address}</code>\n`;
-      buttons.push([
-        { text: `📧 ${index + 1}`, callback_data: `view_email_${index}` }
-      ]);
-    });
-    
-    buttons.push([{ text: t(userId, 'refresh'), callback_data: 'list_emails' }]);
-    buttons.push([{ text: t(userId, 'back'), callback_data: 'back_menu' }]);
-    
-    userSessions[userId].emails = data.emails;
-    ctx.replyWithHTML(message, {
-      reply_markup: { inline_keyboard: buttons }
+    ctx.replyWithHTML(list.message, {
+      reply_markup: { inline_keyboard: list.buttons }
     });
   } catch (error) {
     ctx.replyWithHTML(t(userId, 'error') + error.message);
   }
 });
 
-bot.action('list_emails', async (ctx) => {
+// "list_emails" starts over from the first page; "list_emails_<page>" reuses what was fetched
+bot.action(/^list_emails(?:_(\d+))?$/, async (ctx) => {
   const userId = ctx.from.id;
+  const page = parseInt(ctx.match[1] || '0');
+  const fresh = ctx.match[1] === undefined;
   try {
     await ctx.editMessageText(t(userId, 'loading_emails'), { parse_mode: 'HTML' });
-    const data = await listUserEmails(userId);
+    const list = await renderEmailList(userId, page, fresh);
     
-    if (!data.emails || data.emails.length === 0) {
+    if (!list) {
       ctx.editMessageText(t(userId, 'no_emails'), { parse_mode: 'HTML' });
       return;
     }
     
-    let message = `<b>${t(userId, 'your_emails')}</b>\n\n`;
-    const buttons = [];
-    
-    data.emails.forEach((email, index) => {
-      message += `${index + 1}. <code>${email.address}</code>\n`;
-      buttons.push([
-        { text: `📧 ${index + 1}`, callback_data: `view_email_${index}` }
-      ]);
-    });
-    
-    buttons.push([{ text: t(userId, 'refresh'), callback_data: 'list_emails' }]);
-    buttons.push([{ text: t(userId, 'back'), callback_data: 'back_menu' }]);
-    
-    userSessions[userId].emails = data.emails;
-    ctx.editMessageText(message, {
+    ctx.editMessageText(list.message, {
       parse_mode: 'HTML',
-      reply_markup: { inline_keyboard: buttons }
+      reply_markup: { inline_keyboard: list.buttons }
     });
   } catch (error) {
     ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
   }
 });
 
-bot.action(/^view_email_(.+)$/, async (ctx) => {
-  const emailIndex = parseInt(ctx.match[1]);
-  const userId = ctx.from.id;
-  const email = userSessions[userId].emails?.[emailIndex];
+// Sort and filter choices of the email list, the current ones ticked
+function showListOptions(ctx, userId) {
+  const options = getListOptions(userId);
+  const tick = (selected, text) => (selected ? `✅ ${text}` : text);
+  const inRows = buttons => buttons.reduce((rows, button, index) => {
+    if (index % 2 === 0) rows.push([]);
+    rows[rows.length - 1].push(button);
+    return rows;
+  }, []);
   
-  if (!email) {
-    ctx.answerCbQuery(t(userId, 'error') + 'Email not found', true);
-    return;
+  const buttons = [
+    ...inRows(emailList.SORTS.map(sort => ({
+      text: tick(options.sort === sort, t(userId, `sort_${sort}`)),
+      callback_data: `list_sort_${sort}`
+    }))),
+    ...inRows(emailList.FILTERS.map(filter => ({
+      text: tick(options.filter === filter, t(userId, `filter_${filter}`)),
+      callback_data: `list_filter_${filter}`
+    })))
+  ];
+  buttons.push([
+    { text: t(userId, 'search_emails'), callback_data: 'list_search' },
+    { text: t(userId, 'reset_list_options'), callback_data: 'list_reset' }
+  ]);
+  buttons.push([{ text: t(userId, 'show_emails'), callback_data: 'list_emails_0' }]);
+  
+  let message = `<b>${t(userId, 'list_options_title')}</b>\n\n` +
+    `${t(userId, 'sort_heading')}: <b>${t(userId, `sort_${options.sort}`)}</b>\n` +
+    `${t(userId, 'filter_heading')}: <b>${t(userId, `filter_${options.filter}`)}</b>`;
+  if (options.search) {
+    message += `\n${t(userId, 'search_for', { query: escapeHtml(options.search) })}`;
   }
   
-  try {
-    await ctx.editMessageText(t(userId, 'loading_messages'), { parse_mode: 'HTML' });
-    const data = await getMessages(email.id);
-    
-    if (!data.messages || data.messages.length === 0) {
-      ctx.editMessageText(
-        `📧 <b>${email.address}</b>\n\n${t(userId, 'no_messages')}`,
-        {
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: t(userId, 'refresh'), callback_data: `view_email_${emailIndex}` }],
-              [{ text: t(userId, 'delete'), callback_data: `delete_email_${emailIndex}` }],
-              [{ text: t(userId, 'back'), callback_data: 'list_emails' }]
-            ]
-          }
-        }
-      );
-      return;
-    }
-    
-    // Cache messages
-    messageCache[`${userId}_${emailIndex}`] = data.messages;
-    
-    let message = `📧 <b>${email.address}</b>
+  ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
 
-<b>${t(userId, 'messages')}:</b>
+bot.action('list_options', (ctx) => {
+  const userId = ctx.from.id;
+  userSessions[userId].step = null;
+  showListOptions(ctx, userId);
+});
+
+bot.action(/^list_(sort|filter)_([a-z]+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  setListOptions(userId, { [ctx.match[1]]: ctx.match[2] });
+  showListOptions(ctx, userId);
+});
+
+bot.action('list_reset', (ctx) => {
+  const userId = ctx.from.id;
+  setListOptions(userId, { sort: 'newest', filter: 'all', search: null });
+  showListOptions(ctx, userId);
+});
+
+bot.action('list_search', (ctx) => {
+  const userId = ctx.from.id;
+  userSessions[userId].step = 'waiting_list_search';
+  ctx.editMessageText(t(userId, 'send_email_search'), {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[{ text: t(userId, 'cancel'), callback_data: 'list_options' }]]
+    }
+  });
+});
+
+// Label and note of an address
+function formatEmailHeader(email) {
+  let header = `📧 <b>${escapeHtml(email.address)}</b>`;
+  if (email.label) header += `\n🏷 <b>${escapeHtml(email.label)}</b>`;
+  if (email.note) header += `\n📝 <i>${escapeHtml(email.note)}</i>`;
+  return header;
+}
+
+function showEmailDetails(ctx, userId, email, token) {
+  const buttons = [[
+    { text: t(userId, 'edit_label'), callback_data: `meta_label_${token}` },
+    { text: t(userId, 'edit_note'), callback_data: `meta_note_${token}` }
+  ]];
+  if (email.label || email.note) {
+    buttons.push([{ text: t(userId, 'clear_label_note'), callback_data: `meta_clear_${token}` }]);
+  }
+  buttons.push([{ text: t(userId, 'back'), callback_data: `view_email_${token}` }]);
+  
+  ctx.editMessageText(
+    `<b>${t(userId, 'label_note_title')}</b>\n\n` +
+    `📧 <code>${escapeHtml(email.address)}</code>\n\n` +
+    `🏷 ${email.label ? `<b>${escapeHtml(email.label)}</b>` : t(userId, 'no_label')}\n` +
+    `📝 ${email.note ? `<i>${escapeHtml(email.note)}</i>` : t(userId, 'no_note')}`,
+    {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    }
+  );
+}
+
+// "meta_<token>" shows the label and note, "meta_label_" / "meta_note_" ask for a new one, "meta_clear_" removes both
+bot.action(/^meta_(?:(label|note|clear)_)?([0-9a-f]+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const token = ctx.match[2];
+  const email = resolveEmailToken(ctx, token);
+  
+  if (!email || email.userId !== String(userId)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  const session = userSessions[userId];
+  session.step = null;
+  
+  if (ctx.match[1] === 'label' || ctx.match[1] === 'note') {
+    session.step = `waiting_email_${ctx.match[1]}`;
+    session.labelEmailId = email.id;
+    ctx.editMessageText(
+      ctx.match[1] === 'label'
+        ? t(userId, 'send_email_label', { max: emailList.MAX_LABEL_LENGTH })
+        : t(userId, 'send_email_note', { max: emailList.MAX_NOTE_LENGTH }),
+      {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[{ text: t(userId, 'cancel'), callback_data: `meta_${token}` }]]
+        }
+      }
+    );
+    return;
+  }
+  
+  if (ctx.match[1] === 'clear') {
+    emailList.setLabel(email.id, null);
+    emailList.setNote(email.id, null);
+  }
+  showEmailDetails(ctx, userId, storage.getEmail(email.id), token);
+});
+
+// "view_email_<token>" reloads the inbox; "view_email_<token>_<page>" pages through it
+bot.action(/^view_email_([0-9a-f]+)(?:_(\d+))?$/, async (ctx) => {
+  const token = ctx.match[1];
+  const page = parseInt(ctx.match[2] || '0');
+  const userId = ctx.from.id;
+  const email = resolveEmailToken(ctx, token);
+  
+  if (!email) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  const listPage = emailListPageOf(userId, email.id);
+  
+  try {
+    await ctx.editMessageText(t(userId, 'loading_messages'), { parse_mode: 'HTML' });
+    const pager = getInboxPager(userId, email.id, ctx.match[2] === undefined);
+    const view = await pager.getPage(page, LIST_PAGE_SIZE);
+    // Opening the inbox reads what the watcher announced
+    if (email.userId === String(userId)) {
+      emailList.markRead(email.id);
+    }
+    
+    if (view.items.length === 0) {
+      ctx.editMessageText(
+        `${formatEmailHeader(email)}\n\n${t(userId, 'no_messages')}`,
+        {
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: t(userId, 'refresh'), callback_data: `view_email_${token}` }],
+              [
+                { text: t(userId, 'forwarding'), callback_data: `fwd_${token}` },
+                { text: t(userId, 'label_note'), callback_data: `meta_${token}` }
+              ],
+              [{ text: t(userId, 'delete'), callback_data: `delete_email_${token}` }],
+              [{ text: t(userId, 'back'), callback_data: `list_emails_${listPage}` }]
+            ]
+          }
+        }
+      );
+      return;
+    }
+    
+    let message = `${formatEmailHeader(email)}
+
+<b>${t(userId, 'messages')}:</b>
 
 `;
     const buttons = [];
     
-    data.messages.forEach((msg, index) => {
-      message += `${index + 1}. <b>${msg.from_address}</b>\n`;
-      message += `   ${msg.subject}\n\n`;
+    view.items.forEach((msg, offset) => {
+      const index = view.start + offset;
+      message += `${index + 1}. <b>${escapeHtml(msg.from_address)}</b>\n`;
+      message += `   ${escapeHtml(msg.subject)}\n`;
+      message += `   🕐 ${formatTimeAgo(userId, msg.received_at)}\n\n`;
       buttons.push([
-        { text: `📨 ${index + 1}`, callback_data: `msg_${emailIndex}_${index}` }
+        { text: `📨 ${index + 1}`, callback_data: `msg_${messageToken(userId, email.id, msg.id)}` }
       ]);
     });
     
+    buttons.push(...pageNavigation(view, p => `view_email_${token}_${p}`));
+    buttons.push([
+      { text: t(userId, 'refresh'), callback_data: `view_email_${token}` },
+      { text: t(userId, 'delete_email'), callback_data: `delete_email_${token}` }
+    ]);
     buttons.push([
-      { text: t(userId, 'refresh'), callback_data: `view_email_${emailIndex}` },
-      { text: t(userId, 'delete_email'), callback_data: `delete_email_${emailIndex}` }
+      { text: t(userId, 'forwarding'), callback_data: `fwd_${token}` },
+      { text: t(userId, 'label_note'), callback_data: `meta_${token}` }
     ]);
-    buttons.push([{ text: t(userId, 'back'), callback_data: 'list_emails' }]);
+    buttons.push([{ text: t(userId, 'back'), callback_data: `list_emails_${listPage}` }]);
     
-    userSessions[userId].currentEmailIndex = emailIndex;
     ctx.editMessageText(message, {
       parse_mode: 'HTML',
       reply_markup: { inline_keyboard: buttons }
@@ -723,48 +1646,123 @@ bot.action(/^view_email_(.+)$/, async (ctx) => {
   }
 });
 
-bot.action(/^msg_(\d+)_(\d+)$/, async (ctx) => {
-  const emailIndex = parseInt(ctx.match[1]);
-  const messageIndex = parseInt(ctx.match[2]);
+bot.action(/^msg_([0-9a-f]+)(?:_(\d+))?$/, async (ctx) => {
+  const token = ctx.match[1];
+  const page = parseInt(ctx.match[2] || '0');
   const userId = ctx.from.id;
+  const target = resolveMessageToken(ctx, token);
   
-  const email = userSessions[userId].emails?.[emailIndex];
-  const messages = messageCache[`${userId}_${emailIndex}`];
-  const msg = messages?.[messageIndex];
-  
-  if (!email || !msg) {
-    ctx.answerCbQuery(t(userId, 'error') + 'Message not found', true);
+  if (!target) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
+  const { email, messageId } = target;
+  
   try {
-    await ctx.editMessageText(t(userId, 'loading_message'), { parse_mode: 'HTML' });
-    const message = await getMessageDetail(email.id, msg.id);
-    
-    let content = `<b>${t(userId, 'from')}:</b> ${message.from_address}\n`;
-    content += `<b>${t(userId, 'subject')}:</b> ${message.subject}\n`;
-    content += `<b>${t(userId, 'received')}:</b> ${new Date(message.received_at).toLocaleString()}\n\n`;
-    content += `<b>───────────────────────</b>\n\n`;
+    if (!messageDetailCache.has(`${email.id}_${messageId}`)) {
+      await ctx.editMessageText(t(userId, 'loading_message'), { parse_mode: 'HTML' });
+    }
+    const message = await getCachedMessageDetail(email.id, messageId);
+    archive.archiveMessage(email, message);
+    const view = formatMessageDetail(userId, message, page);
+    const { previous, next } = neighbouringMessages(userId, email.id, messageId);
     
+    const buttons = messageNavigation(
+      userId,
+      view,
+      p => `msg_${token}_${p}`,
+      previous ? `msg_${messageToken(userId, email.id, previous.id)}` : null,
+      next ? `msg_${messageToken(userId, email.id, next.id)}` : null
+    );
+    buttons.push(...attachmentButtons(userId, message, n => `att_${token}_${n}`, `imgs_${token}`));
     if (message.html) {
-      content += `<i>${t(userId, 'html_available')}</i>\n\n`;
+      buttons.push([{ text: t(userId, 'original_html'), callback_data: `html_msg_${token}` }]);
     }
+    buttons.push([{ text: t(userId, 'delete'), callback_data: `del_msg_${token}` }]);
+    buttons.push([{
+      text: t(userId, 'back'),
+      callback_data: `view_email_${emailToken(userId, email.id)}_${inboxPageOf(userId, email.id, messageId)}`
+    }]);
     
-    content += message.content || 'No content';
+    ctx.editMessageText(view.content, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    });
+  } catch (error) {
+    ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+bot.action(/^html_msg_([0-9a-f]+)$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const target = resolveMessageToken(ctx, ctx.match[1]);
+  
+  if (!target) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  await sendOriginalHtml(ctx, userId, target.email.id, target.messageId);
+});
+
+bot.action(/^att_([0-9a-f]+)_(\d+)$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const target = resolveMessageToken(ctx, ctx.match[1]);
+  
+  if (!target) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  await sendAttachment(ctx, userId, target.email.id, target.messageId, parseInt(ctx.match[2]));
+});
+
+bot.action(/^imgs_([0-9a-f]+)$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const target = resolveMessageToken(ctx, ctx.match[1]);
+  
+  if (!target) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  await sendInlineImages(ctx, userId, target.email.id, target.messageId);
+});
+
+// Opened from a new mail notification, so there is no session index to rely on
+bot.action(/^open_msg_([0-9a-f]+)(?:_(\d+))?$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const token = ctx.match[1];
+  const page = parseInt(ctx.match[2] || '0');
+  const target = resolveMessageToken(ctx, token);
+  
+  if (!target) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  const emailId = target.email.id;
+  const messageId = target.messageId;
+  
+  userSessions[userId] = userSessions[userId] || {};
+  
+  try {
+    if (!messageDetailCache.has(`${emailId}_${messageId}`)) {
+      await ctx.editMessageText(t(userId, 'loading_message'), { parse_mode: 'HTML' });
+    }
+    const message = await getCachedMessageDetail(emailId, messageId);
+    const view = formatMessageDetail(userId, message, page);
     
-    // Truncate if too long
-    if (content.length > 4000) {
-      content = content.substring(0, 4000) + `...\n\n<i>${t(userId, 'message_truncated')}</i>`;
+    const buttons = messageNavigation(userId, view, p => `open_msg_${token}_${p}`);
+    buttons.push(...attachmentButtons(userId, message, n => `att_${token}_${n}`, `imgs_${token}`));
+    if (message.html) {
+      buttons.push([{ text: t(userId, 'original_html'), callback_data: `html_msg_${token}` }]);
     }
+    buttons.push([{ text: t(userId, 'my_emails'), callback_data: 'list_emails' }]);
     
-    ctx.editMessageText(content, {
+    ctx.editMessageText(view.content, {
       parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: t(userId, 'delete'), callback_data: `del_msg_${emailIndex}_${messageIndex}` }],
-          [{ text: t(userId, 'back'), callback_data: `view_email_${emailIndex}` }]
-        ]
-      }
+      reply_markup: { inline_keyboard: buttons }
     });
   } catch (error) {
     ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
@@ -773,18 +1771,25 @@ bot.action(/^msg_(\d+)_(\d+)$/, async (ctx) => {
 
 // ==================== Delete Actions ====================
 
-bot.action(/^delete_email_(\d+)$/, (ctx) => {
+bot.action(/^delete_email_([0-9a-f]+)$/, (ctx) => {
   const userId = ctx.from.id;
-  const emailIndex = parseInt(ctx.match[1]);
+  const token = ctx.match[1];
+  const email = resolveEmailToken(ctx, token);
+  
+  if (!email) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
   ctx.editMessageText(
-    t(userId, 'confirm_delete'),
+    `${t(userId, 'confirm_delete')}\n\n📧 <code>${escapeHtml(email.address)}</code>`,
     {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
           [
-            { text: t(userId, 'yes'), callback_data: `confirm_del_email_${emailIndex}` },
-            { text: t(userId, 'no'), callback_data: `view_email_${emailIndex}` }
+            { text: t(userId, 'yes'), callback_data: `confirm_del_email_${token}` },
+            { text: t(userId, 'no'), callback_data: `view_email_${token}` }
           ]
         ]
       }
@@ -792,13 +1797,13 @@ bot.action(/^delete_email_(\d+)$/, (ctx) => {
   );
 });
 
-bot.action(/^confirm_del_email_(\d+)$/, async (ctx) => {
-  const emailIndex = parseInt(ctx.match[1]);
+bot.action(/^confirm_del_email_([0-9a-f]+)$/, async (ctx) => {
   const userId = ctx.from.id;
-  const email = userSessions[userId].emails?.[emailIndex];
+  const email = resolveEmailToken(ctx, ctx.match[1]);
   
-  if (!email) {
-    ctx.answerCbQuery(t(userId, 'error') + 'Email not found', true);
+  // Only the owner deletes from here; admins use the admin panel
+  if (!email || email.userId !== String(userId)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
@@ -809,577 +1814,1801 @@ bot.action(/^confirm_del_email_(\d+)$/, async (ctx) => {
     
     ctx.editMessageText(t(userId, 'email_deleted'), { parse_mode: 'HTML' });
     
-    setTimeout(() => {
-      ctx.editMessageText(t(userId, 'loading_emails'), { parse_mode: 'HTML' });
-      bot.action('list_emails').middleware()[0](ctx);
+    setTimeout(async () => {
+      try {
+        const list = await renderEmailList(userId, userSessions[userId]?.emailListPage || 0, true);
+        if (!list) {
+          ctx.editMessageText(t(userId, 'no_emails'), { parse_mode: 'HTML' });
+          return;
+        }
+        ctx.editMessageText(list.message, {
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: list.buttons }
+        });
+      } catch (error) {
+        ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
+      }
     }, 1000);
   } catch (error) {
     ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
   }
 });
 
-bot.action(/^del_msg_(\d+)_(\d+)$/, async (ctx) => {
-  const emailIndex = parseInt(ctx.match[1]);
-  const messageIndex = parseInt(ctx.match[2]);
+bot.action(/^del_msg_([0-9a-f]+)$/, async (ctx) => {
   const userId = ctx.from.id;
+  const target = resolveMessageToken(ctx, ctx.match[1]);
   
-  const email = userSessions[userId].emails?.[emailIndex];
-  const messages = messageCache[`${userId}_${emailIndex}`];
-  const msg = messages?.[messageIndex];
-  
-  if (!email || !msg) {
-    ctx.answerCbQuery(t(userId, 'error') + 'Message not found', true);
+  if (!target || target.email.userId !== String(userId)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
+  const { email, messageId } = target;
+  
   try {
-    await deleteMessage(email.id, msg.id);
-    ctx.editMessageText(t(userId, 'message_deleted'), { parse_mode: 'HTML' });
-    
-    setTimeout(() => {
-      ctx.editMessageText(t(userId, 'loading_messages'), { parse_mode: 'HTML' });
-      ctx.answerCbQuery();
-    }, 500);
+    await deleteMessage(email.id, messageId);
+    messageDetailCache.delete(`${email.id}_${messageId}`);
+    listPagers.invalidate(`inbox_${userId}_${email.id}`);
+    ctx.editMessageText(t(userId, 'message_deleted'), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(userId, 'back'), callback_data: `view_email_${emailToken(userId, email.id)}` }]
+        ]
+      }
+    });
   } catch (error) {
     ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
   }
 });
 
-// ==================== Navigation ====================
+// ==================== Forwarding ====================
 
-bot.action('view_profile', async (ctx) => {
-  const userId = ctx.from.id;
-  const user = ctx.from;
-  const db = loadDatabase();
-  const userEmails = Object.keys(db.users[userId] || {}).filter(key => key !== 'language');
-  const userLang = getUserLanguage(userId);
-  const langDisplay = userLang === 'en' ? '🇬🇧 English' : '🇮🇩 Indonesia';
+// Targets of an email with their filters, and buttons to manage them
+function showForwarding(ctx, userId, email, notice = '') {
+  const token = emailToken(userId, email.id);
+  const targets = forwarding.getTargets(email.id);
   
-  // Get user creation date from database
-  const joinDate = db.users[userId]?.joinDate || new Date().toISOString();
+  let message = `<b>${t(userId, 'forwarding')}</b>\n📧 <code>${escapeHtml(email.address)}</code>\n\n`;
+  if (notice) {
+    message += `${notice}\n\n`;
+  }
+  if (targets.length === 0) {
+    message += t(userId, 'no_forward_targets');
+  }
   
-  // Create profile message
-  const profileMessage = 
-    `<b>${t(userId, 'profile_title')}</b>\n\n` +
-    `👤 ${t(userId, 'name')}: ${user.first_name || 'Anonymous'}\n` +
-    `🔐 ${t(userId, 'user_id')}: <code>${userId}</code>\n` +
-    `📧 ${t(userId, 'total_emails')}: ${userEmails.length}\n` +
-    `🇬 ${t(userId, 'language_setting')}: ${langDisplay}\n` +
-    `📅 ${t(userId, 'joined')}: ${new Date(joinDate).toLocaleDateString()}`;
+  const buttons = [];
+  targets.forEach((target, index) => {
+    message += `${index + 1}. <b>${escapeHtml(target.chatTitle || target.chatId)}</b> (<code>${target.chatId}</code>)\n`;
+    message += `   ${formatForwardFilters(userId, target)}\n\n`;
+    buttons.push([{ text: `⚙️ ${index + 1}`, callback_data: `fwdt_${forwardToken(userId, target.id)}` }]);
+  });
   
-  try {
-    // Try to get user profile photos
-    const photos = await ctx.telegram.getUserProfilePhotos(userId, 0, 1);
-    if (photos && photos.total_count > 0) {
-      const photo = photos.photos[0][photos.photos[0].length - 1]; // Get highest resolution
-      // Send profile photo with caption
-      await ctx.replyWithPhoto(photo.file_id, {
-        caption: profileMessage,
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: t(userId, 'back'), callback_data: 'back_menu' }]
-          ]
-        }
-      });
-      return;
+  if (targets.length < forwarding.MAX_TARGETS_PER_EMAIL) {
+    buttons.push([{ text: t(userId, 'add_forward_target'), callback_data: `fwd_add_${token}` }]);
+  }
+  buttons.push([{ text: t(userId, 'back'), callback_data: `view_email_${token}` }]);
+  
+  ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+function formatForwardFilters(userId, target) {
+  return `${t(userId, 'forward_filter_from')}: ${target.fromFilter ? `<code>${escapeHtml(target.fromFilter)}</code>` : t(userId, 'forward_filter_any')}, ` +
+    `${t(userId, 'forward_filter_subject')}: ${target.subjectFilter ? `<code>${escapeHtml(target.subjectFilter)}</code>` : t(userId, 'forward_filter_any')}`;
+}
+
+function forwardToken(userId, targetId) {
+  return callbacks.createToken(userId, { type: 'forward', targetId });
+}
+
+// Target behind a button, only for the owner of its email
+function resolveForwardToken(ctx, token) {
+  const userId = ctx.from.id;
+  const payload = callbacks.resolveToken(userId, token, 'forward');
+  const target = payload && forwarding.getTarget(payload.targetId);
+  const email = target && storage.getEmail(target.emailId);
+  if (!email || email.userId !== String(userId)) return null;
+  return { target, email };
+}
+
+// Check a chat the user wants to forward to: the bot must be able to post there
+// and the user must be a member, so nobody can push mail into chats they are not in
+async function resolveForwardChat(userId, input) {
+  const value = input.trim();
+  const chatId = /^-?\d+$/.test(value) ? value : `@${value.replace(/^@/, '')}`;
+  const chat = await bot.telegram.getChat(chatId);
+  
+  if (chat.type === 'private') {
+    if (String(chat.id) !== String(userId)) {
+      throw new Error(t(userId, 'forward_private_chat'));
     }
-  } catch (error) {
-    // If we can't get profile photo, continue with text-only profile
-    console.log('Could not fetch user profile photo:', error.message);
+    return { id: chat.id, title: t(userId, 'forward_this_chat') };
   }
   
-  // Send text-only profile (fallback)
-  try {
-    ctx.editMessageText(profileMessage, {
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: t(userId, 'back'), callback_data: 'back_menu' }]
-        ]
-      }
-    });
-  } catch (editError) {
-    // If editing fails (e.g., message is a photo), send a new message
-    ctx.reply(profileMessage, {
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: t(userId, 'back'), callback_data: 'back_menu' }]
-        ]
-      }
-    });
+  const member = await bot.telegram.getChatMember(chat.id, userId);
+  if (['left', 'kicked'].includes(member.status)) {
+    throw new Error(t(userId, 'forward_not_member'));
+  }
+  
+  const botId = bot.botInfo?.id || (await bot.telegram.getMe()).id;
+  const self = await bot.telegram.getChatMember(chat.id, botId);
+  const canPost = chat.type === 'channel'
+    ? self.status === 'creator' || (self.status === 'administrator' && self.can_post_messages)
+    : ['creator', 'administrator', 'member'].includes(self.status) ||
+      (self.status === 'restricted' && self.can_send_messages);
+  if (!canPost) {
+    throw new Error(t(userId, 'forward_bot_cannot_post'));
+  }
+  
+  return { id: chat.id, title: chat.title || (chat.username ? `@${chat.username}` : String(chat.id)) };
+}
+
+bot.action(/^fwd_([0-9a-f]+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const email = resolveEmailToken(ctx, ctx.match[1]);
+  
+  if (!email || email.userId !== String(userId)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
   }
+  
+  userSessions[userId].step = null;
+  showForwarding(ctx, userId, email);
 });
 
-bot.action('back_menu', (ctx) => {
+bot.action(/^fwd_add_([0-9a-f]+)$/, (ctx) => {
   const userId = ctx.from.id;
-  userSessions[userId] = {};
+  const token = ctx.match[1];
+  const email = resolveEmailToken(ctx, token);
   
-  // Send new message instead of editing to avoid conflicts
-  ctx.reply(
-    `<b>${t(userId, 'vun_mail')}</b>\n\n${t(userId, 'what_to_do')}`,
+  if (!email || email.userId !== String(userId)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  userSessions[userId].step = 'waiting_forward_chat';
+  userSessions[userId].forwardEmailId = email.id;
+  ctx.editMessageText(
+    `<b>${t(userId, 'add_forward_target')}</b>\n\n${t(userId, 'send_forward_chat')}`,
     {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: t(userId, 'create_email'), callback_data: 'create_email' }],
-          [{ text: t(userId, 'my_emails'), callback_data: 'list_emails' }],
-          [{ text: t(userId, 'profile'), callback_data: 'view_profile' }],
-          [{ text: t(userId, 'settings'), callback_data: 'settings' }]
+          [{ text: t(userId, 'cancel'), callback_data: `fwd_${token}` }]
         ]
       }
     }
   );
 });
 
-bot.action('settings', (ctx) => {
+bot.action(/^fwdt_([0-9a-f]+)$/, (ctx) => {
   const userId = ctx.from.id;
-  const currentLang = getUserLanguage(userId);
-  const langDisplay = currentLang === 'en' ? '🇬🇧 English' : '🇮🇩 Indonesia';
-  
-  const buttons = [
-    [{ text: '🇬🇧 English', callback_data: 'lang_en' }],
-    [{ text: '🇮🇩 Indonesia', callback_data: 'lang_id' }]
-  ];
+  const token = ctx.match[1];
+  const resolved = resolveForwardToken(ctx, token);
   
-  // Add admin button only for admin users
-  if (isAdmin(userId)) {
-    buttons.push([{ text: t(userId, 'admin_panel_button'), callback_data: 'admin_panel' }]);
+  if (!resolved) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
   }
   
-  buttons.push([{ text: t(userId, 'back'), callback_data: 'back_menu' }]);
-  
+  const { target, email } = resolved;
+  userSessions[userId].step = null;
   ctx.editMessageText(
-    `<b>${t(userId, 'settings_title')}</b>\n\n` +
-    `${t(userId, 'version')}\n` +
-    `Created by: <a href=\"https://github.com/VinzxyO\">VinzxyO</a>\n` +
-    `${t(userId, 'api')}\n` +
-    `<b>Language:</b> ${langDisplay}\n\n` +
-    `${t(userId, 'more_settings')}`,
+    `<b>${t(userId, 'forwarding')}</b>\n\n` +
+    `📧 <code>${escapeHtml(email.address)}</code>\n` +
+    `➡️ <b>${escapeHtml(target.chatTitle || target.chatId)}</b> (<code>${target.chatId}</code>)\n\n` +
+    `${formatForwardFilters(userId, target)}\n\n` +
+    `${t(userId, 'forward_filter_help')}`,
     {
       parse_mode: 'HTML',
       reply_markup: {
-        inline_keyboard: buttons
+        inline_keyboard: [
+          [{ text: t(userId, 'set_forward_from'), callback_data: `fwd_from_${token}` }],
+          [{ text: t(userId, 'set_forward_subject'), callback_data: `fwd_subj_${token}` }],
+          [{ text: t(userId, 'remove_forward_target'), callback_data: `fwd_del_${token}` }],
+          [{ text: t(userId, 'back'), callback_data: `fwd_${emailToken(userId, email.id)}` }]
+        ]
       }
     }
   );
 });
 
-bot.action(/^lang_(.+)$/, (ctx) => {
+bot.action(/^fwd_(from|subj)_([0-9a-f]+)$/, (ctx) => {
   const userId = ctx.from.id;
-  const lang = ctx.match[1];
-  const currentLang = getUserLanguage(userId);
+  const field = ctx.match[1] === 'from' ? 'from' : 'subject';
+  const token = ctx.match[2];
+  const resolved = resolveForwardToken(ctx, token);
   
-  // Check if user is selecting the same language
-  if (currentLang === lang) {
-    ctx.answerCbQuery(t(userId, 'language_set'), true);
+  if (!resolved) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
-  setUserLanguage(userId, lang);
-  
-  const newLang = getUserLanguage(userId);
-  const langDisplay = newLang === 'en' ? '🇬🇧 English' : '🇮🇩 Indonesia';
-  
+  userSessions[userId].step = 'waiting_forward_filter';
+  userSessions[userId].forwardTargetId = resolved.target.id;
+  userSessions[userId].forwardFilterField = field;
   ctx.editMessageText(
-    `<b>${t(userId, 'settings_title')}</b>\n\n` +
-    `${t(userId, 'version')}\n` +
-    `Created by: <a href=\"https://github.com/VinzxyO\">VinzxyO</a>\n` +
-    `${t(userId, 'api')}\n` +
-    `<b>Language:</b> ${langDisplay}\n\n` +
-    `${t(userId, 'more_settings')}`,
+    `<b>${t(userId, field === 'from' ? 'set_forward_from' : 'set_forward_subject')}</b>\n\n${t(userId, 'send_forward_filter')}`,
     {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🇬🇧 English', callback_data: 'lang_en' }],
-          [{ text: '🇮🇩 Indonesia', callback_data: 'lang_id' }],
-          [{ text: t(userId, 'back'), callback_data: 'back_menu' }]
+          [{ text: t(userId, 'cancel'), callback_data: `fwdt_${token}` }]
         ]
       }
     }
   );
 });
 
-bot.action('admin_panel', (ctx) => {
+bot.action(/^fwd_del_([0-9a-f]+)$/, (ctx) => {
   const userId = ctx.from.id;
+  const resolved = resolveForwardToken(ctx, ctx.match[1]);
   
-  if (!isAdmin(userId)) {
-    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+  if (!resolved) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
-  const users = getAllUsers();
-  const totalEmails = users.reduce((sum, u) => sum + u.emails.length, 0);
-  
-  ctx.editMessageText(
-    `<b>${t(userId, 'admin_panel')}</b>\n\n` +
-    `${t(userId, 'total_users')}: <b>${users.length}</b>\n` +
-    `${t(userId, 'total_emails_label')}: <b>${totalEmails}</b>\n` +
-    `${t(userId, 'average_label')}: <b>${users.length > 0 ? (totalEmails / users.length).toFixed(2) : 0}</b>`,
-    {
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: t(userId, 'all_users'), callback_data: 'admin_list_users' }],
-          [{ text: t(userId, 'statistics'), callback_data: 'admin_stats' }],
-          [{ text: '⚙️ Settings', callback_data: 'admin_settings' }],
-          [{ text: t(userId, 'back_settings'), callback_data: 'settings' }]
-        ]
-      }
-    }
-  );
+  forwarding.removeTarget(resolved.target.id);
+  showForwarding(ctx, userId, resolved.email, t(userId, 'forward_target_removed'));
 });
 
-bot.command('admin', (ctx) => {
-  const userId = ctx.from.id;
+// ==================== Message Archive ====================
+
+// Why a user cannot search, or null when they can
+function archiveUnavailable(userId) {
+  if (!archive.isEnabled()) return t(userId, 'archive_disabled');
+  if (!archive.isArchiving(userId)) return t(userId, 'archive_opted_out');
+  return null;
+}
+
+// One page of results for the search kept in the session
+function renderSearchResults(userId, page) {
+  const session = userSessions[userId];
+  const results = archive.search(userId, session.archiveQuery);
+  const query = escapeHtml(session.archiveQuery || '');
+  const buttons = [];
   
-  if (!isAdmin(userId)) {
-    ctx.replyWithHTML(t(userId, 'admin_access_denied'));
-    return;
+  if (results.length === 0) {
+    buttons.push([{ text: t(userId, 'search_again'), callback_data: 'archive_search' }]);
+    buttons.push([{ text: t(userId, 'back'), callback_data: 'back_menu' }]);
+    return { message: t(userId, 'search_no_results', { query }), buttons };
   }
   
-  ctx.replyWithHTML(
-    `<b>${t(userId, 'admin_panel')}</b>\n\n` +
-    `<code>/admin_users</code> - ${t(userId, 'cmd_cancel')}\n` +
-    `<code>/admin_stats</code> - ${t(userId, 'statistics')}`,
-    {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '👥 All Users', callback_data: 'admin_list_users' }],
-          [{ text: '📈 Statistics', callback_data: 'admin_stats' }]
-        ]
-      }
-    }
-  );
-});
+  const view = paginateArray(results, page, LIST_PAGE_SIZE);
+  session.archivePage = view.page;
+  
+  let message = `<b>${t(userId, 'search_results', { query, count: results.length })}</b>\n\n`;
+  view.items.forEach((msg, offset) => {
+    const index = view.start + offset;
+    message += `${index + 1}. <b>${escapeHtml(msg.fromAddress)}</b>\n`;
+    message += `   ${escapeHtml(msg.subject)}\n`;
+    message += `   📧 <code>${escapeHtml(msg.address)}</code> · ${formatDate(userId, msg.receivedAt, { relative: true })}\n\n`;
+    
+    // Mail of addresses that still exist opens in the inbox view; the rest from the archive
+    const email = storage.getEmail(msg.emailId);
+    buttons.push([{
+      text: `📨 ${index + 1}`,
+      callback_data: email && email.userId === String(userId)
+        ? `msg_${messageToken(userId, msg.emailId, msg.messageId)}`
+        : `arc_${archivedToken(userId, msg.emailId, msg.messageId)}`
+    }]);
+  });
+  
+  buttons.push(...pageNavigation(view, p => `search_results_${p}`));
+  buttons.push([{ text: t(userId, 'search_again'), callback_data: 'archive_search' }]);
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'back_menu' }]);
+  return { message, buttons };
+}
 
-bot.command('admin_users', (ctx) => {
+bot.command('search', (ctx) => {
   const userId = ctx.from.id;
-  
-  if (!isAdmin(userId)) {
-    ctx.replyWithHTML(t(userId, 'admin_access_denied'));
+  const unavailable = archiveUnavailable(userId);
+  if (unavailable) {
+    ctx.replyWithHTML(unavailable);
     return;
   }
   
-  const users = getAllUsers();
-  let message = `<b>${t(userId, 'all_users')}:</b>\n\n`;
-  
-  if (users.length === 0) {
-    ctx.replyWithHTML(t(userId, 'no_users_found'));
+  const query = ctx.message.text.replace(/^\/search(@\w+)?/i, '').trim();
+  if (!query) {
+    userSessions[userId].step = 'waiting_archive_search';
+    ctx.replyWithHTML(t(userId, 'send_archive_search'));
     return;
   }
   
-  users.forEach((user, index) => {
-    message += `${index + 1}. <code>ID: ${user.userId}</code>\n`;
-    message += `   ${t(userId, 'total_emails')}: ${user.emails.length}\n`;
-    message += `   ${t(userId, 'language_setting')}: ${user.language}\n\n`;
-  });
-  
-  ctx.replyWithHTML(message);
+  userSessions[userId].archiveQuery = query.substring(0, 100);
+  const results = renderSearchResults(userId, 0);
+  ctx.replyWithHTML(results.message, { reply_markup: { inline_keyboard: results.buttons } });
 });
 
-bot.command('admin_stats', (ctx) => {
+bot.action('archive_search', (ctx) => {
   const userId = ctx.from.id;
-  
-  if (!isAdmin(userId)) {
-    ctx.replyWithHTML(t(userId, 'admin_access_denied'));
+  const unavailable = archiveUnavailable(userId);
+  if (unavailable) {
+    ctx.answerCbQuery(unavailable.replace(/<[^>]+>/g, ''), true);
     return;
   }
   
-  const users = getAllUsers();
-  const totalEmails = users.reduce((sum, u) => sum + u.emails.length, 0);
-  
-  ctx.replyWithHTML(
-    `<b>${t(userId, 'statistics')}:</b>\n\n` +
-    `${t(userId, 'total_users')}: <b>${users.length}</b>\n` +
-    `${t(userId, 'total_emails_label')}: <b>${totalEmails}</b>\n` +
-    `${t(userId, 'average_label')}: <b>${users.length > 0 ? (totalEmails / users.length).toFixed(2) : 0}</b>`
-  );
+  userSessions[userId].step = 'waiting_archive_search';
+  ctx.editMessageText(t(userId, 'send_archive_search'), {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[{ text: t(userId, 'cancel'), callback_data: 'back_menu' }]]
+    }
+  });
 });
 
-bot.action('admin_list_users', (ctx) => {
+bot.action(/^search_results_(\d+)$/, (ctx) => {
   const userId = ctx.from.id;
-  
-  if (!isAdmin(userId)) {
-    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+  if (!userSessions[userId].archiveQuery) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
-  const users = getAllUsers();
-  let message = `<b>${t(userId, 'all_users')}:</b>\n\n`;
+  const results = renderSearchResults(userId, parseInt(ctx.match[1]));
+  ctx.editMessageText(results.message, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: results.buttons }
+  });
+});
+
+// Archived copy of a message whose address is gone, shown like the inbox message view
+bot.action(/^arc_([0-9a-f]+)(?:_(\d+))?$/, (ctx) => {
+  const token = ctx.match[1];
+  const userId = ctx.from.id;
+  const payload = callbacks.resolveToken(userId, token, 'archived');
+  const archived = payload && archive.getMessage(userId, payload.emailId, payload.messageId);
   
-  if (users.length === 0) {
-    ctx.editMessageText(t(userId, 'no_users_found'));
+  if (!archived) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
-  const buttons = [];
-  users.forEach((user, index) => {
-    message += `${index + 1}. ID: <code>${user.userId}</code>\n`;
-    message += `   ${t(userId, 'total_emails')}: ${user.emails.length}\n`;
-    message += `   ${t(userId, 'language_setting')}: ${user.language}\n\n`;
-    buttons.push([{ text: `👥 User ${index + 1}`, callback_data: `admin_user_${user.userId}` }]);
-  });
+  const notice = `${t(userId, 'archived_copy', { address: `<code>${escapeHtml(archived.address)}</code>` })}\n\n`;
+  const view = formatMessageDetail(userId, {
+    from_address: archived.fromAddress,
+    subject: archived.subject,
+    content: archived.text,
+    html: archived.html,
+    received_at: archived.receivedAt
+  }, parseInt(ctx.match[2] || '0'), notice);
   
-  buttons.push([{ text: t(userId, 'back'), callback_data: 'admin_panel' }]);
+  const buttons = messageNavigation(userId, view, p => `arc_${token}_${p}`, null, null);
+  buttons.push([{
+    text: t(userId, 'back'),
+    callback_data: userSessions[userId].archiveQuery ? `search_results_${userSessions[userId].archivePage || 0}` : 'back_menu'
+  }]);
   
-  ctx.editMessageText(message, {
+  ctx.editMessageText(view.content, {
     parse_mode: 'HTML',
     reply_markup: { inline_keyboard: buttons }
   });
 });
 
-bot.action(/^admin_user_(.+)$/, async (ctx) => {
+// ==================== Navigation ====================
+
+// Buttons that only display something, such as the page indicator
+bot.action('noop', (ctx) => ctx.answerCbQuery());
+
+bot.action('view_profile', async (ctx) => {
   const userId = ctx.from.id;
-  const targetUserId = ctx.match[1];
+  const user = ctx.from;
+  const userEmails = getUserEmailIds(userId);
+  const langDisplay = getLanguageName(getUserLanguage(userId));
   
-  if (!isAdmin(userId)) {
-    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
-    return;
-  }
+  // Get user creation date from database
+  const joinDate = storage.ensureUser(userId).joinDate;
+  
+  // Create profile message
+  const profileMessage = 
+    `<b>${t(userId, 'profile_title')}</b>\n\n` +
+    `👤 ${t(userId, 'name')}: ${escapeHtml(user.first_name || t(userId, 'anonymous'))}\n` +
+    `🔐 ${t(userId, 'user_id')}: <code>${userId}</code>\n` +
+    `📧 ${t(userId, 'total_emails')}: ${userEmails.length}\n` +
+    `🇬 ${t(userId, 'language_setting')}: ${langDisplay}\n` +
+    `📅 ${t(userId, 'joined')}: ${formatDate(userId, joinDate, { style: 'date', relative: true })}\n` +
+    `🕐 ${t(userId, 'timezone')}: ${escapeHtml(getUserTimezone(userId))}\n\n` +
+    formatQuota(userId, userId);
   
   try {
-    const db = loadDatabase();
-    const userEmails = Object.keys(db.users[targetUserId] || {}).filter(key => key !== 'language');
-    
-    let message = `<b>${t(userId, 'user_emails').replace('{userId}', targetUserId)}</b>\n\n`;
-    
-    if (userEmails.length === 0) {
-      message += t(userId, 'no_emails');
-      ctx.editMessageText(message, {
+    // Try to get user profile photos
+    const photos = await ctx.telegram.getUserProfilePhotos(userId, 0, 1);
+    if (photos && photos.total_count > 0) {
+      const photo = photos.photos[0][photos.photos[0].length - 1]; // Get highest resolution
+      // Send profile photo with caption
+      await ctx.replyWithPhoto(photo.file_id, {
+        caption: profileMessage,
         parse_mode: 'HTML',
         reply_markup: {
           inline_keyboard: [
-            [{ text: t(userId, 'back'), callback_data: 'admin_list_users' }]
+            [{ text: t(userId, 'back'), callback_data: 'back_menu' }]
           ]
         }
       });
       return;
     }
-    
-    const buttons = [];
-    userEmails.forEach((emailId, index) => {
-      message += `${index + 1}. <code>${emailId}</code>\n`;
-      buttons.push([{ text: `📧 ${index + 1}`, callback_data: `admin_view_email_${targetUserId}_${index}` }]);
+  } catch (error) {
+    // If we can't get profile photo, continue with text-only profile
+    console.log('Could not fetch user profile photo:', error.message);
+  }
+  
+  // Send text-only profile (fallback)
+  try {
+    ctx.editMessageText(profileMessage, {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(userId, 'back'), callback_data: 'back_menu' }]
+        ]
+      }
     });
-    
-    buttons.push([{ text: t(userId, 'back'), callback_data: 'admin_list_users' }]);
-    
-    // Store user emails in session for quick access
-    userSessions[userId] = userSessions[userId] || {};
-    userSessions[userId].adminUserEmails = userEmails;
-    userSessions[userId].adminTargetUserId = targetUserId;
-    
-    ctx.editMessageText(message, {
+  } catch (editError) {
+    // If editing fails (e.g., message is a photo), send a new message
+    ctx.reply(profileMessage, {
       parse_mode: 'HTML',
-      reply_markup: { inline_keyboard: buttons }
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(userId, 'back'), callback_data: 'back_menu' }]
+        ]
+      }
     });
-  } catch (error) {
-    ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
   }
 });
 
-bot.action(/^admin_del_email_(.+)_(.+)$/, async (ctx) => {
-  const adminUserId = ctx.from.id;
-  const targetUserId = ctx.match[1];
-  const emailIndex = parseInt(ctx.match[2]);
+bot.action('back_menu', (ctx) => {
+  const userId = ctx.from.id;
+  userSessions[userId] = {};
   
-  if (!isAdmin(adminUserId)) {
-    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
-    return;
+  // Send new message instead of editing to avoid conflicts
+  ctx.reply(
+    `<b>${t(userId, 'vun_mail')}</b>\n\n${t(userId, 'what_to_do')}`,
+    {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: mainMenu(userId) }
+    }
+  );
+});
+
+// One button per locale file
+function languageButtons() {
+  return i18n.getLanguages().map(({ code, name }) => [{ text: name, callback_data: `lang_${code}` }]);
+}
+
+function showSettings(ctx, userId) {
+  const langDisplay = getLanguageName(getUserLanguage(userId));
+  const buttons = languageButtons();
+  
+  // The archive switch is only offered while the bot keeps an archive
+  let archiveLine = '';
+  if (archive.isEnabled()) {
+    const archiving = archive.isArchiving(userId);
+    archiveLine = `${t(userId, archiving ? 'archive_on' : 'archive_off', { days: archive.getRetentionDays() })}\n`;
+    buttons.push([{
+      text: t(userId, archiving ? 'archive_turn_off' : 'archive_turn_on'),
+      callback_data: archiving ? 'archive_off' : 'archive_on'
+    }]);
   }
   
-  try {
-    const userEmails = userSessions[adminUserId]?.adminUserEmails || [];
-    const emailId = userEmails[emailIndex];
-    
-    if (!emailId) {
-      ctx.answerCbQuery(t(adminUserId, 'error') + 'Email not found', true);
-      return;
-    }
-    
-    // Delete from API
-    await deleteEmail(emailId);
-    // Delete from database
-    removeEmailFromUser(targetUserId, emailId);
-    
-    ctx.answerCbQuery(t(adminUserId, 'email_deleted_admin'));
-    
-    // Refresh the email list
-    const db = loadDatabase();
-    const remainingEmails = Object.keys(db.users[targetUserId] || {}).filter(key => key !== 'language');
-    
-    let message = `<b>${t(adminUserId, 'user_emails').replace('{userId}', targetUserId)}</b>\n\n`;
-    
-    if (remainingEmails.length === 0) {
-      message += t(adminUserId, 'no_emails');
-      ctx.editMessageText(message, {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: t(adminUserId, 'back'), callback_data: 'admin_list_users' }]
-          ]
-        }
-      });
-      return;
-    }
-    
-    const buttons = [];
-    remainingEmails.forEach((id, index) => {
-      message += `${index + 1}. <code>${id}</code>\n`;
-      buttons.push([{ text: `🗑️ ${index + 1}`, callback_data: `admin_del_email_${targetUserId}_${index}` }]);
-    });
-    
-    buttons.push([{ text: t(adminUserId, 'back'), callback_data: 'admin_list_users' }]);
-    userSessions[adminUserId].adminUserEmails = remainingEmails;
-    
-    ctx.editMessageText(message, {
-      parse_mode: 'HTML',
-      reply_markup: { inline_keyboard: buttons }
-    });
-  } catch (error) {
-    ctx.editMessageText(t(adminUserId, 'error') + error.message, { parse_mode: 'HTML' });
+  buttons.push([{ text: t(userId, 'timezone_button'), callback_data: 'timezone' }]);
+  buttons.push([{ text: t(userId, 'create_preferences'), callback_data: 'prefs' }]);
+  
+  // Add admin button only for admin users
+  if (isAdmin(userId)) {
+    buttons.push([{ text: t(userId, 'admin_panel_button'), callback_data: 'admin_panel' }]);
   }
+  
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'back_menu' }]);
+  
+  ctx.editMessageText(
+    `<b>${t(userId, 'settings_title')}</b>\n\n` +
+    `${t(userId, 'version')}\n` +
+    `${t(userId, 'created_by', { author: '<a href="https://github.com/VinzxyO">VinzxyO</a>' })}\n` +
+    `${t(userId, 'api')}\n` +
+    `<b>${t(userId, 'language_setting')}:</b> ${langDisplay}\n` +
+    `<b>${t(userId, 'timezone')}:</b> ${escapeHtml(getUserTimezone(userId))} (${formatDate(userId, new Date(), { style: 'time' })})\n` +
+    archiveLine + '\n' +
+    `${t(userId, 'more_settings')}`,
+    {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: buttons
+      }
+    }
+  );
+}
+
+bot.action('settings', (ctx) => {
+  showSettings(ctx, ctx.from.id);
 });
 
-bot.action(/^admin_view_email_(.+)_(.+)$/, async (ctx) => {
-  const adminUserId = ctx.from.id;
-  const targetUserId = ctx.match[1];
-  const emailIndex = parseInt(ctx.match[2]);
+bot.action(/^lang_(.+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const lang = ctx.match[1];
+  const currentLang = getUserLanguage(userId);
   
-  if (!isAdmin(adminUserId)) {
-    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+  if (!i18n.hasLanguage(lang)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
     return;
   }
   
-  try {
-    const db = loadDatabase();
-    const userEmails = Object.keys(db.users[targetUserId] || {}).filter(key => key !== 'language');
-    const emailId = userEmails[emailIndex];
-    
-    if (!emailId) {
-      ctx.answerCbQuery(t(adminUserId, 'error') + 'Email not found', true);
-      return;
-    }
-    
-    // Get email address from API
-    const allEmails = await listAllEmails();
-    const email = allEmails.find(e => e.id === emailId);
+  // Check if user is selecting the same language
+  if (currentLang === lang) {
+    ctx.answerCbQuery(t(userId, 'language_set'), true);
+    return;
+  }
+  
+  setUserLanguage(userId, lang);
+  showSettings(ctx, userId);
+});
+
+bot.command('language', (ctx) => {
+  const userId = ctx.from.id;
+  ctx.replyWithHTML(
+    `<b>${t(userId, 'language_setting')}:</b> ${getLanguageName(getUserLanguage(userId))}\n\n${t(userId, 'choose_language')}`,
+    { reply_markup: { inline_keyboard: languageButtons() } }
+  );
+});
+
+function showTimezones(ctx, userId) {
+  const current = getUserTimezone(userId);
+  const fallback = getLanguageTimezone(getUserLanguage(userId));
+  const mark = zone => (zone === current ? '✅ ' : '');
+  
+  const buttons = [];
+  for (let i = 0; i < dates.TIMEZONES.length; i += 2) {
+    buttons.push(dates.TIMEZONES.slice(i, i + 2).map(zone => ({ text: `${mark(zone)}${zone}`, callback_data: `tz_${zone}` })));
+  }
+  buttons.push([{ text: t(userId, 'timezone_default', { zone: fallback }), callback_data: 'tz_default' }]);
+  buttons.push([{ text: t(userId, 'timezone_other'), callback_data: 'tz_other' }]);
+  buttons.push([{ text: t(userId, 'back_settings'), callback_data: 'settings' }]);
+  
+  ctx.editMessageText(
+    t(userId, 'timezone_select', {
+      zone: `<b>${escapeHtml(current)}</b>`,
+      time: formatDate(userId, new Date())
+    }),
+    { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } }
+  );
+}
+
+bot.action('timezone', (ctx) => {
+  const userId = ctx.from.id;
+  if (userSessions[userId]?.step === 'waiting_timezone') {
+    userSessions[userId].step = null;
+  }
+  showTimezones(ctx, userId);
+});
+
+bot.action('tz_other', (ctx) => {
+  const userId = ctx.from.id;
+  userSessions[userId] = { step: 'waiting_timezone' };
+  ctx.editMessageText(t(userId, 'timezone_enter'), {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[{ text: t(userId, 'cancel'), callback_data: 'timezone' }]]
+    }
+  });
+});
+
+// "default" goes back to the timezone of the user's language
+bot.action(/^tz_(.+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const zone = ctx.match[1] === 'default' ? null : dates.normalizeTimezone(ctx.match[1]);
+  if (ctx.match[1] !== 'default' && !zone) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  storage.setUserTimezone(userId, zone);
+  showTimezones(ctx, userId);
+});
+
+bot.action('archive_on', (ctx) => {
+  const userId = ctx.from.id;
+  archive.setOptOut(userId, false);
+  showSettings(ctx, userId);
+});
+
+// Opting out deletes the archived copies, so it is confirmed first
+bot.action(/^archive_off(_confirm)?$/, (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (ctx.match[1]) {
+    archive.setOptOut(userId, true);
+    showSettings(ctx, userId);
+    return;
+  }
+  
+  ctx.editMessageText(
+    t(userId, 'archive_off_confirm', { count: archive.countMessages(userId) }),
+    {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: t(userId, 'yes'), callback_data: 'archive_off_confirm' },
+            { text: t(userId, 'no'), callback_data: 'settings' }
+          ]
+        ]
+      }
+    }
+  );
+});
+
+// ==================== Create Preferences ====================
+
+function showPreferences(ctx, userId, reply = false) {
+  const prefs = preferences.getPreferences(userId);
+  const example = preferences.buildPrefix(prefs);
+  const message = `<b>${t(userId, 'prefs_title')}</b>\n\n` +
+    `🌐 ${t(userId, 'prefs_domain')}: <b>${prefs.domain ? escapeHtml(prefs.domain) : t(userId, 'prefs_first_domain')}</b>\n` +
+    `⏰ ${t(userId, 'prefs_expiry')}: <b>${t(userId, EXPIRY_LABELS[prefs.expiry])}</b>\n` +
+    `🎲 ${t(userId, 'prefs_style')}: <b>${t(userId, `prefix_style_${prefs.prefixStyle}`)}</b>\n` +
+    `✏️ ${t(userId, 'prefs_template')}: ` +
+    (prefs.prefixTemplate ? `<code>${escapeHtml(prefs.prefixTemplate)}</code>` : t(userId, 'prefs_no_template')) + '\n' +
+    `👀 ${t(userId, 'prefs_example')}: <code>${escapeHtml(example)}</code>\n\n` +
+    t(userId, 'prefs_desc');
+  const buttons = [
+    [
+      { text: t(userId, 'prefs_set_domain'), callback_data: 'prefs_domain' },
+      { text: t(userId, 'prefs_set_expiry'), callback_data: 'prefs_expiry' }
+    ],
+    [
+      { text: t(userId, 'prefs_set_style'), callback_data: 'prefs_style' },
+      { text: t(userId, 'prefs_set_template'), callback_data: 'prefs_template' }
+    ],
+    [{ text: t(userId, 'quick_create'), callback_data: 'quick_create' }],
+    [{ text: t(userId, 'back_settings'), callback_data: 'settings' }]
+  ];
+  
+  const extra = { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } };
+  return reply ? ctx.reply(message, extra) : ctx.editMessageText(message, extra);
+}
+
+function showPreferenceChoices(ctx, userId, title, buttons) {
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'prefs' }]);
+  ctx.editMessageText(`<b>${t(userId, title)}</b>`, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+bot.action('prefs', (ctx) => {
+  const userId = ctx.from.id;
+  if (userSessions[userId]?.step === 'waiting_prefix_template') {
+    userSessions[userId].step = null;
+  }
+  showPreferences(ctx, userId);
+});
+
+bot.action('prefs_domain', async (ctx) => {
+  const userId = ctx.from.id;
+  try {
+    const domains = await getDomains();
+    showPreferenceChoices(ctx, userId, 'prefs_pick_domain', [
+      [{ text: t(userId, 'prefs_first_domain'), callback_data: 'pdom_*' }],
+      ...domains.map(domain => [{ text: domain, callback_data: `pdom_${domain}` }])
+    ]);
+  } catch (error) {
+    ctx.answerCbQuery(t(userId, 'error') + error.message, true);
+  }
+});
+
+bot.action(/^pdom_(.+)$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const domain = ctx.match[1];
+  try {
+    if (domain !== '*' && !(await getDomains()).includes(domain)) {
+      ctx.answerCbQuery(t(userId, 'button_expired'), true);
+      return;
+    }
+    preferences.setPreferences(userId, { domain: domain === '*' ? null : domain });
+    showPreferences(ctx, userId);
+  } catch (error) {
+    ctx.answerCbQuery(t(userId, 'error') + error.message, true);
+  }
+});
+
+bot.action('prefs_expiry', (ctx) => {
+  const userId = ctx.from.id;
+  showPreferenceChoices(ctx, userId, 'prefs_pick_expiry', expiryButtons(userId, 'pexp_'));
+});
+
+bot.action(/^pexp_(\d+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const expiryTime = parseInt(ctx.match[1]);
+  if (!preferences.EXPIRY_OPTIONS.includes(expiryTime) || (expiryTime === 0 && !canCreatePermanent(userId))) {
+    ctx.answerCbQuery(t(userId, 'quota_permanent_denied'), true);
+    return;
+  }
+  preferences.setPreferences(userId, { expiry: expiryTime });
+  showPreferences(ctx, userId);
+});
+
+bot.action('prefs_style', (ctx) => {
+  const userId = ctx.from.id;
+  showPreferenceChoices(ctx, userId, 'prefs_pick_style', preferences.PREFIX_STYLES.map(style => [{
+    text: `${t(userId, `prefix_style_${style}`)} · ${preferences.randomPrefix(style)}`,
+    callback_data: `pstyle_${style}`
+  }]));
+});
+
+bot.action(/^pstyle_([a-z]+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const style = ctx.match[1];
+  if (!preferences.PREFIX_STYLES.includes(style)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  preferences.setPreferences(userId, { prefixStyle: style });
+  showPreferences(ctx, userId);
+});
+
+bot.action('prefs_template', (ctx) => {
+  const userId = ctx.from.id;
+  userSessions[userId] = { step: 'waiting_prefix_template' };
+  ctx.editMessageText(
+    t(userId, 'prefs_enter_template', { max: preferences.MAX_TEMPLATE_LENGTH }),
+    {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: t(userId, 'cancel'), callback_data: 'prefs' }]]
+      }
+    }
+  );
+});
+
+bot.action('admin_panel', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const users = getAllUsers();
+  const totalEmails = users.reduce((sum, u) => sum + u.emails.length, 0);
+  
+  ctx.editMessageText(
+    `<b>${t(userId, 'admin_panel')}</b>\n\n` +
+    `${t(userId, 'total_users')}: <b>${users.length}</b>\n` +
+    `${t(userId, 'total_emails_label')}: <b>${totalEmails}</b>\n` +
+    `${t(userId, 'average_label')}: <b>${users.length > 0 ? (totalEmails / users.length).toFixed(2) : 0}</b>`,
+    {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(userId, 'all_users'), callback_data: 'admin_list_users' }],
+          [{ text: t(userId, 'statistics'), callback_data: 'admin_stats' }],
+          [{ text: t(userId, 'settings'), callback_data: 'admin_settings' }],
+          [{ text: t(userId, 'back_settings'), callback_data: 'settings' }]
+        ]
+      }
+    }
+  );
+});
+
+bot.command('admin', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.replyWithHTML(t(userId, 'admin_access_denied'));
+    return;
+  }
+  
+  ctx.replyWithHTML(
+    `<b>${t(userId, 'admin_panel')}</b>\n\n` +
+    `<code>/admin_users</code> - ${t(userId, 'cmd_cancel')}\n` +
+    `<code>/admin_stats</code> - ${t(userId, 'statistics')}`,
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(userId, 'all_users'), callback_data: 'admin_list_users' }],
+          [{ text: t(userId, 'statistics'), callback_data: 'admin_stats' }]
+        ]
+      }
+    }
+  );
+});
+
+bot.command('admin_users', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.replyWithHTML(t(userId, 'admin_access_denied'));
+    return;
+  }
+  
+  const users = getAllUsers();
+  let message = `<b>${t(userId, 'all_users')}:</b>\n\n`;
+  
+  if (users.length === 0) {
+    ctx.replyWithHTML(t(userId, 'no_users_found'));
+    return;
+  }
+  
+  users.forEach((user, index) => {
+    message += `${index + 1}. <code>ID: ${user.userId}</code>\n`;
+    message += `   ${t(userId, 'total_emails')}: ${user.emails.length}\n`;
+    message += `   ${t(userId, 'language_setting')}: ${getLanguageName(user.language)}\n\n`;
+  });
+  
+  ctx.replyWithHTML(message);
+});
+
+bot.command('admin_stats', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.replyWithHTML(t(userId, 'admin_access_denied'));
+    return;
+  }
+  
+  const users = getAllUsers();
+  const totalEmails = users.reduce((sum, u) => sum + u.emails.length, 0);
+  
+  ctx.replyWithHTML(
+    `<b>${t(userId, 'statistics')}:</b>\n\n` +
+    `${t(userId, 'total_users')}: <b>${users.length}</b>\n` +
+    `${t(userId, 'total_emails_label')}: <b>${totalEmails}</b>\n` +
+    `${t(userId, 'average_label')}: <b>${users.length > 0 ? (totalEmails / users.length).toFixed(2) : 0}</b>\n` +
+    formatApiLoad(userId) + '\n' +
+    formatExpiryCleanup(userId)
+  );
+});
+
+// Requests running and waiting in the scheduler
+function formatApiLoad(userId) {
+  const load = scheduler.getStats();
+  return t(userId, 'api_load', {
+    running: load.running,
+    queued: load.queued.interactive + load.queued.background,
+    paused: load.pausedRoutes
+  });
+}
+
+bot.action(/^admin_list_users(?:_(\d+))?$/, (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const users = getAllUsers();
+  let message = `<b>${t(userId, 'all_users')}:</b>\n\n`;
+  
+  if (users.length === 0) {
+    ctx.editMessageText(t(userId, 'no_users_found'));
+    return;
+  }
+  
+  const view = paginateArray(users, parseInt(ctx.match[1] || '0'), LIST_PAGE_SIZE);
+  const buttons = [];
+  view.items.forEach((user, offset) => {
+    const index = view.start + offset;
+    message += `${index + 1}. ID: <code>${user.userId}</code>\n`;
+    message += `   ${t(userId, 'total_emails')}: ${user.emails.length}\n`;
+    message += `   ${t(userId, 'language_setting')}: ${getLanguageName(user.language)}\n\n`;
+    buttons.push([{ text: t(userId, 'user_button', { n: index + 1 }), callback_data: `admin_user_${user.userId}` }]);
+  });
+  
+  buttons.push(...pageNavigation(view, p => `admin_list_users_${p}`));
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'admin_panel' }]);
+  
+  ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+});
+
+// Buttons assigning a usage tier to a user; the current one is marked
+function tierButtons(adminUserId, targetUserId) {
+  const current = quotas.getUserTier(targetUserId);
+  return [quotas.TIERS.map(tier => ({
+    text: `${tier === current ? '✅ ' : ''}${t(adminUserId, `tier_${tier}`)}`,
+    callback_data: `admin_tier_${targetUserId}_${tier}`
+  }))];
+}
+
+// One page of a user's emails in the admin panel, with their quota and tier buttons
+function renderAdminUserEmails(adminUserId, targetUserId, page) {
+  const userEmails = getUserEmails(targetUserId);
+  let message = `<b>${t(adminUserId, 'user_emails').replace('{userId}', targetUserId)}</b>\n\n` +
+    `${formatQuota(adminUserId, targetUserId)}\n\n`;
+  
+  if (userEmails.length === 0) {
+    message += `${t(adminUserId, 'no_emails')}\n\n${t(adminUserId, 'set_tier')}`;
+    return {
+      message,
+      buttons: [
+        ...tierButtons(adminUserId, targetUserId),
+        [{ text: t(adminUserId, 'back'), callback_data: 'admin_list_users' }]
+      ]
+    };
+  }
+  
+  const view = paginateArray(userEmails, page, LIST_PAGE_SIZE);
+  const buttons = [];
+  view.items.forEach((email, offset) => {
+    const index = view.start + offset;
+    message += `${index + 1}. <code>${escapeHtml(email.address || email.id)}</code>\n`;
+    buttons.push([{ text: `📧 ${index + 1}`, callback_data: `admin_view_email_${emailToken(adminUserId, email.id)}` }]);
+  });
+  
+  buttons.push(...pageNavigation(view, p => `admin_user_${targetUserId}_${p}`));
+  message += `\n${t(adminUserId, 'set_tier')}`;
+  buttons.push(...tierButtons(adminUserId, targetUserId));
+  buttons.push([{ text: t(adminUserId, 'back'), callback_data: 'admin_list_users' }]);
+  return { message, buttons };
+}
+
+// Page of a user's email list in the admin panel that holds an email
+function adminUserPageOf(email) {
+  const index = getUserEmailIds(email.userId).indexOf(email.id);
+  return index === -1 ? 0 : Math.floor(index / LIST_PAGE_SIZE);
+}
+
+bot.action(/^admin_user_(\d+)(?:_(\d+))?$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const targetUserId = ctx.match[1];
+  const page = parseInt(ctx.match[2] || '0');
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  try {
+    const list = renderAdminUserEmails(userId, targetUserId, page);
+    ctx.editMessageText(list.message, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: list.buttons }
+    });
+  } catch (error) {
+    ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+bot.action(/^admin_tier_(\d+)_([a-z]+)$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const targetUserId = ctx.match[1];
+  const tier = ctx.match[2];
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  if (!quotas.setUserTier(targetUserId, tier)) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  try {
+    ctx.answerCbQuery(t(userId, 'tier_updated') + t(userId, `tier_${tier}`));
+    const list = renderAdminUserEmails(userId, targetUserId, 0);
+    ctx.editMessageText(list.message, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: list.buttons }
+    });
+  } catch (error) {
+    ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+bot.action(/^admin_del_email_([0-9a-f]+)$/, async (ctx) => {
+  const adminUserId = ctx.from.id;
+  
+  if (!isAdmin(adminUserId)) {
+    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const email = resolveEmailToken(ctx, ctx.match[1]);
+  if (!email) {
+    ctx.answerCbQuery(t(adminUserId, 'button_expired'), true);
+    return;
+  }
+  
+  try {
+    const page = adminUserPageOf(email);
+    // Delete from API
+    await deleteEmail(email.id);
+    // Delete from database
+    removeEmailFromUser(email.userId, email.id);
+    
+    ctx.answerCbQuery(t(adminUserId, 'email_deleted_admin'));
+    
+    // Refresh the email list
+    const list = renderAdminUserEmails(adminUserId, email.userId, page);
+    ctx.editMessageText(list.message, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: list.buttons }
+    });
+  } catch (error) {
+    ctx.editMessageText(t(adminUserId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+bot.action(/^admin_view_email_([0-9a-f]+)(?:_(\d+))?$/, async (ctx) => {
+  const adminUserId = ctx.from.id;
+  const token = ctx.match[1];
+  const page = parseInt(ctx.match[2] || '0');
+  
+  if (!isAdmin(adminUserId)) {
+    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const email = resolveEmailToken(ctx, token);
+  if (!email) {
+    ctx.answerCbQuery(t(adminUserId, 'button_expired'), true);
+    return;
+  }
+  
+  const backCallback = `admin_user_${email.userId}_${adminUserPageOf(email)}`;
+  
+  try {
+    await ctx.editMessageText(t(adminUserId, 'loading_messages'), { parse_mode: 'HTML' });
+    const pager = getInboxPager(`admin_${adminUserId}`, email.id, ctx.match[2] === undefined);
+    const view = await pager.getPage(page, LIST_PAGE_SIZE);
     
-    if (!email) {
-      ctx.answerCbQuery(t(adminUserId, 'error') + 'Email not found', true);
+    if (view.items.length === 0) {
+      ctx.editMessageText(
+        `📧 <b>${escapeHtml(email.address)}</b>\n\n${t(adminUserId, 'no_messages')}`,
+        {
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: t(adminUserId, 'delete'), callback_data: `admin_del_email_${token}` }],
+              [{ text: t(adminUserId, 'back'), callback_data: backCallback }]
+            ]
+          }
+        }
+      );
       return;
     }
-    
-    await ctx.editMessageText(t(adminUserId, 'loading_messages'), { parse_mode: 'HTML' });
-    const data = await getMessages(emailId);
-    
-    if (!data.messages || data.messages.length === 0) {
-      ctx.editMessageText(
-        `📧 <b>${email.address}</b>\n\n${t(adminUserId, 'no_messages')}`,
-        {
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: t(adminUserId, 'delete'), callback_data: `admin_del_email_${targetUserId}_${emailIndex}` }],
-              [{ text: t(adminUserId, 'back'), callback_data: `admin_user_${targetUserId}` }]
-            ]
-          }
-        }
-      );
-      return;
+    
+    let message = `📧 <b>${escapeHtml(email.address)}</b>
+
+<b>${t(adminUserId, 'messages')}:</b>
+
+`;
+    const buttons = [];
+    
+    view.items.forEach((msg, offset) => {
+      const index = view.start + offset;
+      message += `${index + 1}. <b>${escapeHtml(msg.from_address)}</b>\n`;
+      message += `   ${escapeHtml(msg.subject)}\n`;
+      message += `   🕐 ${formatTimeAgo(adminUserId, msg.received_at)}\n\n`;
+      buttons.push([
+        { text: `📨 ${index + 1}`, callback_data: `admin_msg_${messageToken(adminUserId, email.id, msg.id)}` }
+      ]);
+    });
+    
+    buttons.push(...pageNavigation(view, p => `admin_view_email_${token}_${p}`));
+    buttons.push([
+      { text: t(adminUserId, 'delete'), callback_data: `admin_del_email_${token}` }
+    ]);
+    buttons.push([{ text: t(adminUserId, 'back'), callback_data: backCallback }]);
+    
+    ctx.editMessageText(message, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    });
+  } catch (error) {
+    ctx.editMessageText(t(adminUserId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+bot.action(/^admin_msg_([0-9a-f]+)(?:_(\d+))?$/, async (ctx) => {
+  const token = ctx.match[1];
+  const page = parseInt(ctx.match[2] || '0');
+  const adminUserId = ctx.from.id;
+  
+  if (!isAdmin(adminUserId)) {
+    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const target = resolveMessageToken(ctx, token);
+  if (!target) {
+    ctx.answerCbQuery(t(adminUserId, 'button_expired'), true);
+    return;
+  }
+  
+  const { email, messageId } = target;
+  const viewer = `admin_${adminUserId}`;
+  
+  try {
+    if (!messageDetailCache.has(`${email.id}_${messageId}`)) {
+      await ctx.editMessageText(t(adminUserId, 'loading_message'), { parse_mode: 'HTML' });
+    }
+    const message = await getCachedMessageDetail(email.id, messageId);
+    const view = formatMessageDetail(adminUserId, message, page);
+    const { previous, next } = neighbouringMessages(viewer, email.id, messageId);
+    
+    const buttons = messageNavigation(
+      adminUserId,
+      view,
+      p => `admin_msg_${token}_${p}`,
+      previous ? `admin_msg_${messageToken(adminUserId, email.id, previous.id)}` : null,
+      next ? `admin_msg_${messageToken(adminUserId, email.id, next.id)}` : null
+    );
+    buttons.push(...attachmentButtons(adminUserId, message, n => `admin_att_${token}_${n}`, `admin_imgs_${token}`));
+    if (message.html) {
+      buttons.push([{ text: t(adminUserId, 'original_html'), callback_data: `admin_html_${token}` }]);
+    }
+    buttons.push([{
+      text: t(adminUserId, 'back'),
+      callback_data: `admin_view_email_${emailToken(adminUserId, email.id)}_${inboxPageOf(viewer, email.id, messageId)}`
+    }]);
+    
+    ctx.editMessageText(view.content, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    });
+  } catch (error) {
+    ctx.editMessageText(t(adminUserId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+bot.action(/^admin_html_([0-9a-f]+)$/, async (ctx) => {
+  const adminUserId = ctx.from.id;
+  
+  if (!isAdmin(adminUserId)) {
+    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const target = resolveMessageToken(ctx, ctx.match[1]);
+  if (!target) {
+    ctx.answerCbQuery(t(adminUserId, 'button_expired'), true);
+    return;
+  }
+  
+  await sendOriginalHtml(ctx, adminUserId, target.email.id, target.messageId);
+});
+
+bot.action(/^admin_att_([0-9a-f]+)_(\d+)$/, async (ctx) => {
+  const adminUserId = ctx.from.id;
+  
+  if (!isAdmin(adminUserId)) {
+    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const target = resolveMessageToken(ctx, ctx.match[1]);
+  if (!target) {
+    ctx.answerCbQuery(t(adminUserId, 'button_expired'), true);
+    return;
+  }
+  
+  await sendAttachment(ctx, adminUserId, target.email.id, target.messageId, parseInt(ctx.match[2]));
+});
+
+bot.action(/^admin_imgs_([0-9a-f]+)$/, async (ctx) => {
+  const adminUserId = ctx.from.id;
+  
+  if (!isAdmin(adminUserId)) {
+    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const target = resolveMessageToken(ctx, ctx.match[1]);
+  if (!target) {
+    ctx.answerCbQuery(t(adminUserId, 'button_expired'), true);
+    return;
+  }
+  
+  await sendInlineImages(ctx, adminUserId, target.email.id, target.messageId);
+});
+
+bot.action('admin_stats', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const users = getAllUsers();
+  const totalEmails = users.reduce((sum, u) => sum + u.emails.length, 0);
+  
+  ctx.editMessageText(
+    `<b>${t(userId, 'statistics')}:</b>\n\n` +
+    `${t(userId, 'total_users')}: <b>${users.length}</b>\n` +
+    `${t(userId, 'total_emails_label')}: <b>${totalEmails}</b>\n` +
+    `${t(userId, 'average_label')}: <b>${users.length > 0 ? (totalEmails / users.length).toFixed(2) : 0}</b>\n` +
+    formatApiLoad(userId) + '\n' +
+    formatExpiryCleanup(userId),
+    { parse_mode: 'HTML' }
+  );
+});
+
+// ==================== Inline Mode ====================
+// "@bot new [prefix]" offers addresses made from the user's preferences; one is only created when it is picked,
+// which Telegram reports as a chosen inline result (inline feedback must be enabled in @BotFather)
+// "@bot latest" lists the newest messages of the user's own addresses, with any code found in them
+// Queries arrive with every keystroke, so answering one stores nothing: an offer is described by its result ID
+
+const INLINE_ADDRESSES = 5; // Newest addresses whose inboxes "latest" reads
+const INLINE_MESSAGES = 10;
+const INLINE_DETAILS = 5; // Messages opened when the listing shows no code
+const INLINE_RANDOM_OFFERS = 3;
+const INLINE_PREFIX_PATTERN = /^[a-z0-9._-]{1,30}$/;
+// new_<expiry index>_<domain hash>_p<typed prefix> or ..._r<seed> for a random prefix made again from the seed
+// Domains can be too long for the 64-byte ID, so a short hash names the one that was offered
+const INLINE_OFFER_PATTERN = /^new_(\d+)_([0-9a-f]{8})_([pr])(.+)$/;
+
+// Inline result titles and buttons are plain text
+function plainText(html) {
+  return html.replace(/<[^>]+>/g, '');
+}
+
+function domainHash(domain) {
+  return require('crypto').createHash('sha256').update(domain).digest('hex').substring(0, 8);
+}
+
+async function inlineNewResults(ctx, userId, typedPrefix) {
+  const prefs = preferences.getPreferences(userId);
+  const quotaProblem = quotaError(userId, prefs.expiry === 0);
+  if (quotaProblem) {
+    return { results: [], button: plainText(quotaProblem) };
+  }
+  
+  const domains = await getDomains();
+  const domain = domains.includes(prefs.domain) ? prefs.domain : domains[0];
+  if (!domain) {
+    return { results: [], button: plainText(t(userId, 'no_domains')) };
+  }
+  
+  const idPrefix = `new_${preferences.EXPIRY_OPTIONS.indexOf(prefs.expiry)}_${domainHash(domain)}_`;
+  const offers = [];
+  if (typedPrefix && INLINE_PREFIX_PATTERN.test(typedPrefix)) {
+    offers.push({ id: `${idPrefix}p${typedPrefix}`, prefix: typedPrefix });
+  }
+  for (let index = 0; index < INLINE_RANDOM_OFFERS; index++) {
+    // The same query gets the same offers
+    const seed = `${ctx.inlineQuery.id}.${index}`;
+    offers.push({ id: `${idPrefix}r${seed}`, prefix: preferences.buildPrefix(prefs, seed) });
+  }
+  
+  // The button gives Telegram a reason to report the inline message ID, so a failed creation can be shown
+  const botUsername = ctx.botInfo?.username;
+  const results = offers.map(({ id, prefix }) => {
+    const address = `${prefix}@${domain}`;
+    return {
+      type: 'article',
+      id,
+      title: `📧 ${address}`,
+      description: t(userId, 'inline_new_description', { expiry: t(userId, EXPIRY_LABELS[prefs.expiry]) }),
+      input_message_content: { message_text: `📧 <code>${escapeHtml(address)}</code>`, parse_mode: 'HTML' },
+      ...(botUsername ? {
+        reply_markup: { inline_keyboard: [[{ text: t(userId, 'inline_open_bot'), url: `https://t.me/${botUsername}` }]] }
+      } : {})
+    };
+  });
+  return { results };
+}
+
+// Only addresses stored for this user are read, the same ownership rule as the email list
+async function inlineLatestResults(userId) {
+  const now = Date.now();
+  const emails = getUserEmails(userId)
+    .filter(email => expiry.getRemaining(email, now) !== 0)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+    .slice(0, INLINE_ADDRESSES);
+  
+  const inboxes = await Promise.all(emails.map(async email => {
+    try {
+      const data = await getMessages(email.id);
+      return data.messages.map(message => ({ email, message }));
+    } catch (error) {
+      console.error(`Error reading inbox of ${email.address} for an inline query:`, error.message);
+      return [];
+    }
+  }));
+  const latest = inboxes.flat()
+    .sort((a, b) => new Date(b.message.received_at) - new Date(a.message.received_at))
+    .slice(0, INLINE_MESSAGES);
+  if (latest.length === 0) {
+    return { results: [], button: plainText(t(userId, 'inline_no_messages')) };
+  }
+  
+  await Promise.all(latest.map(async (entry, index) => {
+    entry.codes = extractCodes(entry.message);
+    if (entry.codes.length > 0 || index >= INLINE_DETAILS) return;
+    try {
+      entry.codes = extractCodes(await getCachedMessageDetail(entry.email.id, entry.message.id));
+    } catch (error) {
+      // The listing is enough to offer the message
     }
-    
-    // Cache messages
-    messageCache[`admin_${adminUserId}_${emailIndex}`] = data.messages;
-    
-    let message = `📧 <b>${email.address}</b>
-
-<b>${t(adminUserId, 'messages')}:</b>
+  }));
+  
+  const results = latest.map(({ email, message, codes }, index) => {
+    const subject = message.subject || t(userId, 'no_content');
+    return {
+      type: 'article',
+      id: `latest_${index}`,
+      title: codes.length > 0 ? `🔑 ${codes[0]} · ${subject}` : `📨 ${subject}`,
+      description: `${message.from_address} · ${email.label || email.address} · ${formatTimeAgo(userId, message.received_at)}`,
+      input_message_content: {
+        message_text: (codes.length > 0 ? `🔑 <code>${escapeHtml(codes[0])}</code>\n` : '') +
+          `📨 <b>${escapeHtml(subject)}</b>\n` +
+          `${t(userId, 'from')} ${escapeHtml(message.from_address)}`,
+        parse_mode: 'HTML'
+      }
+    };
+  });
+  return { results };
+}
 
-`;
-    const buttons = [];
+bot.on('inline_query', async (ctx) => {
+  const userId = ctx.from.id;
+  const [command = '', argument] = ctx.inlineQuery.query.trim().toLowerCase().split(/\s+/);
+  const extra = { cache_time: 0, is_personal: true };
+  
+  try {
+    let answer;
+    if (command === 'latest') {
+      answer = await inlineLatestResults(userId);
+    } else if (command === 'new' || command === '') {
+      answer = await inlineNewResults(ctx, userId, argument);
+      if (!answer.button && command === '') answer.button = plainText(t(userId, 'inline_hint'));
+    } else {
+      answer = { results: [], button: plainText(t(userId, 'inline_hint')) };
+    }
     
-    data.messages.forEach((msg, index) => {
-      message += `${index + 1}. <b>${msg.from_address}</b>\n`;
-      message += `   ${msg.subject}\n\n`;
-      buttons.push([
-        { text: `📨 ${index + 1}`, callback_data: `admin_msg_${emailIndex}_${index}_${targetUserId}` }
-      ]);
+    await ctx.answerInlineQuery(answer.results, {
+      ...extra,
+      ...(answer.button ? { button: { text: answer.button, start_parameter: 'inline' } } : {})
     });
+  } catch (error) {
+    console.error('Error answering inline query:', error.message);
+    ctx.answerInlineQuery([], {
+      ...extra,
+      button: { text: plainText(t(userId, 'error') + error.message).substring(0, 64), start_parameter: 'inline' }
+    }).catch(() => {});
+  }
+});
+
+// The offer behind a picked result, made again the way inlineNewResults made it
+async function resolveInlineOffer(userId, resultId) {
+  const match = INLINE_OFFER_PATTERN.exec(resultId);
+  if (!match) return null;
+  const expiryTime = preferences.EXPIRY_OPTIONS[parseInt(match[1])];
+  if (expiryTime === undefined) return null;
+  // Not offered any more when the domain was dropped in the meantime
+  const domain = (await getDomains()).find(candidate => domainHash(candidate) === match[2]);
+  if (!domain) return null;
+  
+  if (match[3] === 'p') {
+    return INLINE_PREFIX_PATTERN.test(match[4]) ? { prefix: match[4], domain, expiry: expiryTime } : null;
+  }
+  return { prefix: preferences.buildPrefix(preferences.getPreferences(userId), match[4]), domain, expiry: expiryTime };
+}
+
+// An offered address was picked: create it now; the inserted message says so when that fails
+bot.on('chosen_inline_result', async (ctx) => {
+  const { result_id: resultId, inline_message_id: inlineMessageId } = ctx.chosenInlineResult;
+  const userId = ctx.from.id;
+  let address = null;
+  
+  // Errors stay in here: one thrown out of an update handler stops the bot
+  try {
+    const offer = await resolveInlineOffer(userId, resultId);
+    if (!offer) return;
     
-    buttons.push([
-      { text: t(adminUserId, 'delete'), callback_data: `admin_del_email_${targetUserId}_${emailIndex}` }
-    ]);
-    buttons.push([{ text: t(adminUserId, 'back'), callback_data: `admin_user_${targetUserId}` }]);
+    // Picking the same result twice must not create the address twice
+    address = `${offer.prefix}@${offer.domain}`;
+    if (getUserEmails(userId).some(email => email.address === address)) return;
     
-    ctx.editMessageText(message, {
-      parse_mode: 'HTML',
-      reply_markup: { inline_keyboard: buttons }
-    });
+    const quotaProblem = quotaError(userId, offer.expiry === 0);
+    if (quotaProblem) throw new Error(plainText(quotaProblem));
+    await createEmailFor(userId, offer.prefix, offer.expiry, offer.domain);
   } catch (error) {
-    ctx.editMessageText(t(adminUserId, 'error') + error.message, { parse_mode: 'HTML' });
+    console.error(`Error creating ${address || 'an address'} from an inline query:`, error.message);
+    if (inlineMessageId) {
+      ctx.telegram.editMessageText(undefined, undefined, inlineMessageId,
+        address
+          ? t(userId, 'inline_create_failed', { address: `<code>${escapeHtml(address)}</code>`, error: escapeHtml(error.message) })
+          : t(userId, 'error') + escapeHtml(error.message),
+        { parse_mode: 'HTML' }
+      ).catch(() => {});
+    }
   }
 });
 
-bot.action(/^admin_msg_(.+)_(.+)_(.+)$/, async (ctx) => {
-  const emailIndex = parseInt(ctx.match[1]);
-  const messageIndex = parseInt(ctx.match[2]);
-  const targetUserId = ctx.match[3];
-  const adminUserId = ctx.from.id;
+// ==================== New Mail Notifications ====================
+
+// Collect every tracked email that still exists on the account
+async function getTrackedEmails() {
+  const users = getAllUsers();
+  if (users.length === 0) return [];
   
-  if (!isAdmin(adminUserId)) {
-    ctx.answerCbQuery(t(adminUserId, 'admin_access_denied'), true);
+  const addresses = {};
+  const allEmails = await listAllEmails('background');
+  allEmails.forEach(email => {
+    addresses[email.id] = email.address;
+  });
+  
+  const tracked = [];
+  users.forEach(user => {
+    user.emails.forEach(emailId => {
+      if (addresses[emailId]) {
+        tracked.push({ userId: user.userId, emailId, address: addresses[emailId] });
+      }
+    });
+  });
+  return tracked;
+}
+
+// Called by the watcher for each new message: tell the owner, then push it to forwarding targets
+// A failed announcement is rethrown so the watcher tries it again; a retry only repeats the announcement
+async function handleNewMessage(entry, msg, { retry = false } = {}) {
+  let detail = null;
+  try {
+    detail = await getMessageDetail(entry.emailId, msg.id, 'background');
+  } catch (error) {
+    // The list entry alone is enough to announce the message
+  }
+  
+  if (retry) {
+    await notifyNewMessage(entry, msg, detail);
     return;
   }
   
+  archive.archiveMessage(storage.getEmail(entry.emailId), detail || msg);
+  emailList.addUnread(entry.emailId);
+  let notifyError = null;
   try {
-    const db = loadDatabase();
-    const userEmails = Object.keys(db.users[targetUserId] || {}).filter(key => key !== 'language');
-    const emailId = userEmails[emailIndex];
-    const messages = messageCache[`admin_${adminUserId}_${emailIndex}`];
-    const msg = messages?.[messageIndex];
-    
-    if (!emailId || !msg) {
-      ctx.answerCbQuery(t(adminUserId, 'error') + 'Message not found', true);
-      return;
+    await notifyNewMessage(entry, msg, detail);
+  } catch (error) {
+    notifyError = error;
+  }
+  await forwardNewMessage(entry, detail || msg);
+  if (notifyError) throw notifyError;
+}
+
+async function notifyNewMessage(entry, msg, detail) {
+  const userId = entry.userId;
+  const preview = detail ? (detail.content || '').replace(/\s+/g, ' ').trim() : '';
+  const codes = extractCodes(detail || msg);
+  
+  const label = storage.getEmail(entry.emailId)?.label;
+  let text = `<b>${t(userId, 'new_message')}</b>\n\n` +
+    `📧 <code>${entry.address}</code>${label ? ` · 🏷 <b>${escapeHtml(label)}</b>` : ''}\n` +
+    `<b>${t(userId, 'from')}</b> ${escapeHtml(msg.from_address)}\n` +
+    `<b>${t(userId, 'subject')}</b> ${escapeHtml(msg.subject)}`;
+  if (codes.length > 0) {
+    text += `\n\n${formatCodes(userId, codes)}`;
+  }
+  if (preview) {
+    const shortPreview = preview.length > 200 ? preview.substring(0, 200) + '...' : preview;
+    text += `\n\n<i>${escapeHtml(shortPreview)}</i>`;
+  }
+  
+  await bot.telegram.sendMessage(userId, text, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: t(userId, 'open'), callback_data: `open_msg_${messageToken(userId, entry.emailId, msg.id)}` }]
+      ]
     }
-    
-    await ctx.editMessageText(t(adminUserId, 'loading_message'), { parse_mode: 'HTML' });
-    const message = await getMessageDetail(emailId, msg.id);
-    
-    let content = `<b>${t(adminUserId, 'from')}:</b> ${message.from_address}\n`;
-    content += `<b>${t(adminUserId, 'subject')}:</b> ${message.subject}\n`;
-    content += `<b>${t(adminUserId, 'received')}:</b> ${new Date(message.received_at).toLocaleString()}\n\n`;
-    content += `<b>────────────────────</b>\n\n`;
-    
-    if (message.html) {
-      content += `<i>${t(adminUserId, 'html_available')}</i>\n\n`;
+  });
+}
+
+// Send a message to the forwarding targets whose filters it passes, formatted like the msg_ view
+async function forwardNewMessage(entry, message) {
+  const targets = forwarding.getTargets(entry.emailId)
+    .filter(target => forwarding.matchesFilters(target, message));
+  if (targets.length === 0) return;
+  
+  // Every part names the address, so split messages stay recognisable in a busy chat
+  const header = `📧 <code>${escapeHtml(entry.address)}</code>\n\n`;
+  const first = formatMessageDetail(entry.userId, message, 0, header);
+  const pages = [first.content];
+  for (let page = 1; page < first.totalPages; page++) {
+    pages.push(formatMessageDetail(entry.userId, message, page, header).content);
+  }
+  
+  for (const target of targets) {
+    try {
+      for (const content of pages) {
+        await bot.telegram.sendMessage(target.chatId, content, {
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        });
+      }
+    } catch (error) {
+      console.error(`Error forwarding to chat ${target.chatId}:`, error.message);
     }
+  }
+}
+
+// ==================== Expiry Reminders ====================
+
+// Tell the owner an address expires soon; offers extensions when the provider has them, a new address otherwise
+async function notifyExpiring(email) {
+  const userId = email.userId;
+  const token = emailToken(userId, email.id);
+  const buttons = [];
+  let text = `<b>${t(userId, 'expiry_reminder_title')}</b>\n\n` +
+    t(userId, 'expiry_reminder_desc', {
+      address: `<code>${escapeHtml(email.address)}</code>${email.label ? ` (🏷 <b>${escapeHtml(email.label)}</b>)` : ''}`,
+      time: formatRemaining(userId, expiry.getRemaining(email))
+    });
+  
+  if (canExtendEmails()) {
+    buttons.push(EXTENSION_OPTIONS.map(extraTime => ({
+      text: t(userId, 'extend_by', { time: formatRemaining(userId, extraTime) }),
+      callback_data: `extend_${token}_${extraTime}`
+    })));
+  } else {
+    text += `\n\n${t(userId, 'expiry_reminder_renew')}`;
+    buttons.push([{ text: t(userId, 'create_email'), callback_data: 'create_email' }]);
+  }
+  buttons.push([{ text: t(userId, 'open'), callback_data: `view_email_${token}` }]);
+  
+  await bot.telegram.sendMessage(userId, text, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+bot.action(/^extend_([0-9a-f]+)_(\d+)$/, async (ctx) => {
+  const userId = ctx.from.id;
+  const email = resolveEmailToken(ctx, ctx.match[1]);
+  const extraTime = parseInt(ctx.match[2]);
+  
+  if (!email) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  if (!canExtendEmails() || !EXTENSION_OPTIONS.includes(extraTime)) {
+    ctx.answerCbQuery(t(userId, 'extend_unavailable'), true);
+    return;
+  }
+  
+  try {
+    const result = await extendEmail(email.id, extraTime);
+    // Reminded again before the new expiry
+    storage.updateEmail(email.id, { expiresAt: result.expiresAt, remindedAt: null });
+    listPagers.invalidate(`emails_${email.userId}`);
     
-    content += message.content || 'No content';
-    
-    // Truncate if too long
-    if (content.length > 4000) {
-      content = content.substring(0, 4000) + `...\n\n<i>${t(adminUserId, 'message_truncated')}</i>`;
+    ctx.editMessageText(
+      t(userId, 'email_extended', {
+        address: `<code>${escapeHtml(email.address)}</code>`,
+        date: formatDate(userId, result.expiresAt, { relative: true })
+      }),
+      {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[{ text: t(userId, 'open'), callback_data: `view_email_${ctx.match[1]}` }]]
+        }
+      }
+    );
+  } catch (error) {
+    ctx.editMessageText(t(userId, 'error') + error.message, { parse_mode: 'HTML' });
+  }
+});
+
+// Last cleanup of expired addresses, for the admin stats
+function formatExpiryCleanup(userId) {
+  const cleanup = expiry.getCleanupStats();
+  return t(userId, 'expiry_cleanup_stats', {
+    total: cleanup.totalRemoved,
+    removed: cleanup.lastRemoved,
+    date: formatDate(userId, cleanup.lastRunAt, { relative: true })
+  });
+}
+
+// ==================== Start Bot ====================
+
+// Set bot commands
+// ==================== Admin Settings ====================
+
+bot.action('admin_settings', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const proxyCount = proxies.getProxyCount();
+  const keyList = apiKeys.listKeys();
+  
+  ctx.editMessageText(
+    `<b>${t(userId, 'admin_settings')}</b>\n\n` +
+    `${t(userId, 'api_keys')}: <b>${keyList.filter(apiKey => apiKey.enabled).length}/${keyList.length}</b> ${t(userId, 'api_keys_enabled')}\n` +
+    `${t(userId, 'manage_proxies')}: <b>${proxyCount}</b> ${t(userId, 'current_proxies')}\n\n` +
+    `${t(userId, 'more_settings')}`,
+    {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(userId, 'api_keys'), callback_data: 'admin_api_menu' }],
+          [{ text: t(userId, 'manage_proxies'), callback_data: 'admin_proxy_menu' }],
+          [{ text: t(userId, 'admin_attachments'), callback_data: 'admin_attachments' }],
+          [{ text: t(userId, 'back'), callback_data: 'admin_panel' }]
+        ]
+      }
     }
-    
-    ctx.editMessageText(content, {
+  );
+});
+
+// Attachment size limit and MIME blocklist
+function showAttachmentSettings(ctx, userId, notice = '') {
+  const blocklist = attachments.getBlocklist();
+  
+  let message = `<b>${t(userId, 'admin_attachments')}</b>\n\n`;
+  if (notice) {
+    message += `${notice}\n\n`;
+  }
+  message += `${t(userId, 'attachment_max_size')}: <b>${attachments.formatSize(attachments.getMaxSize())}</b>\n\n`;
+  message += `<b>${t(userId, 'mime_blocklist')}</b>\n`;
+  message += blocklist.length > 0
+    ? blocklist.map((type, index) => `${index + 1}. <code>${escapeHtml(type)}</code>`).join('\n')
+    : t(userId, 'blocklist_empty');
+  
+  const buttons = [[{ text: t(userId, 'block_mime'), callback_data: 'admin_block_mime' }]];
+  // Unblock buttons, four per row
+  for (let i = 0; i < blocklist.length; i += 4) {
+    buttons.push(blocklist.slice(i, i + 4).map((type, offset) => ({
+      text: `✅ ${i + offset + 1}`,
+      callback_data: `admin_unblock_mime_${i + offset}`
+    })));
+  }
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'admin_settings' }]);
+  
+  ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+bot.action('admin_attachments', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  userSessions[userId] = userSessions[userId] || {};
+  userSessions[userId].step = null;
+  showAttachmentSettings(ctx, userId);
+});
+
+bot.action('admin_block_mime', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  userSessions[userId] = userSessions[userId] || {};
+  userSessions[userId].step = 'waiting_mime_block';
+  ctx.editMessageText(
+    `<b>${t(userId, 'block_mime')}</b>\n\n` +
+    `${t(userId, 'send_mime_type')}`,
+    {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: t(adminUserId, 'back'), callback_data: `admin_view_email_${targetUserId}_${emailIndex}` }]
+          [{ text: t(userId, 'cancel'), callback_data: 'admin_attachments' }]
         ]
       }
-    });
-  } catch (error) {
-    ctx.editMessageText(t(adminUserId, 'error') + error.message, { parse_mode: 'HTML' });
+    }
+  );
+});
+
+bot.action(/^admin_unblock_mime_(\d+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const type = attachments.getBlocklist()[parseInt(ctx.match[1])];
+  if (type && attachments.unblockMimeType(type)) {
+    ctx.answerCbQuery(`${t(userId, 'mime_unblocked')}${type}`);
+  }
+  showAttachmentSettings(ctx, userId);
+});
+
+// ==================== API Key Pool ====================
+
+function apiKeyStatusIcon(apiKey) {
+  if (!apiKey.enabled) return '⚪';
+  return apiKey.coolingDownUntil ? '🔴' : '🟢';
+}
+
+function apiKeyName(apiKey) {
+  return escapeHtml(apiKey.label || apiKeys.maskKey(apiKey.key));
+}
+
+// Usage lines shared by the pool list and the key screen
+function formatApiKeyUsage(userId, apiKey) {
+  let text = `   📊 ${t(userId, 'api_key_usage', {
+    today: apiKey.usage.requestsToday,
+    total: apiKey.usage.requests,
+    limited: apiKey.usage.rateLimited,
+    refused: apiKey.usage.failures
+  })}\n`;
+  text += `   📧 ${t(userId, 'api_key_emails', { count: apiKey.emails })}\n`;
+  if (apiKey.coolingDownUntil) {
+    text += `   ⏳ ${t(userId, 'api_key_resting', { time: formatDate(userId, apiKey.coolingDownUntil, { style: 'time' }) })}\n`;
   }
-});
+  if (apiKey.usage.lastError) {
+    text += `   ❌ ${escapeHtml(apiKey.usage.lastError.substring(0, 100))}\n`;
+  }
+  return text;
+}
 
-bot.action('admin_stats', (ctx) => {
+function showApiKeys(ctx, userId, notice = '') {
+  const list = apiKeys.listKeys();
+  let message = `<b>${t(userId, 'api_keys')}</b>\n\n`;
+  if (notice) {
+    message += `${notice}\n\n`;
+  }
+  message += `${t(userId, 'api_keys_info')}\n\n`;
+  
+  if (list.length === 0) {
+    message += t(userId, 'no_api_keys');
+  }
+  list.forEach((apiKey, index) => {
+    message += `${index + 1}. ${apiKeyStatusIcon(apiKey)} <b>${apiKeyName(apiKey)}</b> <code>${escapeHtml(apiKeys.maskKey(apiKey.key))}</code>\n`;
+    message += formatApiKeyUsage(userId, apiKey);
+  });
+  
+  const buttons = list.map((apiKey, index) => [{
+    text: `${index + 1}. ${apiKeyStatusIcon(apiKey)} ${apiKey.label || apiKeys.maskKey(apiKey.key)}`,
+    callback_data: `admin_api_key_${apiKey.id}`
+  }]);
+  buttons.push([{ text: t(userId, 'add_api_key'), callback_data: 'admin_api_add' }]);
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'admin_settings' }]);
+  
+  ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+function showApiKey(ctx, userId, apiKey, notice = '') {
+  let message = `<b>${t(userId, 'api_keys')}</b>\n\n`;
+  if (notice) {
+    message += `${notice}\n\n`;
+  }
+  message += `${apiKeyStatusIcon(apiKey)} <b>${apiKeyName(apiKey)}</b>\n` +
+    `🔑 <code>${escapeHtml(apiKeys.maskKey(apiKey.key))}</code>\n` +
+    `${t(userId, apiKey.enabled ? 'api_key_enabled' : 'api_key_disabled')}\n\n` +
+    formatApiKeyUsage(userId, apiKey);
+  
+  ctx.editMessageText(message, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [{
+          text: t(userId, apiKey.enabled ? 'disable_api_key' : 'enable_api_key'),
+          callback_data: `admin_api_toggle_${apiKey.id}`
+        }],
+        [{ text: t(userId, 'label_api_key'), callback_data: `admin_api_label_${apiKey.id}` }],
+        [{ text: t(userId, 'remove_api_key'), callback_data: `admin_api_remove_${apiKey.id}` }],
+        [{ text: t(userId, 'back'), callback_data: 'admin_api_menu' }]
+      ]
+    }
+  });
+}
+
+bot.action('admin_api_menu', (ctx) => {
   const userId = ctx.from.id;
   
   if (!isAdmin(userId)) {
@@ -1387,24 +3616,11 @@ bot.action('admin_stats', (ctx) => {
     return;
   }
   
-  const users = getAllUsers();
-  const totalEmails = users.reduce((sum, u) => sum + u.emails.length, 0);
-  
-  ctx.editMessageText(
-    `<b>📈 ${t(userId, 'statistics')}:</b>\n\n` +
-    `Total Users: <b>${users.length}</b>\n` +
-    `Total Emails: <b>${totalEmails}</b>\n` +
-    `Average per User: <b>${users.length > 0 ? (totalEmails / users.length).toFixed(2) : 0}</b>`,
-    { parse_mode: 'HTML' }
-  );
+  userSessions[userId].step = null;
+  showApiKeys(ctx, userId);
 });
 
-// ==================== Start Bot ====================
-
-// Set bot commands
-// ==================== Admin Settings ====================
-
-bot.action('admin_settings', (ctx) => {
+bot.action('admin_api_add', (ctx) => {
   const userId = ctx.from.id;
   
   if (!isAdmin(userId)) {
@@ -1412,28 +3628,22 @@ bot.action('admin_settings', (ctx) => {
     return;
   }
   
-  const proxyCount = proxies.getProxyCount();
-  const apiKey = process.env.API_KEY ? process.env.API_KEY.substring(0, 10) + '...' : 'Not set';
-  
+  userSessions[userId].step = 'waiting_api_key_add';
   ctx.editMessageText(
-    `<b>${t(userId, 'admin_settings')}</b>\n\n` +
-    `${t(userId, 'change_api_key')}: <code>${apiKey}</code>\n` +
-    `${t(userId, 'manage_proxies')}: <b>${proxyCount}</b> ${t(userId, 'current_proxies')}\n\n` +
-    `${t(userId, 'more_settings')}`,
+    `<b>${t(userId, 'add_api_key')}</b>\n\n` +
+    `${t(userId, 'send_api_key')}`,
     {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: t(userId, 'change_api_key'), callback_data: 'admin_api_menu' }],
-          [{ text: t(userId, 'manage_proxies'), callback_data: 'admin_proxy_menu' }],
-          [{ text: t(userId, 'back'), callback_data: 'admin_panel' }]
+          [{ text: t(userId, 'cancel'), callback_data: 'admin_api_menu' }]
         ]
       }
     }
   );
 });
 
-bot.action('admin_api_menu', (ctx) => {
+bot.action(/^admin_api_(key|toggle|label|remove)_([0-9a-f]+)$/, (ctx) => {
   const userId = ctx.from.id;
   
   if (!isAdmin(userId)) {
@@ -1441,20 +3651,43 @@ bot.action('admin_api_menu', (ctx) => {
     return;
   }
   
-  userSessions[userId].step = 'waiting_api_key';
-  ctx.editMessageText(
-    `<b>${t(userId, 'change_api_key')}</b>\n\n` +
-    `${t(userId, 'send_api_key')}\n` +
-    `${t(userId, 'current_key_starts')}<code>${process.env.API_KEY.substring(0, 10)}...</code>`,
-    {
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: t(userId, 'cancel'), callback_data: 'admin_settings' }]
-        ]
+  const [, action, keyId] = ctx.match;
+  const apiKey = apiKeys.getKey(keyId);
+  if (!apiKey) {
+    ctx.answerCbQuery(t(userId, 'button_expired'), true);
+    return;
+  }
+  
+  if (action === 'toggle') {
+    apiKeys.setEnabled(keyId, !apiKey.enabled);
+    ctx.answerCbQuery(t(userId, apiKey.enabled ? 'api_key_disabled' : 'api_key_enabled'));
+    showApiKey(ctx, userId, apiKeys.getKey(keyId));
+  } else if (action === 'label') {
+    userSessions[userId].step = 'waiting_api_key_label';
+    userSessions[userId].apiKeyId = keyId;
+    ctx.editMessageText(
+      `<b>${t(userId, 'label_api_key')}</b>\n\n` +
+      `🔑 <code>${escapeHtml(apiKeys.maskKey(apiKey.key))}</code>\n\n` +
+      `${t(userId, 'send_api_key_label')}`,
+      {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[{ text: t(userId, 'cancel'), callback_data: `admin_api_key_${keyId}` }]]
+        }
       }
+    );
+  } else if (action === 'remove') {
+    const result = apiKeys.removeKey(keyId);
+    if (result.error) {
+      ctx.answerCbQuery(t(userId, 'api_key_in_use', { count: result.emails }), true);
+      return;
     }
-  );
+    ctx.answerCbQuery();
+    showApiKeys(ctx, userId, t(userId, 'api_key_removed'));
+  } else {
+    ctx.answerCbQuery();
+    showApiKey(ctx, userId, apiKey);
+  }
 });
 
 bot.action('admin_proxy_menu', (ctx) => {
@@ -1477,6 +3710,10 @@ bot.action('admin_proxy_menu', (ctx) => {
           [{ text: t(userId, 'add_proxy'), callback_data: 'admin_add_proxy' }],
           [{ text: t(userId, 'remove_proxy'), callback_data: 'admin_remove_proxy_list' }],
           [{ text: t(userId, 'view_all_proxies'), callback_data: 'admin_view_proxies' }],
+          [
+            { text: t(userId, 'import_proxies'), callback_data: 'admin_import_proxies' },
+            { text: t(userId, 'export_proxies'), callback_data: 'admin_export_proxies' }
+          ],
           [{ text: t(userId, 'back'), callback_data: 'admin_settings' }]
         ]
       }
@@ -1507,6 +3744,197 @@ bot.action('admin_add_proxy', (ctx) => {
   );
 });
 
+const MAX_IMPORT_FILE_SIZE = 1024 * 1024;
+const IMPORT_FILE_TYPES = ['.txt', '.csv', '.json'];
+
+// Import screen: the admin sends a file or pastes a list; mode and testing are toggled here
+function renderProxyImport(ctx, userId) {
+  const options = userSessions[userId].proxyImport;
+  const check = on => on ? '✅ ' : '';
+  ctx.editMessageText(
+    `<b>${t(userId, 'import_proxies')}</b>\n\n` +
+    `${t(userId, 'send_proxy_list')}\n\n` +
+    `${t(userId, options.replace ? 'import_mode_replace_info' : 'import_mode_add_info')}\n` +
+    `${t(userId, options.test ? 'import_test_on_info' : 'import_test_off_info')}`,
+    {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: check(!options.replace) + t(userId, 'import_mode_add'), callback_data: 'admin_import_mode_add' },
+            { text: check(options.replace) + t(userId, 'import_mode_replace'), callback_data: 'admin_import_mode_replace' }
+          ],
+          [{
+            text: check(options.test) + t(userId, 'import_test'),
+            callback_data: options.test ? 'admin_import_test_off' : 'admin_import_test_on'
+          }],
+          [{ text: t(userId, 'cancel'), callback_data: 'admin_proxy_menu' }]
+        ]
+      }
+    }
+  );
+}
+
+bot.action('admin_import_proxies', (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  userSessions[userId].step = 'waiting_proxy_import';
+  userSessions[userId].proxyImport = { replace: false, test: false };
+  renderProxyImport(ctx, userId);
+});
+
+bot.action(/^admin_import_(mode|test)_(add|replace|on|off)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const session = userSessions[userId];
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  if (!session || session.step !== 'waiting_proxy_import') {
+    ctx.answerCbQuery(t(userId, 'session_expired'), true);
+    return;
+  }
+  
+  if (ctx.match[1] === 'mode') {
+    session.proxyImport.replace = ctx.match[2] === 'replace';
+  } else {
+    session.proxyImport.test = ctx.match[2] === 'on';
+  }
+  ctx.answerCbQuery();
+  renderProxyImport(ctx, userId);
+});
+
+// Validate, optionally probe, then add or replace; reports what was skipped and why
+async function runProxyImport(ctx, userId, text) {
+  const session = userSessions[userId];
+  const options = session.proxyImport || { replace: false, test: false };
+  const parsed = proxies.parseProxyList(text);
+  const invalidLines = parsed.invalid.slice(0, 10)
+    .map(entry => `   ${t(userId, 'line')} ${entry.line}: <code>${escapeHtml(proxies.maskProxy(entry.text).substring(0, 60))}</code>`)
+    .join('\n');
+  
+  if (parsed.proxies.length === 0) {
+    // Stay in import mode so a corrected list can be sent
+    ctx.replyWithHTML(
+      `${t(userId, 'import_nothing_valid')}` +
+      (invalidLines ? `\n\n${invalidLines}` : '')
+    );
+    return;
+  }
+  
+  session.step = null;
+  let valid = parsed.proxies;
+  const failed = [];
+  if (options.test) {
+    await ctx.replyWithHTML(t(userId, 'testing_imported_proxies', { count: valid.length }));
+    const results = await proxyHealth.checkMany(valid);
+    valid = parsed.proxies.filter(proxy => results.get(proxy).ok);
+    parsed.proxies.filter(proxy => !results.get(proxy).ok)
+      .forEach(proxy => failed.push({ proxy, error: results.get(proxy).error }));
+  }
+  
+  let added = 0;
+  let alreadyListed = 0;
+  if (options.replace) {
+    if (valid.length === 0) {
+      ctx.replyWithHTML(t(userId, 'import_replace_empty'));
+      return;
+    }
+    proxies.getAllProxies().filter(proxy => !valid.includes(proxy)).forEach(proxyHealth.forget);
+    proxies.replaceProxies(valid);
+    added = valid.length;
+  } else {
+    added = proxies.addProxies(valid);
+    alreadyListed = valid.length - added;
+  }
+  
+  let message = `<b>${t(userId, 'import_done')}</b>\n\n` +
+    `✅ ${t(userId, options.replace ? 'import_replaced' : 'import_added')}: <b>${added}</b>\n`;
+  if (parsed.duplicates > 0) message += `♻️ ${t(userId, 'import_duplicates')}: ${parsed.duplicates}\n`;
+  if (alreadyListed > 0) message += `📋 ${t(userId, 'import_already_listed')}: ${alreadyListed}\n`;
+  if (parsed.invalid.length > 0) {
+    message += `⚠️ ${t(userId, 'import_invalid')}: ${parsed.invalid.length}\n${invalidLines}\n`;
+  }
+  if (failed.length > 0) {
+    message += `❌ ${t(userId, 'import_failed_test')}: ${failed.length}\n`;
+    message += failed.slice(0, 10)
+      .map(entry => `   <code>${escapeHtml(proxies.maskProxy(entry.proxy))}</code> - ${escapeHtml(String(entry.error).substring(0, 60))}`)
+      .join('\n') + '\n';
+  }
+  message += `\n${t(userId, 'total_proxies')}<b>${proxies.getProxyCount()}</b>`;
+  
+  ctx.replyWithHTML(message, {
+    reply_markup: {
+      inline_keyboard: [[{ text: t(userId, 'manage_proxies'), callback_data: 'admin_proxy_menu' }]]
+    }
+  });
+}
+
+// Proxy lists sent as a file while the import screen is open
+bot.on('document', async (ctx) => {
+  const userId = ctx.from.id;
+  const session = userSessions[userId];
+  
+  if (!session || session.step !== 'waiting_proxy_import' || !isAdmin(userId)) return;
+  
+  const document = ctx.message.document;
+  const name = (document.file_name || '').toLowerCase();
+  if (!IMPORT_FILE_TYPES.some(type => name.endsWith(type))) {
+    ctx.replyWithHTML(t(userId, 'import_file_type'));
+    return;
+  }
+  if (document.file_size > MAX_IMPORT_FILE_SIZE) {
+    ctx.replyWithHTML(t(userId, 'import_file_too_large'));
+    return;
+  }
+  
+  try {
+    const link = await ctx.telegram.getFileLink(document.file_id);
+    const response = await axios.get(link.href, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: MAX_IMPORT_FILE_SIZE
+    });
+    // Not awaited: testing a long list takes longer than Telegram waits for an answer
+    runProxyImport(ctx, userId, Buffer.from(response.data).toString('utf8'))
+      .catch(error => ctx.replyWithHTML(`${t(userId, 'error')}${escapeHtml(error.message)}`));
+  } catch (error) {
+    ctx.replyWithHTML(`${t(userId, 'error')}${escapeHtml(error.message)}`);
+  }
+});
+
+// Sends the list in the proxies.json format, so it can be imported again
+bot.action('admin_export_proxies', async (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
+  }
+  
+  const proxyList = proxies.getAllProxies();
+  if (proxyList.length === 0) {
+    ctx.answerCbQuery(t(userId, 'no_proxies_configured'), true);
+    return;
+  }
+  
+  try {
+    await ctx.answerCbQuery();
+    await ctx.replyWithDocument(
+      { source: Buffer.from(JSON.stringify({ proxies: proxyList }, null, 2), 'utf8'), filename: 'proxies.json' },
+      { caption: t(userId, 'proxies_exported', { count: proxyList.length }) }
+    );
+  } catch (error) {
+    ctx.replyWithHTML(`${t(userId, 'error')}${escapeHtml(error.message)}`);
+  }
+});
+
 bot.action('admin_remove_proxy_list', (ctx) => {
   const userId = ctx.from.id;
   
@@ -1526,7 +3954,7 @@ bot.action('admin_remove_proxy_list', (ctx) => {
   const buttons = [];
   
   proxyList.forEach((proxy, index) => {
-    message += `${index + 1}. <code>${proxy}</code>\n`;
+    message += `${index + 1}. <code>${escapeHtml(proxies.maskProxy(proxy))}</code>\n`;
     buttons.push([{ text: `🗑️ ${index + 1}`, callback_data: `admin_del_proxy_${index}` }]);
   });
   
@@ -1552,7 +3980,7 @@ bot.action(/^admin_del_proxy_(\d+)$/, (ctx) => {
   
   if (proxy) {
     proxies.removeProxy(proxy);
-    ctx.answerCbQuery(`${t(userId, 'proxy_removed_msg')}${proxy}`);
+    ctx.answerCbQuery(`${t(userId, 'proxy_removed_msg')}${proxies.maskProxy(proxy)}`);
     
     // Refresh proxy list
     const updatedList = proxies.getAllProxies();
@@ -1579,7 +4007,7 @@ bot.action(/^admin_del_proxy_(\d+)$/, (ctx) => {
     const buttons = [];
     
     updatedList.forEach((p, index) => {
-      message += `${index + 1}. <code>${p}</code>\n`;
+      message += `${index + 1}. <code>${escapeHtml(proxies.maskProxy(p))}</code>\n`;
       buttons.push([{ text: `🗑️ ${index + 1}`, callback_data: `admin_del_proxy_${index}` }]);
     });
     
@@ -1592,7 +4020,66 @@ bot.action(/^admin_del_proxy_(\d+)$/, (ctx) => {
   }
 });
 
-bot.action('admin_view_proxies', (ctx) => {
+// 🟢 working, 🟡 recently rate limited, 🔴 quarantined, ⚪ not checked yet
+function proxyStatusIcon(proxyHealthData) {
+  if (proxyHealthData.quarantined) return '🔴';
+  if (proxyHealthData.checks === 0) return '⚪';
+  const rateLimited = proxyHealthData.lastRateLimitedAt &&
+    Date.now() - new Date(proxyHealthData.lastRateLimitedAt).getTime() < 10 * 60 * 1000;
+  return rateLimited ? '🟡' : '🟢';
+}
+
+// One page of the proxy list with the health data of each proxy
+function renderProxyList(userId, page) {
+  const proxyList = proxies.getAllProxies();
+  let message = `<b>${t(userId, 'all_proxies')} (${proxyList.length})</b>\n\n`;
+  
+  if (proxyList.length === 0) {
+    message += t(userId, 'no_proxies_configured') + '.';
+    return {
+      message,
+      buttons: [[{ text: t(userId, 'back'), callback_data: 'admin_proxy_menu' }]]
+    };
+  }
+  
+  const healthList = proxyList.map(proxy => proxyHealth.getHealth(proxy));
+  message += t(userId, 'proxy_health_summary', {
+    healthy: healthList.filter(h => h.checks > 0 && !h.quarantined).length,
+    quarantined: healthList.filter(h => h.quarantined).length,
+    unchecked: healthList.filter(h => h.checks === 0).length
+  }) + '\n\n';
+  
+  const view = paginateArray(proxyList, page, LIST_PAGE_SIZE);
+  view.items.forEach((proxy, offset) => {
+    const index = view.start + offset;
+    const h = healthList[index];
+    message += `${index + 1}. ${proxyStatusIcon(h)} <code>${escapeHtml(proxies.maskProxy(proxy))}</code>\n`;
+    if (h.checks === 0) {
+      message += `   ${t(userId, 'proxy_not_checked')}\n`;
+      return;
+    }
+    message += `   ⭐ ${Math.round(h.score * 100)}% · ` +
+      `⚡ ${h.latencyMs === null ? '-' : `${h.latencyMs} ms`} · ` +
+      `✅ ${h.successes}/${h.checks}\n`;
+    message += `   🕐 ${t(userId, 'proxy_last_check')}: ${formatDate(userId, h.lastCheckedAt, { relative: true })}\n`;
+    if (h.lastRateLimitedAt) {
+      message += `   ⏳ ${t(userId, 'proxy_last_429')}: ${formatDate(userId, h.lastRateLimitedAt, { relative: true })}\n`;
+    }
+    if (h.quarantined) {
+      message += `   🚫 ${t(userId, 'proxy_quarantined_since')}: ${formatDate(userId, h.quarantinedAt, { relative: true })}\n`;
+    }
+    if (h.lastError) {
+      message += `   ❌ ${escapeHtml(h.lastError.substring(0, 100))}\n`;
+    }
+  });
+  
+  const buttons = [...pageNavigation(view, p => `admin_view_proxies_${p}`)];
+  buttons.push([{ text: t(userId, 'check_proxies'), callback_data: `admin_check_proxies_${view.page}` }]);
+  buttons.push([{ text: t(userId, 'back'), callback_data: 'admin_proxy_menu' }]);
+  return { message, buttons };
+}
+
+bot.action(/^admin_view_proxies(?:_(\d+))?$/, (ctx) => {
   const userId = ctx.from.id;
   
   if (!isAdmin(userId)) {
@@ -1600,64 +4087,47 @@ bot.action('admin_view_proxies', (ctx) => {
     return;
   }
   
-  const proxyList = proxies.getAllProxies();
-  let message = `<b>${t(userId, 'all_proxies')} (${proxyList.length})</b>\n\n`;
+  const list = renderProxyList(userId, parseInt(ctx.match[1] || '0'));
+  ctx.editMessageText(list.message, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: list.buttons }
+  });
+});
+
+// Probe every proxy now; the list is redrawn when all probes are done
+bot.action(/^admin_check_proxies_(\d+)$/, (ctx) => {
+  const userId = ctx.from.id;
+  const page = parseInt(ctx.match[1]);
   
-  if (proxyList.length === 0) {
-    message += t(userId, 'no_proxies_configured') + '.';
-  } else {
-    proxyList.forEach((proxy, index) => {
-      message += `${index + 1}. <code>${proxy}</code>\n`;
-    });
+  if (!isAdmin(userId)) {
+    ctx.answerCbQuery(t(userId, 'admin_access_denied'), true);
+    return;
   }
   
-  ctx.editMessageText(message, {
-    parse_mode: 'HTML',
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: t(userId, 'back'), callback_data: 'admin_proxy_menu' }]
-      ]
-    }
-  });
+  ctx.answerCbQuery(t(userId, 'checking_proxies'));
+  // Not awaited: long lists take longer than Telegram waits for an answer
+  proxyHealth.checkAll(proxies.getAllProxies())
+    .then(summary => {
+      const list = renderProxyList(userId, page);
+      return ctx.editMessageText(
+        `${t(userId, 'proxy_check_done', summary)}\n\n${list.message}`,
+        { parse_mode: 'HTML', reply_markup: { inline_keyboard: list.buttons } }
+      );
+    })
+    .catch(error => console.error('Error checking proxies:', error.message));
 });
 
-// Handle API key and proxy text input
+// Handle proxy text input
 bot.on('text', async (ctx) => {
   const userId = ctx.from.id;
   const session = userSessions[userId];
   
   // ... existing code ...
   
-  if (session && session.step === 'waiting_api_key' && isAdmin(userId)) {
-    const newApiKey = ctx.message.text.trim();
-    
-    if (newApiKey.length < 20) {
-      ctx.replyWithHTML(t(userId, 'api_key_short'));
-      return;
-    }
+  if (session && session.step === 'waiting_proxy_add' && isAdmin(userId)) {
+    const newProxy = proxies.parseProxy(ctx.message.text);
     
-    // Update .env file
-    try {
-      const envPath = path.join(__dirname, '.env');
-      let envContent = fs.readFileSync(envPath, 'utf8');
-      envContent = envContent.replace(/API_KEY=.*/g, `API_KEY=${newApiKey}`);
-      fs.writeFileSync(envPath, envContent, 'utf8');
-      process.env.API_KEY = newApiKey;
-      
-      ctx.replyWithHTML(
-        `${t(userId, 'api_key_updated')}\n\n` +
-        `${t(userId, 'api_key_new')}<code>${newApiKey.substring(0, 10)}...</code>\n\n` +
-        `${t(userId, 'api_key_warning')}`
-      );
-    } catch (error) {
-      ctx.replyWithHTML(`${t(userId, 'error')}${error.message}`);
-    }
-    
-    session.step = null;
-  } else if (session && session.step === 'waiting_proxy_add' && isAdmin(userId)) {
-    const newProxy = ctx.message.text.trim();
-    
-    if (!newProxy.startsWith('http://') && !newProxy.startsWith('https://')) {
+    if (!newProxy) {
       ctx.replyWithHTML(t(userId, 'proxy_format_error'));
       return;
     }
@@ -1665,7 +4135,7 @@ bot.on('text', async (ctx) => {
     if (proxies.addProxy(newProxy)) {
       ctx.replyWithHTML(
         `${t(userId, 'proxy_added')}\n\n` +
-        `🌐 <code>${newProxy}</code>\n\n` +
+        `🌐 <code>${escapeHtml(proxies.maskProxy(newProxy))}</code>\n\n` +
         `${t(userId, 'total_proxies')}<b>${proxies.getProxyCount()}</b>`
       );
     } else {
@@ -1676,25 +4146,145 @@ bot.on('text', async (ctx) => {
   }
 });
 
-// ... existing code ...
+const MENU_COMMANDS = ['start', 'new', 'create', 'list', 'search', 'language', 'help', 'cancel'];
+
+function commandList(language) {
+  return MENU_COMMANDS.map(command => ({
+    command,
+    description: i18n.translate(language, `command_${command}`)
+  }));
+}
+
+// Registered once per locale (Telegram shows the list matching the client language) and once as the fallback
 async function setCommands() {
   try {
-    await bot.telegram.setMyCommands([
-      { command: 'start', description: 'Start the bot and show main menu' },
-      { command: 'help', description: 'Show help information' },
-    ]);
+    await bot.telegram.setMyCommands(commandList(i18n.getDefaultLanguage()));
+    for (const { code } of i18n.getLanguages()) {
+      await bot.telegram.setMyCommands(commandList(code), { language_code: code });
+    }
     console.log('✅ Bot commands registered successfully');
   } catch (error) {
     console.error('Error setting commands:', error.message);
   }
 }
 
-bot.launch();
+// ==================== Webhook & Health Endpoints ====================
+
+const WEBHOOK_PATH = '/' + (process.env.WEBHOOK_PATH || 'telegram/webhook').replace(/^\/+/, '');
+// Telegram sends this back in X-Telegram-Bot-Api-Secret-Token; without WEBHOOK_SECRET one is derived from the bot token
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET ||
+  require('crypto').createHash('sha256').update(`webhook:${process.env.BOT_TOKEN}`).digest('hex');
+
+const healthChecks = {
+  telegram: createCheck(() => bot.telegram.getMe(), 30 * 1000),
+  // Straight to the provider: probes must not queue behind user requests in the scheduler
+  mail: createCheck(() => mailProvider.getDomains(), 60 * 1000),
+  storage: createCheck(() => storage.getSetting('health_check', null), 10 * 1000)
+};
+
+const httpServer = HTTP_PORT > 0 ? createHttpServer({
+  checks: healthChecks,
+  webhookPath: BOT_MODE === 'webhook' ? WEBHOOK_PATH : null,
+  webhookHandler: BOT_MODE === 'webhook' ? bot.webhookCallback(WEBHOOK_PATH, { secretToken: WEBHOOK_SECRET }) : null
+}) : null;
+
+// Register the webhook with Telegram once the local server accepts requests
+async function startWebhook() {
+  if (!process.env.WEBHOOK_URL) {
+    throw new Error('WEBHOOK_URL is required when BOT_MODE=webhook');
+  }
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+    throw new Error('WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (1-256 characters)');
+  }
+  await httpServer.listen(HTTP_PORT, HTTP_HOST);
+  console.log(`🌐 HTTP server listening on ${HTTP_HOST}:${HTTP_PORT}`);
+  bot.botInfo = await bot.telegram.getMe();
+  const url = process.env.WEBHOOK_URL.replace(/\/+$/, '') + WEBHOOK_PATH;
+  await bot.telegram.setWebhook(url, { secret_token: WEBHOOK_SECRET });
+  console.log(`✅ Webhook set to ${url}`);
+}
+
+function startBot() {
+  if (BOT_MODE === 'webhook') {
+    return startWebhook();
+  }
+  if (httpServer) {
+    httpServer.listen(HTTP_PORT, HTTP_HOST)
+      .then(() => console.log(`🌐 HTTP server listening on ${HTTP_HOST}:${HTTP_PORT}`))
+      .catch(error => console.error('Error starting HTTP server:', error.message));
+  }
+  // Resolves only when polling stops; launch() also removes a webhook left over from webhook mode
+  bot.launch().catch(error => {
+    console.error('Error during polling:', error.message);
+    process.exit(1);
+  });
+  return Promise.resolve();
+}
+
+startBot().catch(error => {
+  console.error('Error starting bot:', error.message);
+  process.exit(1);
+});
 
 // Set commands after bot is launched
 setCommands();
 
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+pruneSessions();
+const pruneTimer = setInterval(pruneSessions, 60 * 60 * 1000);
+
+// Providers with their own listener (SMTP) start receiving mail now
+if (mailProvider.start) {
+  mailProvider.start().catch(error => {
+    console.error(`Error starting ${mailProvider.name} provider:`, error.message);
+  });
+}
+
+// Probe proxies in the background so dead ones are quarantined before requests use them
+if (PROXY_CHECK_INTERVAL > 0) {
+  proxyHealth.startHealthChecks({
+    getProxies: proxies.getAllProxies,
+    interval: PROXY_CHECK_INTERVAL * 1000
+  });
+}
+
+// Remind owners before addresses expire and drop expired ones from storage
+expiry.startExpiryJobs({
+  notify: notifyExpiring,
+  onRemoved: email => listPagers.invalidate(`emails_${email.userId}`),
+  reminderBefore: Math.max(EXPIRY_REMINDER, 0) * 1000,
+  interval: EXPIRY_CHECK_INTERVAL
+});
+
+// Poll inboxes in the background; polls queue behind user requests in the scheduler
+if (WATCH_INTERVAL > 0) {
+  watcher.startWatcher({
+    getTrackedEmails,
+    getMessages: emailId => getMessages(emailId, null, 'background'),
+    notify: handleNewMessage,
+    interval: WATCH_INTERVAL * 1000
+  });
+}
+
+function shutdown(signal) {
+  clearInterval(pruneTimer);
+  watcher.stopWatcher();
+  expiry.stopExpiryJobs();
+  proxyHealth.stopHealthChecks();
+  apiKeys.flushUsage();
+  if (mailProvider.stop) {
+    mailProvider.stop();
+  }
+  // The webhook stays registered so Telegram holds updates until the next start
+  if (BOT_MODE === 'polling') {
+    bot.stop(signal);
+  }
+  if (httpServer) {
+    httpServer.close();
+  }
+  closeStorage();
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
-console.log('🤖 Vun Mail is running...');
+console.log(`🤖 Vun Mail is running (${BOT_MODE})...`);
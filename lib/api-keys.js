@@ -0,0 +1,262 @@
+// API Key Module
+// Pool of mail API keys managed from the admin panel; each key can be labelled, disabled and removed
+// New work is spread over the enabled keys with the fewest requests today; a key answering 401, 403 or 429
+// rests for a while so requests fail over to the others. Emails remember the key that created them,
+// because their IDs only exist on that key's account
+// Usage counters are kept in memory and written to storage at most every 30 seconds
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const MIN_KEY_LENGTH = 20;
+const AUTH_COOLDOWN = 10 * 60 * 1000; // Rest after 401 / 403
+const RATE_LIMIT_COOLDOWN = 60 * 1000; // Rest after 429
+const FLUSH_DELAY = 30 * 1000;
+
+const cooldowns = new Map(); // Key ID -> timestamp until which the key is skipped
+const usage = new Map(); // Key ID -> usage counters not yet written
+let flushTimer = null;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function emptyUsage() {
+  return {
+    requests: 0,
+    failures: 0,
+    rateLimited: 0,
+    day: today(),
+    requestsToday: 0,
+    lastUsedAt: null,
+    lastError: null,
+    lastErrorAt: null
+  };
+}
+
+function getUsage(apiKey) {
+  if (!usage.has(apiKey.id)) {
+    usage.set(apiKey.id, { ...emptyUsage(), ...(apiKey.usage || {}) });
+  }
+  const entry = usage.get(apiKey.id);
+  if (entry.day !== today()) {
+    entry.day = today();
+    entry.requestsToday = 0;
+  }
+  return entry;
+}
+
+/**
+ * Shorten a key for display
+ * @param {string} key - API key
+ * @returns {string} e.g. abc123…wxyz
+ */
+function maskKey(key) {
+  const value = String(key || '');
+  return value.length > 12 ? `${value.slice(0, 6)}…${value.slice(-4)}` : '***';
+}
+
+/**
+ * Get every key with its usage
+ * @returns {array} [{ id, key, label, enabled, addedAt, usage, emails, coolingDownUntil }]
+ */
+function listKeys() {
+  const storage = getStorage();
+  const emailCounts = storage.countEmailsByApiKey();
+  const now = Date.now();
+  return storage.getApiKeys().map(apiKey => ({
+    ...apiKey,
+    usage: { ...getUsage(apiKey) },
+    emails: emailCounts[apiKey.id] || 0,
+    coolingDownUntil: (cooldowns.get(apiKey.id) || 0) > now ? new Date(cooldowns.get(apiKey.id)) : null
+  }));
+}
+
+/**
+ * Get one key with its usage
+ * @param {string} id - Key ID
+ * @returns {object|null}
+ */
+function getKey(id) {
+  return listKeys().find(apiKey => apiKey.id === id) || null;
+}
+
+/**
+ * Get the secret of a key
+ * @param {string} id - Key ID
+ * @returns {string|null}
+ */
+function getSecret(id) {
+  return getStorage().getApiKeys().find(apiKey => apiKey.id === id)?.key || null;
+}
+
+/**
+ * Add a key to the pool
+ * @param {string} key - API key
+ * @param {string} [label] - Name shown in the admin panel
+ * @returns {object} { apiKey } on success, otherwise { error: "short" | "exists" }
+ */
+function addKey(key, label) {
+  const value = String(key || '').trim();
+  if (value.length < MIN_KEY_LENGTH) return { error: 'short' };
+  if (getStorage().getApiKeys().some(apiKey => apiKey.key === value)) return { error: 'exists' };
+  return { apiKey: createKey(value, label) };
+}
+
+function createKey(value, label) {
+  const id = crypto.randomBytes(4).toString('hex');
+  getStorage().addApiKey({ id, key: value, label: label ? String(label).trim().substring(0, 40) : null });
+  console.log(`API key added: ${maskKey(value)}`);
+  return getKey(id);
+}
+
+/**
+ * Remove a key; refused while stored emails still belong to it
+ * @param {string} id - Key ID
+ * @returns {object} { removed } or { error: "in_use", emails }
+ */
+function removeKey(id) {
+  const emails = getStorage().countEmailsByApiKey()[id] || 0;
+  if (emails > 0) return { error: 'in_use', emails };
+  const removed = getStorage().removeApiKey(id);
+  cooldowns.delete(id);
+  usage.delete(id);
+  return { removed };
+}
+
+/**
+ * Enable or disable a key
+ * Disabled keys get no new work but still serve the emails they created.
+ * @param {string} id - Key ID
+ * @param {boolean} enabled
+ * @returns {boolean} False when the key does not exist
+ */
+function setEnabled(id, enabled) {
+  if (enabled) cooldowns.delete(id);
+  return getStorage().updateApiKey(id, { enabled: Boolean(enabled) });
+}
+
+/**
+ * Rename a key
+ * @param {string} id - Key ID
+ * @param {string|null} label - New label, or null to clear it
+ * @returns {boolean} False when the key does not exist
+ */
+function setLabel(id, label) {
+  return getStorage().updateApiKey(id, { label: label ? String(label).trim().substring(0, 40) : null });
+}
+
+/**
+ * Keys that may take new work, least used today first
+ * Resting keys are left out unless every enabled key is resting.
+ * @returns {array} Key IDs
+ */
+function getUsableKeyIds() {
+  const now = Date.now();
+  const enabled = getStorage().getApiKeys().filter(apiKey => apiKey.enabled);
+  const awake = enabled.filter(apiKey => (cooldowns.get(apiKey.id) || 0) <= now);
+  return (awake.length > 0 ? awake : enabled)
+    .sort((a, b) => getUsage(a).requestsToday - getUsage(b).requestsToday)
+    .map(apiKey => apiKey.id);
+}
+
+/**
+ * Number of keys in the pool, enabled or not
+ * @returns {number}
+ */
+function getKeyCount() {
+  return getStorage().getApiKeys().length;
+}
+
+/**
+ * Key an email's requests must use
+ * @param {object|null} email - Stored email
+ * @returns {string|undefined} Key ID, or undefined when the email has none (any key will do)
+ */
+function keyForEmail(email) {
+  return email?.apiKeyId || undefined;
+}
+
+/**
+ * Count a request made with a key and rest the key after 401, 403 or 429
+ * @param {string} id - Key ID
+ * @param {object} result - { ok, status, error }
+ */
+function recordResult(id, result) {
+  const apiKey = getStorage().getApiKeys().find(entry => entry.id === id);
+  if (!apiKey) return;
+
+  const entry = getUsage(apiKey);
+  entry.requests++;
+  entry.requestsToday++;
+  entry.lastUsedAt = new Date().toISOString();
+
+  if (result.status === 401 || result.status === 403 || result.status === 429) {
+    const rateLimited = result.status === 429;
+    if (rateLimited) entry.rateLimited++;
+    else entry.failures++;
+    entry.lastError = result.error || `HTTP ${result.status}`;
+    entry.lastErrorAt = entry.lastUsedAt;
+    cooldowns.set(id, Date.now() + (rateLimited ? RATE_LIMIT_COOLDOWN : AUTH_COOLDOWN));
+    if (!rateLimited) {
+      console.warn(`API key ${apiKey.label || maskKey(apiKey.key)} was refused (HTTP ${result.status}), resting it`);
+    }
+  } else if (result.ok) {
+    cooldowns.delete(id);
+  }
+  scheduleFlush();
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(flushUsage, FLUSH_DELAY);
+  flushTimer.unref();
+}
+
+/**
+ * Write pending usage counters to storage
+ */
+function flushUsage() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  const storage = getStorage();
+  usage.forEach((entry, id) => {
+    storage.updateApiKey(id, { usage: { ...entry } });
+  });
+}
+
+/**
+ * Put API_KEY from the environment into an empty pool
+ * Emails stored before the pool existed were created with that key, so they are assigned to it.
+ * @param {string} [envKey] - process.env.API_KEY
+ * @returns {object|null} The added key, or null when the pool already had keys
+ */
+function seedFromEnv(envKey) {
+  if (!envKey || getKeyCount() > 0) return null;
+  const apiKey = createKey(String(envKey).trim(), 'API_KEY');
+  const assigned = getStorage().assignApiKeyToEmails(apiKey.id);
+  if (assigned > 0) {
+    console.log(`Assigned ${assigned} existing emails to the API_KEY key`);
+  }
+  return apiKey;
+}
+
+module.exports = {
+  MIN_KEY_LENGTH,
+  maskKey,
+  listKeys,
+  getKey,
+  getSecret,
+  addKey,
+  removeKey,
+  setEnabled,
+  setLabel,
+  getUsableKeyIds,
+  getKeyCount,
+  keyForEmail,
+  recordResult,
+  flushUsage,
+  seedFromEnv
+};
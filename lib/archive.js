@@ -0,0 +1,141 @@
+// Message Archive Module
+// Keeps a local copy of received messages (sender, subject, text body and optionally HTML) for their owner,
+// so mail stays readable after its address expires and can be searched across all of a user's inboxes
+// Copies older than ARCHIVE_RETENTION_DAYS are removed; users can opt out, which also deletes their copies
+
+const { getStorage } = require('./storage');
+
+const MAX_TEXT_LENGTH = 100000;
+const MAX_HTML_LENGTH = 500000; // Larger HTML bodies are archived as text only
+const MAX_RESULTS = 100;
+const MAX_TERMS = 5;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Days archived messages are kept
+ * @returns {number} 0 when archiving is disabled
+ */
+function getRetentionDays() {
+  const days = parseInt(process.env.ARCHIVE_RETENTION_DAYS || '30');
+  return isNaN(days) ? 30 : Math.max(days, 0);
+}
+
+/**
+ * Whether the archive is switched on for this bot
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return getRetentionDays() > 0;
+}
+
+function keepsHtml() {
+  return (process.env.ARCHIVE_HTML || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Whether messages of a user are archived
+ * @param {number|string} userId - User ID
+ * @returns {boolean}
+ */
+function isArchiving(userId) {
+  return isEnabled() && !getStorage().getUser(userId)?.archiveOptOut;
+}
+
+/**
+ * Opt a user in or out; opting out deletes their archived messages
+ * @param {number|string} userId - User ID
+ * @param {boolean} optOut
+ * @returns {number} Number of archived messages deleted
+ */
+function setOptOut(userId, optOut) {
+  const storage = getStorage();
+  storage.setUserArchiveOptOut(userId, optOut);
+  return optOut ? storage.deleteUserArchive(userId) : 0;
+}
+
+// Messages without a usable received date count as received when archived
+function receivedDate(message) {
+  const date = new Date(message.received_at || Date.now());
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Archive a message for the owner of its address
+ * @param {object} email - Stored email { id, userId, address }
+ * @param {object} message - Message list entry or detail { id, from_address, subject, content, html, received_at }
+ * @returns {boolean} False when the owner opted out or the archive is off
+ */
+function archiveMessage(email, message) {
+  if (!email || !isArchiving(email.userId)) return false;
+  // A copy with a body is not replaced; one made from a list entry is once the body is known
+  const existing = getStorage().getArchivedMessage(email.id, String(message.id));
+  if (existing && (existing.text || !message.content)) return true;
+  const html = keepsHtml() && message.html && message.html.length <= MAX_HTML_LENGTH ? message.html : null;
+  getStorage().archiveMessage({
+    emailId: email.id,
+    messageId: String(message.id),
+    userId: email.userId,
+    address: email.address,
+    fromAddress: message.from_address,
+    subject: message.subject,
+    text: (message.content || '').substring(0, MAX_TEXT_LENGTH),
+    html,
+    receivedAt: receivedDate(message).toISOString()
+  });
+  return true;
+}
+
+/**
+ * Search a user's archive
+ * @param {number|string} userId - User ID
+ * @param {string} query - Words that must all appear in the sender, subject or body (case-insensitive)
+ * @returns {array} Up to 100 archived messages, newest first
+ */
+function search(userId, query) {
+  const terms = String(query || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_TERMS);
+  if (terms.length === 0) return [];
+  return getStorage().searchArchive(userId, terms, MAX_RESULTS);
+}
+
+/**
+ * Get one archived message of a user
+ * @param {number|string} userId - User ID
+ * @param {string} emailId - Email ID
+ * @param {string} messageId - Message ID
+ * @returns {object|null} Archived message, or null when missing or owned by someone else
+ */
+function getMessage(userId, emailId, messageId) {
+  const message = getStorage().getArchivedMessage(emailId, messageId);
+  return message && message.userId === String(userId) ? message : null;
+}
+
+/**
+ * Number of messages archived for a user
+ * @param {number|string} userId - User ID
+ * @returns {number}
+ */
+function countMessages(userId) {
+  return getStorage().countArchivedMessages(userId);
+}
+
+/**
+ * Remove archived messages received before the retention period
+ * A retention of 0 days keeps nothing, so switching the archive off empties it.
+ * @returns {number} Number removed
+ */
+function pruneArchive() {
+  return getStorage().deleteArchivedMessagesBefore(new Date(Date.now() - getRetentionDays() * DAY).toISOString());
+}
+
+module.exports = {
+  MAX_RESULTS,
+  getRetentionDays,
+  isEnabled,
+  isArchiving,
+  setOptOut,
+  archiveMessage,
+  search,
+  getMessage,
+  countMessages,
+  pruneArchive
+};
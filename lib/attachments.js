@@ -0,0 +1,122 @@
+// Attachment Policy Module
+// Decides which attachments may be sent to Telegram
+// The size limit comes from the environment; the MIME blocklist is kept in storage so admins can edit it
+
+const { getStorage } = require('./storage');
+
+const BLOCKLIST_SETTING = 'attachment_mime_blocklist';
+
+// Telegram bots may upload documents up to 50 MB; stay well under that by default
+const DEFAULT_MAX_SIZE = 20 * 1024 * 1024;
+
+// Executables and scripts are refused unless an admin unblocks them
+const DEFAULT_BLOCKLIST = [
+  'application/x-msdownload',
+  'application/x-msdos-program',
+  'application/x-executable',
+  'application/x-dosexec',
+  'application/x-sh',
+  'application/x-bat',
+  'application/vnd.microsoft.portable-executable',
+  'application/java-archive',
+  'application/javascript',
+  'text/javascript',
+  'application/x-ms-shortcut'
+];
+
+/**
+ * Largest attachment the bot will send, in bytes
+ * @returns {number}
+ */
+function getMaxSize() {
+  return parseInt(process.env.ATTACHMENT_MAX_SIZE || '') || DEFAULT_MAX_SIZE;
+}
+
+/**
+ * Get the MIME blocklist
+ * @returns {array} MIME types; "type/*" blocks a whole family
+ */
+function getBlocklist() {
+  return getStorage().getSetting(BLOCKLIST_SETTING, DEFAULT_BLOCKLIST).slice();
+}
+
+/**
+ * Add a MIME type to the blocklist
+ * @param {string} mimeType - e.g. "application/zip" or "video/*"
+ * @returns {boolean} False when it was invalid or already listed
+ */
+function blockMimeType(mimeType) {
+  const value = String(mimeType || '').trim().toLowerCase();
+  if (!/^[a-z0-9.+-]+\/([a-z0-9.+-]+|\*)$/.test(value)) return false;
+  const list = getBlocklist();
+  if (list.includes(value)) return false;
+  list.push(value);
+  getStorage().setSetting(BLOCKLIST_SETTING, list);
+  return true;
+}
+
+/**
+ * Remove a MIME type from the blocklist
+ * @param {string} mimeType - Listed MIME type
+ * @returns {boolean} False when it was not listed
+ */
+function unblockMimeType(mimeType) {
+  const list = getBlocklist();
+  const index = list.indexOf(mimeType);
+  if (index === -1) return false;
+  list.splice(index, 1);
+  getStorage().setSetting(BLOCKLIST_SETTING, list);
+  return true;
+}
+
+/**
+ * Check an attachment against the blocklist and size limit
+ * @param {object} attachment - { contentType, size }
+ * @returns {string|null} "blocked", "too_large" or null when it may be sent
+ */
+function checkAttachment(attachment) {
+  const type = String(attachment.contentType || '').toLowerCase().split(';')[0].trim();
+  const blocked = getBlocklist().some(entry => entry.endsWith('/*')
+    ? type.startsWith(entry.slice(0, -1))
+    : type === entry);
+  if (blocked) return 'blocked';
+  if ((attachment.size || 0) > getMaxSize()) return 'too_large';
+  return null;
+}
+
+/**
+ * Whether an attachment is an image shown inside the HTML body
+ * @param {object} attachment - Attachment metadata
+ * @returns {boolean}
+ */
+function isInlineImage(attachment) {
+  return Boolean(attachment.inline || attachment.contentId) &&
+    /^image\/(jpeg|png|gif|webp)/i.test(attachment.contentType || '');
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "1.4 MB"
+ */
+function formatSize(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = {
+  getMaxSize,
+  getBlocklist,
+  blockMimeType,
+  unblockMimeType,
+  checkAttachment,
+  isInlineImage,
+  formatSize
+};
@@ -0,0 +1,77 @@
+// Callback Token Module
+// Buttons carry short tokens instead of list positions; a token maps to the real email / message IDs
+// Tokens are kept in storage, so buttons keep working after a restart until they expire
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60; // Seconds
+
+function getTtl() {
+  return (parseInt(process.env.CALLBACK_TOKEN_TTL || '') || DEFAULT_TTL) * 1000;
+}
+
+// Hex only, so tokens never contain the "_" that separates callback data parts
+function hashToken(userId, payload) {
+  return crypto.createHash('sha256')
+    .update(`${userId}:${JSON.stringify(payload)}`)
+    .digest('hex')
+    .substring(0, 12);
+}
+
+/**
+ * Get a token for a button
+ * The same user and payload always give the same token, so redrawing a list does not pile up new ones.
+ * @param {number|string} userId - User the button is shown to; nobody else can use it
+ * @param {object} payload - What the button refers to, e.g. { type: 'email', emailId }
+ * @returns {string} Token (12 characters)
+ */
+function createToken(userId, payload) {
+  const storage = getStorage();
+  const ttl = getTtl();
+  let token = hashToken(userId, payload);
+
+  const existing = storage.getCallbackToken(token);
+  if (existing) {
+    const same = existing.userId === String(userId) && JSON.stringify(existing.payload) === JSON.stringify(payload);
+    if (!same) {
+      token = crypto.randomBytes(6).toString('hex');
+    } else if (new Date(existing.expiresAt).getTime() - Date.now() > ttl / 2) {
+      // Still fresh; skip the write
+      return token;
+    }
+  }
+
+  storage.saveCallbackToken(token, userId, payload, new Date(Date.now() + ttl).toISOString());
+  return token;
+}
+
+/**
+ * Look up a token
+ * @param {number|string} userId - User who pressed the button
+ * @param {string} token - Token from the callback data
+ * @param {string} [type] - Expected payload type
+ * @returns {object|null} Payload, or null when the token is unknown, expired, of another type or not this user's
+ */
+function resolveToken(userId, token, type) {
+  const entry = getStorage().getCallbackToken(token);
+  if (!entry) return null;
+  if (entry.userId !== String(userId)) return null;
+  if (new Date(entry.expiresAt).getTime() <= Date.now()) return null;
+  if (type && entry.payload.type !== type) return null;
+  return entry.payload;
+}
+
+/**
+ * Remove expired tokens
+ * @returns {number} Number removed
+ */
+function pruneTokens() {
+  return getStorage().deleteExpiredCallbackTokens(new Date().toISOString());
+}
+
+module.exports = {
+  createToken,
+  resolveToken,
+  pruneTokens
+};
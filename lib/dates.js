@@ -0,0 +1,106 @@
+// Dates Module
+// Formats dates for a user: absolute in their locale and timezone, with a relative time ("5m ago", "in 2h") next to it
+// Users pick a timezone in settings; until then it follows their language (the timezone in its locale file),
+// or DEFAULT_TIMEZONE for languages without one
+
+// Offered as buttons in settings; any other IANA name can be typed
+const TIMEZONES = [
+  'UTC',
+  'Asia/Jakarta',
+  'Asia/Makassar',
+  'Asia/Jayapura',
+  'Asia/Singapore',
+  'Asia/Kolkata',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'Europe/London',
+  'Europe/Berlin',
+  'America/New_York',
+  'America/Los_Angeles'
+];
+
+const STYLES = {
+  datetime: { dateStyle: 'medium', timeStyle: 'short' },
+  date: { dateStyle: 'medium' },
+  time: { timeStyle: 'short' }
+};
+
+// Largest unit first; a relative time uses the first unit the difference reaches
+const UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000]
+];
+
+/**
+ * Timezone for users whose language has none
+ * @returns {string} IANA timezone
+ */
+function getDefaultTimezone() {
+  return normalizeTimezone(process.env.DEFAULT_TIMEZONE) || 'UTC';
+}
+
+/**
+ * Check a timezone name
+ * @param {string} timeZone - IANA name, case-insensitive (e.g. "asia/jakarta")
+ * @returns {string|null} The canonical name, or null when unknown
+ */
+function normalizeTimezone(timeZone) {
+  if (!timeZone) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: String(timeZone).trim() }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Date and time in a locale and timezone
+ * @param {Date|string|number} date - Date to format
+ * @param {object} options - { locale, timeZone, style: "datetime" (default), "date" or "time" }
+ * @returns {string} e.g. "19 Okt 2026, 03.49"; "-" for a missing or invalid date
+ */
+function formatAbsolute(date, { locale, timeZone, style = 'datetime' }) {
+  const value = new Date(date);
+  if (date === null || date === undefined || isNaN(value.getTime())) return '-';
+  return new Intl.DateTimeFormat(locale, { ...STYLES[style], timeZone }).format(value);
+}
+
+/**
+ * Time from now to a date in words of a locale
+ * @param {Date|string|number} date - Date in the past or future
+ * @param {string} locale - BCP 47 locale
+ * @param {number} [now] - Timestamp to measure from
+ * @returns {string} e.g. "5m ago", "in 2h", "yesterday" or "now"; "-" for a missing or invalid date
+ */
+function formatRelative(date, locale, now = Date.now()) {
+  const diff = new Date(date).getTime() - now;
+  if (date === null || date === undefined || isNaN(diff)) return '-';
+  const formatter = new Intl.RelativeTimeFormat(locale, { style: 'narrow', numeric: 'auto' });
+  const unit = UNITS.find(([, size]) => Math.abs(diff) >= size);
+  if (!unit) return formatter.format(0, 'second');
+  return formatter.format(Math.trunc(diff / unit[1]), unit[0]);
+}
+
+/**
+ * Absolute date, optionally followed by the relative time
+ * @param {Date|string|number} date - Date to format
+ * @param {object} options - { locale, timeZone, style, relative: true to append "(5m ago)" }
+ * @returns {string}
+ */
+function formatDate(date, options) {
+  const absolute = formatAbsolute(date, options);
+  if (!options.relative || absolute === '-') return absolute;
+  return `${absolute} (${formatRelative(date, options.locale)})`;
+}
+
+module.exports = {
+  TIMEZONES,
+  getDefaultTimezone,
+  normalizeTimezone,
+  formatAbsolute,
+  formatRelative,
+  formatDate
+};
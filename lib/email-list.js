@@ -0,0 +1,140 @@
+// Email List Module
+// Labels and notes users attach to their addresses, and the sort, filter and search options of the email list
+// Labels, notes and unread counts are kept with the email in storage; unread counts grow as the mail watcher
+// announces messages and reset when the owner opens the inbox
+
+const { getStorage } = require('./storage');
+
+const MAX_LABEL_LENGTH = 40;
+const MAX_NOTE_LENGTH = 300;
+const MAX_SEARCH_LENGTH = 50;
+const EXPIRING_WINDOW = 24 * 60 * 60 * 1000; // "Expiring soon" filter
+
+const SORTS = ['newest', 'oldest', 'expiry', 'label', 'unread'];
+const FILTERS = ['all', 'labelled', 'unread', 'expiring'];
+
+const sorters = {
+  newest: (a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''),
+  oldest: (a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''),
+  // Addresses that never expire go last
+  expiry: (a, b) => (a.expiresAt || '\uffff').localeCompare(b.expiresAt || '\uffff'),
+  // Unlabelled addresses go last
+  label: (a, b) => (a.label || '\uffff').localeCompare(b.label || '\uffff', undefined, { sensitivity: 'base' }),
+  unread: (a, b) => (b.unread || 0) - (a.unread || 0)
+};
+
+const filters = {
+  all: () => true,
+  labelled: email => Boolean(email.label),
+  unread: email => (email.unread || 0) > 0,
+  expiring: (email, now) => Boolean(email.expiresAt) && new Date(email.expiresAt).getTime() - now <= EXPIRING_WINDOW
+};
+
+function clean(value, maxLength) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim().substring(0, maxLength);
+  return text || null;
+}
+
+/**
+ * Set or clear the label of an address
+ * @param {string} emailId - Email ID
+ * @param {string|null} label - New label; empty clears it
+ * @returns {boolean} False when the email does not exist
+ */
+function setLabel(emailId, label) {
+  return getStorage().updateEmail(emailId, { label: clean(label, MAX_LABEL_LENGTH) });
+}
+
+/**
+ * Set or clear the note of an address
+ * @param {string} emailId - Email ID
+ * @param {string|null} note - New note; empty clears it
+ * @returns {boolean} False when the email does not exist
+ */
+function setNote(emailId, note) {
+  const text = String(note || '').trim().substring(0, MAX_NOTE_LENGTH);
+  return getStorage().updateEmail(emailId, { note: text || null });
+}
+
+/**
+ * Count messages announced for an address
+ * @param {string} emailId - Email ID
+ * @param {number} [count=1] - Messages to add
+ */
+function addUnread(emailId, count = 1) {
+  const email = getStorage().getEmail(emailId);
+  if (email) getStorage().updateEmail(emailId, { unread: (email.unread || 0) + count });
+}
+
+/**
+ * Mark every message of an address as read
+ * @param {string} emailId - Email ID
+ */
+function markRead(emailId) {
+  const email = getStorage().getEmail(emailId);
+  if (email && email.unread) getStorage().updateEmail(emailId, { unread: 0 });
+}
+
+/**
+ * Normalize list options, falling back to the defaults
+ * @param {object} [options] - { sort, filter, search }
+ * @returns {object} { sort, filter, search }
+ */
+function normalizeOptions(options = {}) {
+  return {
+    sort: SORTS.includes(options.sort) ? options.sort : 'newest',
+    filter: FILTERS.includes(options.filter) ? options.filter : 'all',
+    search: clean(options.search, MAX_SEARCH_LENGTH)
+  };
+}
+
+/**
+ * Whether the options show the listing as the provider returns it (newest first, nothing hidden)
+ * @param {object} options - { sort, filter, search }
+ * @returns {boolean}
+ */
+function isDefault(options) {
+  const normalized = normalizeOptions(options);
+  return normalized.sort === 'newest' && normalized.filter === 'all' && !normalized.search;
+}
+
+/**
+ * Whether an address matches a search in its label, note or address
+ * @param {object} email - { address, label, note }
+ * @param {string} query - Search text, case-insensitive
+ * @returns {boolean}
+ */
+function matchesSearch(email, query) {
+  const wanted = String(query || '').toLowerCase();
+  return [email.label, email.note, email.address].some(value => (value || '').toLowerCase().includes(wanted));
+}
+
+/**
+ * Filter, search and sort addresses
+ * @param {array} emails - Emails with label, note, unread, createdAt and expiresAt
+ * @param {object} options - { sort, filter, search }
+ * @param {number} [now] - Timestamp for the expiring filter
+ * @returns {array} New array
+ */
+function applyOptions(emails, options, now = Date.now()) {
+  const { sort, filter, search } = normalizeOptions(options);
+  return emails
+    .filter(email => filters[filter](email, now))
+    .filter(email => !search || matchesSearch(email, search))
+    .sort(sorters[sort]);
+}
+
+module.exports = {
+  SORTS,
+  FILTERS,
+  MAX_LABEL_LENGTH,
+  MAX_NOTE_LENGTH,
+  setLabel,
+  setNote,
+  addUnread,
+  markRead,
+  normalizeOptions,
+  isDefault,
+  matchesSearch,
+  applyOptions
+};
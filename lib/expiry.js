@@ -0,0 +1,138 @@
+// Expiry Module
+// Reminds users shortly before their addresses expire and removes expired addresses from storage
+// Both run on one background timer; each address is reminded once (remindedAt is stored with it)
+// The outcome of the last cleanup is kept in settings so the admin stats can show it
+
+const { getStorage } = require('./storage');
+
+const CLEANUP_SETTING = 'expiry_cleanup';
+
+let timer = null;
+let running = false;
+let options = null;
+
+/**
+ * Time left until an address expires
+ * @param {object} email - Stored email or API listing entry with expiresAt
+ * @param {number} [now] - Timestamp to measure from
+ * @returns {number|null} Milliseconds (0 once expired), or null for addresses that never expire
+ */
+function getRemaining(email, now = Date.now()) {
+  if (!email?.expiresAt) return null;
+  return Math.max(0, new Date(email.expiresAt).getTime() - now);
+}
+
+/**
+ * Remind the owners of addresses expiring within the reminder window
+ * An address counts as reminded even when the message could not be delivered (e.g. the user blocked the bot).
+ * @param {function} notify - async (email) => void
+ * @param {number} reminderBefore - Window in ms before the expiry
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendReminders(notify, reminderBefore) {
+  const storage = getStorage();
+  const now = Date.now();
+  const due = storage.getEmailsExpiringBefore(new Date(now + reminderBefore).toISOString())
+    .filter(email => !email.remindedAt && getRemaining(email, now) > 0);
+
+  let sent = 0;
+  for (const email of due) {
+    storage.updateEmail(email.id, { remindedAt: new Date().toISOString() });
+    try {
+      await notify(email);
+      sent++;
+    } catch (error) {
+      console.error(`Error sending expiry reminder for ${email.address}:`, error.message);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Remove expired addresses from storage and record the run
+ * @param {function} [onRemoved] - Called with each removed email
+ * @returns {object} { removed, lastRunAt, totalRemoved }
+ */
+function cleanupExpired(onRemoved) {
+  const storage = getStorage();
+  const expired = storage.getEmailsExpiringBefore(new Date().toISOString());
+  expired.forEach(email => {
+    storage.removeEmail(email.id);
+    if (onRemoved) onRemoved(email);
+  });
+
+  const previous = getCleanupStats();
+  const stats = {
+    lastRunAt: new Date().toISOString(),
+    lastRemoved: expired.length,
+    totalRemoved: previous.totalRemoved + expired.length
+  };
+  storage.setSetting(CLEANUP_SETTING, stats);
+  if (expired.length > 0) {
+    console.log(`Removed ${expired.length} expired addresses from storage`);
+  }
+  return { removed: expired.length, lastRunAt: stats.lastRunAt, totalRemoved: stats.totalRemoved };
+}
+
+/**
+ * Outcome of past cleanups
+ * @returns {object} { lastRunAt, lastRemoved, totalRemoved }; lastRunAt is null before the first run
+ */
+function getCleanupStats() {
+  return { lastRunAt: null, lastRemoved: 0, totalRemoved: 0, ...getStorage().getSetting(CLEANUP_SETTING, {}) };
+}
+
+async function runOnce() {
+  if (options.reminderBefore > 0) {
+    await sendReminders(options.notify, options.reminderBefore);
+  }
+  cleanupExpired(options.onRemoved);
+}
+
+function scheduleNext(delay) {
+  if (!running) return;
+  timer = setTimeout(async () => {
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('Error checking expiring addresses:', error.message);
+    }
+    scheduleNext(options.interval);
+  }, delay);
+}
+
+/**
+ * Start sending reminders and removing expired addresses in the background
+ * @param {object} expiryOptions
+ * @param {function} expiryOptions.notify - async (email) => void, sends the reminder
+ * @param {function} [expiryOptions.onRemoved] - Called with each email the cleanup removed
+ * @param {number} [expiryOptions.reminderBefore=3600000] - How long before the expiry to remind, in ms; 0 disables
+ * @param {number} [expiryOptions.interval=300000] - Delay between runs in ms
+ */
+function startExpiryJobs(expiryOptions) {
+  if (running) return;
+  options = { reminderBefore: 3600000, interval: 300000, ...expiryOptions };
+  running = true;
+  scheduleNext(0);
+  console.log(`Expiry checks started (every ${Math.round(options.interval / 1000)}s)`);
+}
+
+/**
+ * Stop the background expiry checks
+ */
+function stopExpiryJobs() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  getRemaining,
+  sendReminders,
+  cleanupExpired,
+  getCleanupStats,
+  startExpiryJobs,
+  stopExpiryJobs
+};
@@ -0,0 +1,92 @@
+// Mail Forwarding Module
+// Forwarding targets push new mail of an address into a Telegram chat, group or channel
+// Each target can filter on sender and subject; targets are kept in storage (see lib/storage)
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const MAX_TARGETS_PER_EMAIL = 5;
+
+/**
+ * Get the forwarding targets of an email
+ * @param {string} emailId - Email ID
+ * @returns {array} Targets { id, emailId, chatId, chatTitle, fromFilter, subjectFilter, createdAt }
+ */
+function getTargets(emailId) {
+  return getStorage().getForwards(emailId);
+}
+
+/**
+ * Get one forwarding target
+ * @param {string} targetId - Target ID
+ * @returns {object|null} Target
+ */
+function getTarget(targetId) {
+  return getStorage().getForward(targetId);
+}
+
+/**
+ * Add a forwarding target
+ * @param {string} emailId - Email ID
+ * @param {object} chat - { id, title }
+ * @returns {object|null} The new target, or null when the chat is already a target or the limit is reached
+ */
+function addTarget(emailId, chat) {
+  const targets = getTargets(emailId);
+  if (targets.length >= MAX_TARGETS_PER_EMAIL) return null;
+  if (targets.some(target => target.chatId === String(chat.id))) return null;
+
+  const target = {
+    id: crypto.randomUUID(),
+    emailId,
+    chatId: String(chat.id),
+    chatTitle: chat.title || null
+  };
+  getStorage().addForward(target);
+  return getTarget(target.id);
+}
+
+/**
+ * Set or clear a filter
+ * @param {string} targetId - Target ID
+ * @param {string} field - "from" or "subject"
+ * @param {string|null} value - Text the field must contain, or null for no filter
+ * @returns {boolean} False when the target does not exist
+ */
+function setFilter(targetId, field, value) {
+  const key = field === 'from' ? 'fromFilter' : 'subjectFilter';
+  return getStorage().updateForward(targetId, { [key]: value ? String(value).trim() : null });
+}
+
+/**
+ * Remove a forwarding target
+ * @param {string} targetId - Target ID
+ * @returns {boolean} False when it did not exist
+ */
+function removeTarget(targetId) {
+  return getStorage().removeForward(targetId);
+}
+
+/**
+ * Check a message against a target's filters
+ * Filters match when the field contains the filter text, ignoring case.
+ * @param {object} target - Forwarding target
+ * @param {object} message - Message with from_address and subject
+ * @returns {boolean}
+ */
+function matchesFilters(target, message) {
+  const contains = (value, filter) => !filter ||
+    String(value || '').toLowerCase().includes(filter.toLowerCase());
+  return contains(message.from_address, target.fromFilter) &&
+    contains(message.subject, target.subjectFilter);
+}
+
+module.exports = {
+  MAX_TARGETS_PER_EMAIL,
+  getTargets,
+  getTarget,
+  addTarget,
+  setFilter,
+  removeTarget,
+  matchesFilters
+};
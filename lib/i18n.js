@@ -0,0 +1,162 @@
+// i18n Module
+// Translations live in locales/<code>.json, one file per language; every file found there is offered to users
+// Each file has a _meta block ({ name, locale, timezone }) next to its keys. A key may hold plural forms
+// ({ one, other, ... } chosen by the count parameter with the rules of the file's locale)
+// Check for keys missing from a locale with: npm run check-locales
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const FALLBACK_LANGUAGE = 'en';
+
+let locales = null;
+
+/**
+ * Read every locale file
+ * @param {string} [dir] - Directory with <code>.json files
+ * @returns {object} { code: { meta, strings } }
+ */
+function loadLocales(dir = LOCALES_DIR) {
+  const loaded = {};
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const code = path.basename(file, '.json');
+      try {
+        const { _meta: meta = {}, ...strings } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        loaded[code] = { meta: { name: code, locale: code, timezone: null, ...meta }, strings };
+      } catch (error) {
+        console.error(`Error loading locale ${file}:`, error.message);
+      }
+    });
+  return loaded;
+}
+
+function getLocales() {
+  if (!locales) locales = loadLocales();
+  return locales;
+}
+
+/**
+ * Language used when nothing better is known (DEFAULT_LANGUAGE when that locale exists)
+ * @returns {string} Language code
+ */
+function getDefaultLanguage() {
+  const wanted = process.env.DEFAULT_LANGUAGE;
+  return wanted && getLocales()[wanted] ? wanted : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Languages users can pick, the default first
+ * @returns {array} [{ code, name }]
+ */
+function getLanguages() {
+  const defaultLanguage = getDefaultLanguage();
+  return Object.entries(getLocales())
+    .map(([code, { meta }]) => ({ code, name: meta.name }))
+    .sort((a, b) => (b.code === defaultLanguage) - (a.code === defaultLanguage));
+}
+
+/**
+ * Whether a locale file exists for a language
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+function hasLanguage(code) {
+  return Boolean(code) && Object.prototype.hasOwnProperty.call(getLocales(), code);
+}
+
+/**
+ * Details of a language
+ * @param {string} code - Language code
+ * @returns {object} { name, locale, timezone } of the language, or of the default one when it does not exist
+ */
+function getLanguageMeta(code) {
+  const all = getLocales();
+  return (all[code] || all[getDefaultLanguage()] || { meta: { name: code, locale: 'en-US', timezone: null } }).meta;
+}
+
+/**
+ * Pick a language from a Telegram client language (e.g. "id", "en-GB", "pt-br")
+ * @param {string} [languageCode] - ctx.from.language_code
+ * @returns {string} A language with a locale file
+ */
+function detectLanguage(languageCode) {
+  const wanted = String(languageCode || '').toLowerCase();
+  if (hasLanguage(wanted)) return wanted;
+  const base = wanted.split(/[-_]/)[0];
+  return hasLanguage(base) ? base : getDefaultLanguage();
+}
+
+function pluralForm(value, code, count) {
+  if (typeof value !== 'object' || value === null) return value;
+  const rule = new Intl.PluralRules(getLanguageMeta(code).locale).select(Number(count) || 0);
+  return value[rule] ?? value.other;
+}
+
+/**
+ * Translate a key
+ * Falls back to the default language, then to the key itself. Every {name} with a matching parameter is replaced.
+ * @param {string} code - Language code
+ * @param {string} key - Translation key
+ * @param {object} [params] - Placeholder values; count also picks the plural form
+ * @returns {string}
+ */
+function translate(code, key, params = {}) {
+  const all = getLocales();
+  let language = hasLanguage(code) && all[code].strings[key] !== undefined ? code : getDefaultLanguage();
+  let value = all[language]?.strings[key];
+  if (value === undefined) {
+    language = FALLBACK_LANGUAGE;
+    value = all[language]?.strings[key];
+  }
+  const text = pluralForm(value, language, params.count);
+  if (typeof text !== 'string') return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Keys some locale has that others lack; plural keys also need an "other" form
+ * @returns {object} { code: [missing keys] } for every locale with something missing
+ */
+function findMissingKeys() {
+  const all = getLocales();
+  const keys = new Set(Object.values(all).flatMap(({ strings }) => Object.keys(strings)));
+  const missing = {};
+  Object.entries(all).forEach(([code, { strings }]) => {
+    const absent = [...keys].filter(key => {
+      const value = strings[key];
+      return value === undefined || (typeof value === 'object' && (value === null || value.other === undefined));
+    });
+    if (absent.length > 0) missing[code] = absent.sort();
+  });
+  return missing;
+}
+
+module.exports = {
+  loadLocales,
+  getDefaultLanguage,
+  getLanguages,
+  hasLanguage,
+  getLanguageMeta,
+  detectLanguage,
+  translate,
+  findMissingKeys
+};
+
+if (require.main === module) {
+  const missing = findMissingKeys();
+  const codes = Object.keys(getLocales());
+  if (Object.keys(missing).length === 0) {
+    console.log(`All ${codes.length} locales (${codes.join(', ')}) have every key`);
+  } else {
+    Object.entries(missing).forEach(([code, keys]) => {
+      console.log(`${code}: ${keys.length} missing\n  ${keys.join('\n  ')}`);
+    });
+    process.exitCode = 1;
+  }
+}
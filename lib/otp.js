@@ -0,0 +1,138 @@
+// OTP Extraction Module
+// Detects one-time passwords and verification codes in received messages
+// Works on the subject and body, in several languages
+
+// Longest phrases first so "verification code" wins over "code"
+const keywords = [
+  // English
+  'verification code', 'confirmation code', 'security code', 'authentication code',
+  'one-time password', 'one-time code', 'one time code', 'login code', 'sign-in code',
+  'access code', 'activation code', 'passcode', 'otp', 'pin', 'code',
+  // Indonesian
+  'kode verifikasi', 'kode konfirmasi', 'kode keamanan', 'kode otp', 'kode akses', 'kode',
+  // Spanish / Portuguese
+  'código de verificación', 'código de verificação', 'código de confirmación',
+  'código de confirmação', 'código de seguridad', 'código',
+  // French
+  'code de vérification', 'code de confirmation', 'code de sécurité',
+  // German
+  'bestätigungscode', 'verifizierungscode', 'sicherheitscode', 'einmalcode',
+  // Russian
+  'код подтверждения', 'код проверки', 'код',
+  // Chinese / Japanese / Korean
+  '验证码', '驗證碼', '校验码', '認証コード', '確認コード', '인증번호', '인증 코드'
+].sort((a, b) => b.length - a.length);
+
+// Scripts that do not separate words with spaces
+const noBoundaryScript = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\s]+$/u;
+
+const keywordPatterns = keywords.map(keyword => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return noBoundaryScript.test(keyword)
+    ? new RegExp(escaped, 'giu')
+    : new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+});
+
+// Candidate shapes: "G-123456", "123-456" / "123 456" / "1234-5678", plain digits,
+// and mixed letter + digit tokens such as "A1B2C3". Split codes have equal halves so "555-0199" is not one
+const candidatePattern = /(?<![\p{L}\p{N}-])([A-Z]{1,3}-\d{4,8}|\d{3}[- ]\d{3}|\d{4}[- ]\d{4}|\d{4,8}|(?=[A-Za-z]*\d)(?=\d*[A-Za-z])[A-Za-z\d]{5,10})(?![\p{L}\p{N}-])/gu;
+
+const lookAhead = 60; // Characters after a keyword to search for the code
+const lookBehind = 40; // Characters before a keyword ("123456 is your code")
+
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(code));
+}
+
+// Links, addresses and colour codes are full of digits that are never codes
+function stripNoise(text) {
+  return text
+    .replace(/\bhttps?:\/\/\S+/gi, ' ')
+    .replace(/\bwww\.\S+/gi, ' ')
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, ' ')
+    .replace(/#[0-9a-f]{6}\b/gi, ' ');
+}
+
+function isPlausible(candidate) {
+  // Bare years ("© 2024") show up in almost every footer
+  if (/^(19|20)\d\d$/.test(candidate)) return false;
+  // Lowercase tokens with a digit ("mp3s", "v2beta") are words, not codes
+  if (/[a-z]/.test(candidate)) return false;
+  return true;
+}
+
+function candidatesIn(text) {
+  const found = [];
+  candidatePattern.lastIndex = 0;
+  let match;
+  while ((match = candidatePattern.exec(text)) !== null) {
+    if (isPlausible(match[1])) found.push(match[1]);
+  }
+  return found;
+}
+
+/**
+ * Extract verification codes from plain text
+ * @param {string} text - Text to scan
+ * @returns {array} Codes in order of appearance, without duplicates
+ */
+function extractCodesFromText(text) {
+  if (!text) return [];
+  const clean = stripNoise(String(text));
+  const codes = [];
+  const covered = [];
+
+  keywordPatterns.forEach(pattern => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(clean)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // Skip "code" when it is part of an already matched "verification code"
+      if (covered.some(([s, e]) => start >= s && end <= e)) continue;
+      covered.push([start, end]);
+
+      const after = candidatesIn(clean.slice(end, end + lookAhead));
+      if (after.length > 0) {
+        codes.push({ code: after[0], position: end });
+        continue;
+      }
+      const before = candidatesIn(clean.slice(Math.max(0, start - lookBehind), start));
+      if (before.length > 0) {
+        codes.push({ code: before[before.length - 1], position: start });
+      }
+    }
+  });
+
+  return [...new Set(
+    codes
+      .sort((a, b) => a.position - b.position)
+      .map(entry => entry.code.replace(/ /g, ''))
+  )];
+}
+
+/**
+ * Extract verification codes from a message
+ * Looks at the subject first, then the text body (or the HTML body if there is no text).
+ * @param {object} message - Message with subject, content and/or html
+ * @returns {array} Codes, most relevant first
+ */
+function extractCodes(message) {
+  if (!message) return [];
+  const body = message.content || (message.html ? htmlToText(message.html) : '');
+  const codes = [
+    ...extractCodesFromText(message.subject),
+    ...extractCodesFromText(body)
+  ];
+  return [...new Set(codes)];
+}
+
+module.exports = {
+  extractCodes,
+  extractCodesFromText
+};
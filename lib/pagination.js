@@ -0,0 +1,130 @@
+// Pagination Module
+// Turns cursor-paged API listings into numbered pages of a fixed size
+// Fetched items are kept, so moving back and forth only calls the API for pages not seen yet
+
+/**
+ * Create a pager over a cursor-paged listing
+ * @param {function} fetchPage - async (cursor) => { items, nextCursor }
+ * @param {object} [options]
+ * @param {function} [options.filter] - Keep only items for which this returns true
+ * @returns {object} Pager
+ */
+function createPager(fetchPage, options = {}) {
+  const filter = options.filter || (() => true);
+  const items = [];
+  let cursor = null;
+  let done = false;
+
+  // Fetch further API pages until `count` items are known or the listing ends
+  async function fill(count) {
+    while (items.length < count && !done) {
+      const data = await fetchPage(cursor);
+      items.push(...(data.items || []).filter(filter));
+      // A cursor that does not move would loop forever
+      done = !data.nextCursor || data.nextCursor === cursor;
+      cursor = data.nextCursor || null;
+    }
+  }
+
+  /**
+   * Get one page
+   * @param {number} page - Zero-based page number; past the end gives the last page
+   * @param {number} pageSize - Items per page
+   * @returns {object} { items, page, start, hasPrevious, hasNext, totalPages } (totalPages is null until the end is known)
+   */
+  async function getPage(page, pageSize) {
+    let current = Math.max(0, page);
+    // One item past the page tells whether there is a next one
+    await fill((current + 1) * pageSize + 1);
+    if (current > 0 && current * pageSize >= items.length) {
+      current = Math.max(0, Math.ceil(items.length / pageSize) - 1);
+    }
+    return pageResult(items, current, pageSize, done);
+  }
+
+  /**
+   * Fetch the whole listing, e.g. to sort it
+   * @returns {Promise<array>} Every item, in listing order
+   */
+  async function getAll() {
+    await fill(Infinity);
+    return items;
+  }
+
+  return {
+    getPage,
+    getAll,
+    items, // Everything fetched so far, in listing order; indexes stay stable
+    isComplete: () => done
+  };
+}
+
+function pageResult(items, page, pageSize, complete) {
+  const start = page * pageSize;
+  return {
+    items: items.slice(start, start + pageSize),
+    page,
+    start,
+    hasPrevious: page > 0,
+    hasNext: items.length > start + pageSize,
+    totalPages: complete ? Math.max(1, Math.ceil(items.length / pageSize)) : null
+  };
+}
+
+/**
+ * Page through a list that is already in memory
+ * @param {array} items - Items
+ * @param {number} page - Zero-based page number; out of range is clamped
+ * @param {number} pageSize - Items per page
+ * @returns {object} Same shape as pager.getPage()
+ */
+function paginateArray(items, page, pageSize) {
+  const lastPage = Math.max(0, Math.ceil(items.length / pageSize) - 1);
+  return pageResult(items, Math.min(Math.max(0, page), lastPage), pageSize, true);
+}
+
+/**
+ * Create a cache of pagers that expire after a while
+ * @param {object} [options]
+ * @param {number} [options.ttl] - Lifetime in ms (default 2 minutes)
+ * @param {number} [options.maxEntries] - Oldest pagers are dropped past this (default 200)
+ * @returns {object} { get, invalidate }
+ */
+function createPagerCache(options = {}) {
+  const ttl = options.ttl || 2 * 60 * 1000;
+  const maxEntries = options.maxEntries || 200;
+  const entries = new Map(); // key -> { pager, createdAt }
+
+  /**
+   * Get a cached pager, creating it when missing, expired or `fresh` is set
+   * @param {string} key - Cache key
+   * @param {function} create - Returns a new pager
+   * @param {boolean} [fresh] - Start over, e.g. for a refresh button
+   * @returns {object} Pager
+   */
+  function get(key, create, fresh = false) {
+    const entry = entries.get(key);
+    if (entry && !fresh && Date.now() - entry.createdAt < ttl) {
+      return entry.pager;
+    }
+    entries.delete(key);
+    const pager = create();
+    entries.set(key, { pager, createdAt: Date.now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return pager;
+  }
+
+  function invalidate(key) {
+    entries.delete(key);
+  }
+
+  return { get, invalidate };
+}
+
+module.exports = {
+  createPager,
+  paginateArray,
+  createPagerCache
+};
@@ -0,0 +1,137 @@
+// Preferences Module
+// Per-user defaults for creating addresses: preferred domain, expiry, random prefix style and prefix template
+// Quick create uses them to make an address in one tap; preferences are kept with the user in storage
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const PREFIX_STYLES = ['words', 'hex', 'pronounceable'];
+const EXPIRY_OPTIONS = [3600000, 86400000, 259200000, 0]; // 0: permanent
+const MAX_TEMPLATE_LENGTH = 30;
+
+const DEFAULTS = {
+  domain: null, // First domain the provider offers
+  expiry: 3600000,
+  prefixStyle: 'words',
+  prefixTemplate: null
+};
+
+const ADJECTIVES = [
+  'amber', 'bold', 'brave', 'bright', 'calm', 'clever', 'cosmic', 'crisp', 'daring', 'eager',
+  'fancy', 'gentle', 'golden', 'happy', 'jolly', 'keen', 'lucky', 'mellow', 'misty', 'noble',
+  'proud', 'quick', 'quiet', 'rapid', 'silent', 'silver', 'sunny', 'swift', 'tidy', 'witty'
+];
+const NOUNS = [
+  'badger', 'bison', 'cedar', 'comet', 'coral', 'crane', 'delta', 'falcon', 'fern', 'fox',
+  'harbor', 'heron', 'lake', 'lynx', 'maple', 'meadow', 'moon', 'otter', 'panda', 'pebble',
+  'pine', 'raven', 'river', 'robin', 'sparrow', 'stone', 'tiger', 'tulip', 'willow', 'wolf'
+];
+const CONSONANTS = 'bcdfghjklmnprstvz';
+const VOWELS = 'aeiou';
+const HEX = '0123456789abcdef';
+
+// Numbers from a seed instead of crypto.randomInt: the same seed makes the same prefix again
+function seededRandom(seed) {
+  let counter = 0;
+  return max => crypto.createHash('sha256').update(`${seed}:${counter++}`).digest().readUInt32BE(0) % max;
+}
+
+function pick(list, random) {
+  return list[random(list.length)];
+}
+
+/**
+ * Get a user's preferences, with defaults for anything not set
+ * @param {number|string} userId - User ID
+ * @returns {object} { domain, expiry, prefixStyle, prefixTemplate }
+ */
+function getPreferences(userId) {
+  const saved = getStorage().getUser(userId)?.preferences || {};
+  const preferences = { ...DEFAULTS, ...saved };
+  if (!PREFIX_STYLES.includes(preferences.prefixStyle)) preferences.prefixStyle = DEFAULTS.prefixStyle;
+  if (!EXPIRY_OPTIONS.includes(preferences.expiry)) preferences.expiry = DEFAULTS.expiry;
+  return preferences;
+}
+
+/**
+ * Change some of a user's preferences
+ * @param {number|string} userId - User ID
+ * @param {object} changes - Any of { domain, expiry, prefixStyle, prefixTemplate }; null restores the default
+ * @returns {object} The updated preferences
+ */
+function setPreferences(userId, changes) {
+  const storage = getStorage();
+  const saved = { ...(storage.getUser(userId)?.preferences || {}) };
+  Object.keys(DEFAULTS).forEach(name => {
+    if (changes[name] === undefined) return;
+    if (changes[name] === null) delete saved[name];
+    else saved[name] = changes[name];
+  });
+  storage.setUserPreferences(userId, saved);
+  return getPreferences(userId);
+}
+
+/**
+ * Make a random local part
+ * @param {string} style - "words" (brave-otter42), "hex" (3f9a1c7e) or "pronounceable" (tavoremu)
+ * @param {string} [seed] - Makes the result repeatable
+ * @returns {string}
+ */
+function randomPrefix(style, seed) {
+  const random = seed ? seededRandom(seed) : max => crypto.randomInt(max);
+  let prefix = '';
+  if (style === 'hex') {
+    for (let i = 0; i < 8; i++) {
+      prefix += pick(HEX, random);
+    }
+    return prefix;
+  }
+  if (style === 'pronounceable') {
+    for (let i = 0; i < 4; i++) {
+      prefix += pick(CONSONANTS, random) + pick(VOWELS, random);
+    }
+    return prefix;
+  }
+  return `${pick(ADJECTIVES, random)}-${pick(NOUNS, random)}${10 + random(90)}`;
+}
+
+/**
+ * Check a prefix template
+ * Templates may use {random} (a random prefix in the user's style) and {date} (YYYYMMDD);
+ * without {random} one is appended so addresses stay unique.
+ * @param {string} template - e.g. "shop-{random}"
+ * @returns {string|null} The cleaned template, or null when it is not usable
+ */
+function normalizeTemplate(template) {
+  const value = String(template || '').trim().toLowerCase();
+  if (!value || value.length > MAX_TEMPLATE_LENGTH) return null;
+  if (!/^[a-z0-9._-]*$/.test(value.replace(/\{(random|date)\}/g, ''))) return null;
+  return value;
+}
+
+/**
+ * Make a local part from a user's preferences
+ * @param {object} preferences - From getPreferences()
+ * @param {string} [seed] - Makes the random part repeatable
+ * @returns {string}
+ */
+function buildPrefix(preferences, seed) {
+  const random = randomPrefix(preferences.prefixStyle, seed);
+  const template = normalizeTemplate(preferences.prefixTemplate);
+  if (!template) return random;
+
+  const withRandom = template.includes('{random}') ? template : `${template}-{random}`;
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return withRandom.replace(/\{random\}/g, random).replace(/\{date\}/g, date);
+}
+
+module.exports = {
+  PREFIX_STYLES,
+  EXPIRY_OPTIONS,
+  MAX_TEMPLATE_LENGTH,
+  getPreferences,
+  setPreferences,
+  randomPrefix,
+  normalizeTemplate,
+  buildPrefix
+};
@@ -0,0 +1,172 @@
+// chat-tempmail.com Provider
+// Talks to the hosted Temp Mail API (https://chat-tempmail.com/api)
+
+const axios = require('axios');
+const { getProxyAgents } = require('../proxy-agent');
+
+const DEFAULT_BASE_URL = 'https://chat-tempmail.com/api';
+
+/**
+ * Create a chat-tempmail provider
+ * @param {object} options
+ * @param {function} options.getApiKey - Returns the API key to send (read on every call)
+ * @param {function} [options.getProxy] - Returns the next proxy address or null; every request goes through it
+ * @param {function} [options.reportProxy] - Called with (proxy, { ok, status, latencyMs, error }) after each proxied request
+ * @param {string} [options.baseUrl] - API base URL
+ * @returns {object} Mail provider
+ */
+function createProvider(options) {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  const getProxy = options.getProxy || (() => null);
+  const reportProxy = options.reportProxy || (() => {});
+
+  // Outcomes of proxied requests feed the proxy health scores
+  const client = axios.create();
+  client.interceptors.request.use(config => {
+    config.startedAt = Date.now();
+    return config;
+  });
+  client.interceptors.response.use(response => {
+    report(response.config, response.status);
+    return response;
+  }, error => {
+    report(error.config, error.response?.status, error);
+    throw error;
+  });
+
+  function report(config, status, error) {
+    if (!config?.proxyUrl) return;
+    // An answer from the API, even an error status, means the proxy got through
+    const ok = Boolean(status) && status < 500 && status !== 407;
+    reportProxy(config.proxyUrl, {
+      ok,
+      status: status || null,
+      latencyMs: Date.now() - config.startedAt,
+      error: ok ? null : (error?.message || `HTTP ${status}`)
+    });
+  }
+
+  function requestConfig() {
+    const config = {
+      headers: { 'X-API-Key': options.getApiKey() }
+    };
+    const proxy = getProxy();
+    if (proxy) {
+      Object.assign(config, getProxyAgents(proxy));
+      config.proxyUrl = proxy;
+      // Tunnel through our agents only; axios would otherwise apply HTTP(S)_PROXY from the environment too
+      config.proxy = false;
+    }
+    return config;
+  }
+
+  async function getDomains() {
+    const response = await client.get(`${baseUrl}/email/domains`, requestConfig());
+    return response.data.domains;
+  }
+
+  async function generateEmail(name, expiryTime, domain) {
+    const config = requestConfig();
+    config.headers['Content-Type'] = 'application/json';
+    const response = await client.post(`${baseUrl}/emails/generate`, {
+      name,
+      expiryTime,
+      domain
+    }, config);
+    return response.data;
+  }
+
+  async function listEmails(cursor = null) {
+    const url = cursor
+      ? `${baseUrl}/emails?cursor=${cursor}`
+      : `${baseUrl}/emails`;
+    const response = await client.get(url, requestConfig());
+    return response.data;
+  }
+
+  async function getMessages(emailId, cursor = null) {
+    const url = cursor
+      ? `${baseUrl}/emails/${emailId}?cursor=${cursor}`
+      : `${baseUrl}/emails/${emailId}`;
+    const response = await client.get(url, requestConfig());
+    return response.data;
+  }
+
+  // The API has used a few different field names for attachments; keep one shape for the bot
+  function normalizeAttachment(raw, index) {
+    const contentId = raw.contentId || raw.content_id || raw.cid || null;
+    return {
+      id: String(raw.id || index + 1),
+      filename: raw.filename || raw.name || `attachment-${index + 1}`,
+      contentType: raw.contentType || raw.content_type || raw.mimeType || 'application/octet-stream',
+      size: raw.size || 0,
+      contentId: contentId ? String(contentId).replace(/^<|>$/g, '') : null,
+      inline: Boolean(raw.inline || raw.related || contentId),
+      url: raw.url || raw.downloadUrl || raw.download_url || null,
+      content: typeof raw.content === 'string' ? raw.content : null
+    };
+  }
+
+  async function getMessageDetail(emailId, messageId) {
+    const response = await client.get(`${baseUrl}/emails/${emailId}/${messageId}`, requestConfig());
+    const message = response.data.message;
+    if (message && Array.isArray(message.attachments)) {
+      message.attachments = message.attachments.map(normalizeAttachment);
+    }
+    return message;
+  }
+
+  async function getAttachment(emailId, messageId, attachmentId) {
+    const message = await getMessageDetail(emailId, messageId);
+    const att = (message.attachments || []).find(a => a.id === attachmentId);
+    if (!att) {
+      const error = new Error('Attachment not found');
+      error.response = { status: 404 };
+      throw error;
+    }
+    let content;
+    if (att.content) {
+      content = Buffer.from(att.content, 'base64');
+    } else {
+      const url = att.url
+        ? new URL(att.url, `${baseUrl}/`).href
+        : `${baseUrl}/emails/${emailId}/${messageId}/attachments/${attachmentId}`;
+      const config = requestConfig();
+      // Attachment links may point at a storage host; the API key only goes to the API itself
+      if (new URL(url).origin !== new URL(baseUrl).origin) delete config.headers['X-API-Key'];
+      config.responseType = 'arraybuffer';
+      const response = await client.get(url, config);
+      content = Buffer.from(response.data);
+    }
+    return {
+      filename: att.filename,
+      contentType: att.contentType,
+      size: content.length,
+      content
+    };
+  }
+
+  async function deleteEmail(emailId) {
+    const response = await client.delete(`${baseUrl}/emails/${emailId}`, requestConfig());
+    return response.data;
+  }
+
+  async function deleteMessage(emailId, messageId) {
+    const response = await client.delete(`${baseUrl}/emails/${emailId}/${messageId}`, requestConfig());
+    return response.data;
+  }
+
+  return {
+    name: 'chat-tempmail',
+    getDomains,
+    generateEmail,
+    listEmails,
+    getMessages,
+    getMessageDetail,
+    getAttachment,
+    deleteEmail,
+    deleteMessage
+  };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,99 @@
+// Mail Provider Registry
+// Picks the temp-mail backend the bot talks to (MAIL_PROVIDER in .env)
+//
+// Every provider exposes the same async interface:
+//   getDomains()                             -> [domain]
+//   generateEmail(name, expiryTime, domain)  -> { id, email }
+//   listEmails(cursor)                       -> { emails: [{ id, address, createdAt, expiresAt }], nextCursor }
+//   getMessages(emailId, cursor)             -> { messages: [{ id, from_address, subject, received_at }], nextCursor }
+//   getMessageDetail(emailId, messageId)     -> { id, from_address, subject, content, html, received_at,
+//                                                attachments?: [{ id, filename, contentType, size, contentId, inline }] }
+//   getAttachment(emailId, messageId, attachmentId) -> { filename, contentType, size, content: Buffer }
+//   deleteEmail(emailId)
+//   deleteMessage(emailId, messageId)
+// Providers that can push back an expiry also expose extendEmail(emailId, extraTime) -> { id, expiresAt }.
+// Providers that run their own listeners also expose start() and stop().
+// Failed calls reject with an error carrying `response.status` like axios does.
+
+const path = require('path');
+
+function resolveStorePath(value, fallback) {
+  const storePath = value || fallback;
+  return storePath === 'memory' ? null : path.resolve(__dirname, '..', '..', storePath);
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const adapters = {
+  'chat-tempmail': () => require('./chat-tempmail'),
+  mock: () => require('./mock'),
+  smtp: () => require('./smtp')
+};
+
+/**
+ * Get the names of all known providers
+ * @returns {array} Provider names
+ */
+function getProviderNames() {
+  return Object.keys(adapters);
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @param {object} options - Provider specific options
+ * @returns {object} Mail provider
+ */
+function createProvider(name, options = {}) {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown mail provider "${name}". Available: ${getProviderNames().join(', ')}`);
+  }
+  return adapter().createProvider(options);
+}
+
+/**
+ * Create the provider selected in the environment
+ * @param {object} context - Shared dependencies
+ * @param {function} context.getApiKey - Returns the current API key
+ * @param {function} context.getProxy - Returns the next proxy address or null
+ * @param {function} [context.reportProxy] - Receives the outcome of each proxied request
+ * @returns {object} Mail provider
+ */
+function createProviderFromEnv(context) {
+  const name = process.env.MAIL_PROVIDER || 'chat-tempmail';
+
+  if (name === 'mock') {
+    return createProvider(name, {
+      filePath: resolveStorePath(process.env.MOCK_STORE_PATH, 'database/mock-mail.json'),
+      domains: parseList(process.env.MOCK_DOMAINS)
+    });
+  }
+
+  if (name === 'smtp') {
+    return createProvider(name, {
+      filePath: resolveStorePath(process.env.SMTP_STORE_PATH, 'database/smtp-mail.json'),
+      domains: parseList(process.env.SMTP_DOMAINS),
+      port: parseInt(process.env.SMTP_PORT || '25'),
+      host: process.env.SMTP_HOST || '0.0.0.0',
+      maxSize: parseInt(process.env.SMTP_MAX_SIZE || '0') || undefined,
+      tlsKey: process.env.SMTP_TLS_KEY,
+      tlsCert: process.env.SMTP_TLS_CERT
+    });
+  }
+
+  return createProvider(name, {
+    getApiKey: context.getApiKey,
+    getProxy: context.getProxy,
+    reportProxy: context.reportProxy,
+    baseUrl: process.env.API_BASE_URL
+  });
+}
+
+module.exports = {
+  createProvider,
+  createProviderFromEnv,
+  getProviderNames
+};
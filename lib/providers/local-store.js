@@ -0,0 +1,307 @@
+// Local Mailbox Store
+// Keeps addresses and their messages on this machine for providers that do not use a remote API
+// Backed by a JSON file, or held in memory only when no file path is given
+// Attachment contents are kept as separate files next to the JSON file (<file>.attachments/)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PAGE_SIZE = 20;
+
+/**
+ * Build an error shaped like an HTTP error response so callers can check the status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.response = { status, data: { error: message } };
+  return error;
+}
+
+// Cursors are plain offsets into a sorted list
+function paginate(items, cursor) {
+  const offset = parseInt(cursor || '0') || 0;
+  const page = items.slice(offset, offset + PAGE_SIZE);
+  const next = offset + PAGE_SIZE;
+  return { page, nextCursor: next < items.length ? String(next) : null };
+}
+
+/**
+ * Create a mailbox store
+ * @param {string|null} filePath - JSON file to persist to, or null to keep everything in memory
+ * @returns {object} Mailbox store
+ */
+function createLocalStore(filePath) {
+  function load() {
+    try {
+      if (filePath && fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { emails: data.emails || {}, messages: data.messages || {} };
+      }
+    } catch (error) {
+      console.error('Error loading local mailbox store:', error.message);
+    }
+    return { emails: {}, messages: {} };
+  }
+
+  function save() {
+    if (!filePath) return;
+    try {
+      const dir = path.dirname(filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving local mailbox store:', error.message);
+    }
+  }
+
+  const data = load();
+  const attachmentDir = filePath ? `${filePath}.attachments` : null;
+  const memoryAttachments = new Map(); // Used when nothing is written to disk
+
+  function attachmentPath(messageId, attachmentId) {
+    return path.join(attachmentDir, messageId, attachmentId);
+  }
+
+  function writeAttachment(messageId, attachmentId, content) {
+    if (!attachmentDir) {
+      memoryAttachments.set(`${messageId}/${attachmentId}`, content);
+      return;
+    }
+    const dir = path.join(attachmentDir, messageId);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(attachmentPath(messageId, attachmentId), content);
+  }
+
+  function removeAttachments(message) {
+    if (!message.attachments || message.attachments.length === 0) return;
+    if (!attachmentDir) {
+      message.attachments.forEach(att => memoryAttachments.delete(`${message.id}/${att.id}`));
+      return;
+    }
+    try {
+      fs.rmSync(path.join(attachmentDir, message.id), { recursive: true, force: true });
+    } catch (error) {
+      console.error('Error removing attachments:', error.message);
+    }
+  }
+
+  function isExpired(email, now = Date.now()) {
+    return Boolean(email.expiresAt) && new Date(email.expiresAt).getTime() <= now;
+  }
+
+  function requireEmail(emailId) {
+    const email = data.emails[emailId];
+    if (!email || isExpired(email)) {
+      throw httpError(404, 'Email not found');
+    }
+    return email;
+  }
+
+  /**
+   * Create a new address
+   * @param {string} name - Local part
+   * @param {number} expiryTime - Lifetime in ms, 0 for permanent
+   * @param {string} domain - Domain part
+   * @returns {object} { id, email }
+   */
+  function createEmail(name, expiryTime, domain) {
+    const address = `${String(name).trim().toLowerCase()}@${String(domain).toLowerCase()}`;
+    if (!/^[a-z0-9._+-]+@[a-z0-9.-]+$/.test(address)) {
+      throw httpError(400, 'Invalid email name');
+    }
+    if (findEmailByAddress(address)) {
+      throw httpError(409, 'Email address already exists');
+    }
+
+    const now = new Date();
+    const email = {
+      id: crypto.randomUUID(),
+      address,
+      createdAt: now.toISOString(),
+      expiresAt: expiryTime > 0 ? new Date(now.getTime() + expiryTime).toISOString() : null
+    };
+    data.emails[email.id] = email;
+    data.messages[email.id] = [];
+    save();
+    return { id: email.id, email: address };
+  }
+
+  /**
+   * Find a live address
+   * @param {string} address - Full email address
+   * @returns {object|null} Stored email or null
+   */
+  function findEmailByAddress(address) {
+    const wanted = String(address).toLowerCase();
+    const email = Object.values(data.emails).find(e => e.address === wanted);
+    return email && !isExpired(email) ? email : null;
+  }
+
+  function listEmails(cursor = null) {
+    const emails = Object.values(data.emails)
+      .filter(email => !isExpired(email))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const { page, nextCursor } = paginate(emails, cursor);
+    return { emails: page, nextCursor, total: emails.length };
+  }
+
+  /**
+   * Store a received message
+   * @param {string} emailId - Owning email ID
+   * @param {object} message - { from_address, subject, content, html, attachments }
+   *   attachments: [{ filename, contentType, contentId, inline, content: Buffer }]
+   * @returns {object} Stored message
+   */
+  function addMessage(emailId, message) {
+    requireEmail(emailId);
+    const stored = {
+      id: crypto.randomUUID(),
+      from_address: message.from_address || '',
+      subject: message.subject || '',
+      content: message.content || '',
+      html: message.html || '',
+      received_at: message.received_at || new Date().toISOString()
+    };
+    if (message.attachments && message.attachments.length > 0) {
+      stored.attachments = message.attachments.map((att, index) => {
+        const id = String(index + 1);
+        writeAttachment(stored.id, id, att.content);
+        return {
+          id,
+          filename: att.filename || `attachment-${id}`,
+          contentType: att.contentType || 'application/octet-stream',
+          size: att.content.length,
+          contentId: att.contentId || null,
+          inline: Boolean(att.inline)
+        };
+      });
+    }
+    data.messages[emailId].unshift(stored);
+    save();
+    return stored;
+  }
+
+  function getMessages(emailId, cursor = null) {
+    requireEmail(emailId);
+    const { page, nextCursor } = paginate(data.messages[emailId] || [], cursor);
+    return {
+      messages: page.map(msg => ({
+        id: msg.id,
+        from_address: msg.from_address,
+        subject: msg.subject,
+        received_at: msg.received_at
+      })),
+      nextCursor,
+      total: (data.messages[emailId] || []).length
+    };
+  }
+
+  function getMessageDetail(emailId, messageId) {
+    requireEmail(emailId);
+    const message = (data.messages[emailId] || []).find(msg => msg.id === messageId);
+    if (!message) {
+      throw httpError(404, 'Message not found');
+    }
+    return message;
+  }
+
+  /**
+   * Read an attachment
+   * @param {string} emailId - Email ID
+   * @param {string} messageId - Message ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {object} { filename, contentType, size, content: Buffer }
+   */
+  function getAttachment(emailId, messageId, attachmentId) {
+    const message = getMessageDetail(emailId, messageId);
+    const att = (message.attachments || []).find(a => a.id === attachmentId);
+    const content = att && (attachmentDir
+      ? (fs.existsSync(attachmentPath(messageId, attachmentId)) ? fs.readFileSync(attachmentPath(messageId, attachmentId)) : null)
+      : memoryAttachments.get(`${messageId}/${attachmentId}`));
+    if (!content) {
+      throw httpError(404, 'Attachment not found');
+    }
+    return { ...att, content };
+  }
+
+  /**
+   * Push back the expiry of a live address
+   * @param {string} emailId - Email ID
+   * @param {number} extraTime - Time to add in ms
+   * @returns {object} { id, expiresAt }
+   */
+  function extendEmail(emailId, extraTime) {
+    const email = requireEmail(emailId);
+    if (!email.expiresAt) {
+      throw httpError(400, 'Email does not expire');
+    }
+    email.expiresAt = new Date(new Date(email.expiresAt).getTime() + extraTime).toISOString();
+    save();
+    return { id: email.id, expiresAt: email.expiresAt };
+  }
+
+  function deleteEmail(emailId) {
+    requireEmail(emailId);
+    (data.messages[emailId] || []).forEach(removeAttachments);
+    delete data.emails[emailId];
+    delete data.messages[emailId];
+    save();
+    return { success: true };
+  }
+
+  function deleteMessage(emailId, messageId) {
+    requireEmail(emailId);
+    const messages = data.messages[emailId] || [];
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (index === -1) {
+      throw httpError(404, 'Message not found');
+    }
+    removeAttachments(messages[index]);
+    messages.splice(index, 1);
+    save();
+    return { success: true };
+  }
+
+  /**
+   * Drop expired addresses together with their messages
+   * @returns {number} Number of addresses removed
+   */
+  function removeExpired() {
+    const now = Date.now();
+    const expired = Object.values(data.emails).filter(email => isExpired(email, now));
+    expired.forEach(email => {
+      (data.messages[email.id] || []).forEach(removeAttachments);
+      delete data.emails[email.id];
+      delete data.messages[email.id];
+    });
+    if (expired.length > 0) save();
+    return expired.length;
+  }
+
+  return {
+    createEmail,
+    findEmailByAddress,
+    listEmails,
+    addMessage,
+    getMessages,
+    getMessageDetail,
+    getAttachment,
+    extendEmail,
+    deleteEmail,
+    deleteMessage,
+    removeExpired
+  };
+}
+
+module.exports = {
+  createLocalStore,
+  httpError
+};
@@ -0,0 +1,73 @@
+// Mock Provider
+// Offline stand-in for the hosted API, so the bot can run and be tested without network access
+// Addresses live in a JSON file (MOCK_STORE_PATH) or only in memory when the path is "memory"
+
+const { createLocalStore, httpError } = require('./local-store');
+
+/**
+ * Create a mock provider
+ * @param {object} [options]
+ * @param {string|null} [options.filePath] - JSON file to persist to, null for memory only
+ * @param {array} [options.domains] - Domains offered when creating addresses
+ * @param {boolean} [options.welcomeMessage=true] - Put a sample message into every new inbox
+ * @returns {object} Mail provider
+ */
+function createProvider(options = {}) {
+  const domains = options.domains && options.domains.length > 0 ? options.domains : ['mock.local'];
+  const store = createLocalStore(options.filePath || null);
+  const welcomeMessage = options.welcomeMessage !== false;
+
+  async function getDomains() {
+    return [...domains];
+  }
+
+  async function generateEmail(name, expiryTime, domain) {
+    if (!domains.includes(domain)) {
+      throw httpError(400, 'Unknown domain');
+    }
+    const result = store.createEmail(name, expiryTime, domain);
+    if (welcomeMessage) {
+      store.addMessage(result.id, {
+        from_address: 'welcome@mock.local',
+        subject: 'Welcome to your mock inbox',
+        content: 'This inbox is served by the mock provider.\n\nYour verification code is 123456.',
+        attachments: [{
+          filename: 'welcome.txt',
+          contentType: 'text/plain',
+          content: Buffer.from('Hello from the mock provider.\n', 'utf8')
+        }]
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Deliver a message to an address, as if it had been received
+   * @param {string} address - Recipient address
+   * @param {object} message - { from_address, subject, content, html, attachments }
+   * @returns {Promise<object>} Stored message
+   */
+  async function deliverMessage(address, message) {
+    const email = store.findEmailByAddress(address);
+    if (!email) {
+      throw httpError(404, 'Email not found');
+    }
+    return store.addMessage(email.id, message);
+  }
+
+  return {
+    name: 'mock',
+    getDomains,
+    generateEmail,
+    listEmails: async (cursor) => store.listEmails(cursor),
+    getMessages: async (emailId, cursor) => store.getMessages(emailId, cursor),
+    getMessageDetail: async (emailId, messageId) => store.getMessageDetail(emailId, messageId),
+    getAttachment: async (emailId, messageId, attachmentId) => store.getAttachment(emailId, messageId, attachmentId),
+    extendEmail: async (emailId, extraTime) => store.extendEmail(emailId, extraTime),
+    deleteEmail: async (emailId) => store.deleteEmail(emailId),
+    deleteMessage: async (emailId, messageId) => store.deleteMessage(emailId, messageId),
+    deliverMessage
+  };
+}
+
+module.exports = { createProvider };
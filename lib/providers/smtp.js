@@ -0,0 +1,176 @@
+// SMTP Provider
+// Receives mail directly with a built-in SMTP listener instead of a third-party API
+// Accepts mail only for the configured domains and for addresses created through the bot
+
+const fs = require('fs');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const { createLocalStore, httpError } = require('./local-store');
+
+/**
+ * Create an SMTP provider
+ * @param {object} options
+ * @param {array} options.domains - Domains to accept mail for
+ * @param {string|null} [options.filePath] - JSON file to store mail in, null for memory only
+ * @param {number} [options.port=25] - Port to listen on
+ * @param {string} [options.host='0.0.0.0'] - Address to bind
+ * @param {number} [options.maxSize] - Largest accepted message in bytes
+ * @param {number} [options.cleanupInterval=60000] - How often expired addresses are removed, in ms
+ * @param {string} [options.tlsKey] - Path to a TLS key, enables STARTTLS together with tlsCert
+ * @param {string} [options.tlsCert] - Path to a TLS certificate
+ * @returns {object} Mail provider
+ */
+function createProvider(options) {
+  const domains = (options.domains || []).map(domain => domain.toLowerCase());
+  if (domains.length === 0) {
+    throw new Error('SMTP provider needs at least one domain (SMTP_DOMAINS)');
+  }
+
+  const store = createLocalStore(options.filePath || null);
+  const maxSize = options.maxSize || 10 * 1024 * 1024;
+  let server = null;
+  let cleanupTimer = null;
+
+  function acceptsAddress(address) {
+    const domain = String(address).split('@')[1]?.toLowerCase();
+    return domains.includes(domain) && Boolean(store.findEmailByAddress(address));
+  }
+
+  async function storeMessage(stream, session) {
+    const parsed = await simpleParser(stream);
+    if (stream.sizeExceeded) {
+      const error = new Error('Message exceeds maximum size');
+      error.responseCode = 552;
+      throw error;
+    }
+
+    const message = {
+      from_address: parsed.from?.value?.[0]?.address || session.envelope.mailFrom?.address || '',
+      subject: parsed.subject || '',
+      content: parsed.text || '',
+      html: parsed.html || '',
+      received_at: (parsed.date || new Date()).toISOString(),
+      attachments: (parsed.attachments || []).map(att => ({
+        filename: att.filename,
+        contentType: att.contentType,
+        contentId: att.contentId ? att.contentId.replace(/^<|>$/g, '') : null,
+        inline: att.related || att.contentDisposition === 'inline',
+        content: att.content
+      }))
+    };
+
+    session.envelope.rcptTo.forEach(recipient => {
+      const email = store.findEmailByAddress(recipient.address);
+      // The address may have expired between RCPT TO and the end of DATA
+      if (email) {
+        store.addMessage(email.id, message);
+      }
+    });
+  }
+
+  function createServer() {
+    const serverOptions = {
+      name: domains[0],
+      banner: 'Vun Mail',
+      size: maxSize,
+      authOptional: true,
+      disabledCommands: ['AUTH'],
+      logger: false,
+      onRcptTo(address, session, callback) {
+        if (!acceptsAddress(address.address)) {
+          const error = new Error('Mailbox unavailable');
+          error.responseCode = 550;
+          return callback(error);
+        }
+        callback();
+      },
+      onData(stream, session, callback) {
+        storeMessage(stream, session)
+          .then(() => callback())
+          .catch(error => {
+            if (!error.responseCode) {
+              console.error('Error storing incoming mail:', error.message);
+            }
+            callback(error);
+          });
+      }
+    };
+
+    if (options.tlsKey && options.tlsCert) {
+      serverOptions.key = fs.readFileSync(options.tlsKey);
+      serverOptions.cert = fs.readFileSync(options.tlsCert);
+    } else {
+      serverOptions.hideSTARTTLS = true;
+    }
+
+    return new SMTPServer(serverOptions);
+  }
+
+  /**
+   * Start listening for mail and the expiry cleanup job
+   * @returns {Promise<void>}
+   */
+  function start() {
+    if (server) return Promise.resolve();
+    server = createServer();
+    server.on('error', error => console.error('SMTP server error:', error.message));
+
+    cleanupTimer = setInterval(() => {
+      const removed = store.removeExpired();
+      if (removed > 0) {
+        console.log(`Removed ${removed} expired addresses`);
+      }
+    }, options.cleanupInterval || 60000);
+    cleanupTimer.unref();
+
+    const port = options.port || 25;
+    const host = options.host || '0.0.0.0';
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        console.log(`📮 SMTP receiver listening on ${host}:${port} for ${domains.join(', ')}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the SMTP listener and the cleanup job
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    if (cleanupTimer) {
+      clearInterval(cleanupTimer);
+      cleanupTimer = null;
+    }
+    if (!server) return Promise.resolve();
+    const closing = server;
+    server = null;
+    return new Promise(resolve => closing.close(resolve));
+  }
+
+  async function generateEmail(name, expiryTime, domain) {
+    if (!domains.includes(String(domain).toLowerCase())) {
+      throw httpError(400, 'Unknown domain');
+    }
+    return store.createEmail(name, expiryTime, domain);
+  }
+
+  return {
+    name: 'smtp',
+    start,
+    stop,
+    getDomains: async () => [...domains],
+    generateEmail,
+    listEmails: async (cursor) => store.listEmails(cursor),
+    getMessages: async (emailId, cursor) => store.getMessages(emailId, cursor),
+    getMessageDetail: async (emailId, messageId) => store.getMessageDetail(emailId, messageId),
+    getAttachment: async (emailId, messageId, attachmentId) => store.getAttachment(emailId, messageId, attachmentId),
+    extendEmail: async (emailId, extraTime) => store.extendEmail(emailId, extraTime),
+    deleteEmail: async (emailId) => store.deleteEmail(emailId),
+    deleteMessage: async (emailId, messageId) => store.deleteMessage(emailId, messageId)
+  };
+}
+
+module.exports = { createProvider };
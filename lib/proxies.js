@@ -1,52 +1,60 @@
 // Proxy Configuration Module
 // Manages proxy rotation for handling rate limiting
-// Reads proxies from database/proxies.json for easy management
+// Proxies are persisted through the storage layer (see lib/storage); lib/proxy-agent routes requests through them
 
-const fs = require('fs');
-const path = require('path');
+const { getStorage } = require('./storage');
+const { PROTOCOLS, maskProxy } = require('./proxy-agent');
+const health = require('./proxy-health');
 
-const proxyDbPath = path.join(__dirname, '..', 'database', 'proxies.json');
-
-// Load proxies from database
+// Load proxies from storage
 function loadProxies() {
   try {
-    if (fs.existsSync(proxyDbPath)) {
-      const data = fs.readFileSync(proxyDbPath, 'utf8');
-      const config = JSON.parse(data);
-      return config.proxies || [];
-    }
+    return getStorage().getProxies();
   } catch (error) {
-    console.error('Error loading proxies from database:', error.message);
+    console.error('Error loading proxies from storage:', error.message);
   }
   return [];
 }
 
-// Save proxies to database
+// Save proxies to storage
 function saveProxies(proxyList) {
   try {
-    const dir = path.dirname(proxyDbPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(proxyDbPath, JSON.stringify({ proxies: proxyList }, null, 2), 'utf8');
+    getStorage().setProxies(proxyList);
     console.log(`Proxies saved: ${proxyList.length} proxies`);
   } catch (error) {
-    console.error('Error saving proxies to database:', error.message);
+    console.error('Error saving proxies to storage:', error.message);
   }
 }
 
 let proxyList = loadProxies();
-let currentProxyIndex = 0;
+let currentWeights = new Map(); // Proxy -> running weight for smooth weighted round-robin
 
 /**
  * Get the next proxy from the list
- * @returns {string|null} Proxy address or null if no proxies configured
+ * Proxies are picked in a smooth weighted round-robin by health score (lib/proxy-health), so better
+ * proxies are used more often without starving the rest. Quarantined proxies are skipped unless
+ * every proxy is quarantined.
+ * @param {function} [filter] - Only proxies passing it are considered (e.g. those with rate limit left)
+ * @returns {string|null} Proxy address, or null if no proxies configured or none passes the filter
  */
-function getNextProxy() {
+function getNextProxy(filter) {
   if (proxyList.length === 0) return null;
-  const proxy = proxyList[currentProxyIndex];
-  currentProxyIndex = (currentProxyIndex + 1) % proxyList.length;
-  return proxy;
+  const healthy = proxyList.filter(proxy => !health.isQuarantined(proxy));
+  const candidates = (healthy.length > 0 ? healthy : proxyList).filter(proxy => !filter || filter(proxy));
+  if (candidates.length === 0) return null;
+
+  let total = 0;
+  let best = null;
+  candidates.forEach(proxy => {
+    const weight = health.getScore(proxy);
+    total += weight;
+    currentWeights.set(proxy, (currentWeights.get(proxy) || 0) + weight);
+    if (best === null || currentWeights.get(proxy) > currentWeights.get(best)) {
+      best = proxy;
+    }
+  });
+  currentWeights.set(best, currentWeights.get(best) - total);
+  return best;
 }
 
 /**
@@ -66,7 +74,7 @@ function addProxy(proxy) {
   if (proxy && !proxyList.includes(proxy)) {
     proxyList.push(proxy);
     saveProxies(proxyList);
-    console.log(`Proxy added: ${proxy}`);
+    console.log(`Proxy added: ${maskProxy(proxy)}`);
     return true;
   }
   return false;
@@ -81,24 +89,141 @@ function removeProxy(proxy) {
   const index = proxyList.indexOf(proxy);
   if (index !== -1) {
     proxyList.splice(index, 1);
+    currentWeights.delete(proxy);
+    health.forget(proxy);
     saveProxies(proxyList);
-    console.log(`Proxy removed: ${proxy}`);
+    console.log(`Proxy removed: ${maskProxy(proxy)}`);
     return true;
   }
   return false;
 }
 
+/**
+ * Add several proxies at once, saving the list a single time
+ * @param {array} newProxies - Normalized proxy addresses
+ * @returns {number} How many were not listed yet and got added
+ */
+function addProxies(newProxies) {
+  const listed = new Set(proxyList);
+  const added = newProxies.filter(proxy => !listed.has(proxy) && listed.add(proxy));
+  if (added.length > 0) {
+    proxyList.push(...added);
+    saveProxies(proxyList);
+    console.log(`Proxies added: ${added.length}`);
+  }
+  return added.length;
+}
+
 /**
  * Replace all proxies with a new list
  * @param {array} newProxyList - New list of proxies
  */
 function replaceProxies(newProxyList) {
   proxyList = newProxyList;
-  currentProxyIndex = 0;
+  currentWeights = new Map();
   saveProxies(proxyList);
   console.log(`Proxies updated: ${newProxyList.length} proxies`);
 }
 
+/**
+ * Validate and normalize a proxy address
+ * Accepts http://, https://, socks5:// and socks5h:// with an optional user:pass@ part.
+ * @param {string} input - Proxy address as typed
+ * @returns {string|null} Normalized URL (protocol://[user:pass@]host:port), or null when invalid
+ */
+function normalizeProxy(input) {
+  const value = String(input || '').trim();
+  // The port must be written out; URL drops default ports such as :80
+  const port = value.match(/^[a-z0-9]+:\/\/(?:[^@/]*@)?(?:\[[^\]]+\]|[^:/@]+):(\d{1,5})\/?$/i)?.[1];
+  if (!port || parseInt(port) < 1 || parseInt(port) > 65535) return null;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (!PROTOCOLS.includes(url.protocol) || !url.hostname) return null;
+  if (url.password && !url.username) return null;
+
+  const auth = url.username ? `${url.username}${url.password ? `:${url.password}` : ''}@` : '';
+  return `${url.protocol}//${auth}${url.hostname}:${parseInt(port)}`;
+}
+
+/**
+ * Read a proxy as typed by an admin or found on one line of an imported list
+ * Accepts a proxy URL, host:port, host:port:user:pass, user:pass@host:port or CSV columns
+ * host,port[,user,pass] with an optional protocol column; without a protocol http:// is used.
+ * @param {string} line - Proxy address or list line
+ * @returns {string|null} Normalized URL, or null when invalid
+ */
+function parseProxy(line) {
+  const fields = line.split(/[,;\t]/).map(field => field.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+  const url = fields.find(field => field.includes('://'));
+  if (url) return normalizeProxy(url);
+
+  const protocolField = fields.find(field => PROTOCOLS.includes(`${field.toLowerCase()}:`));
+  const protocol = protocolField ? protocolField.toLowerCase() : 'http';
+  const rest = fields.filter(field => field !== protocolField);
+
+  let host, port, user, pass;
+  if (rest.length >= 2 && /^\d+$/.test(rest[1])) {
+    [host, port, user, pass] = rest;
+  } else if (rest.length === 1 && rest[0].includes('@')) {
+    return normalizeProxy(`${protocol}://${rest[0]}`);
+  } else if (rest.length === 1) {
+    [host, port, user, pass] = rest[0].split(':');
+  } else {
+    return null;
+  }
+  if (!host || !port) return null;
+
+  const auth = user ? `${encodeURIComponent(user)}${pass ? `:${encodeURIComponent(pass)}` : ''}@` : '';
+  return normalizeProxy(`${protocol}://${auth}${host}:${port}`);
+}
+
+/**
+ * Parse a pasted or uploaded proxy list (.txt, .csv, or an exported proxies.json)
+ * Empty lines and lines starting with # are ignored, as is a CSV header line.
+ * @param {string} text - File contents
+ * @returns {object} { proxies, invalid, duplicates }
+ *   proxies: normalized addresses in order without duplicates; invalid: [{ line, text }]; duplicates: count
+ */
+function parseProxyList(text) {
+  let lines = String(text || '').split(/\r?\n/);
+
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      const data = JSON.parse(trimmed);
+      const list = Array.isArray(data) ? data : data.proxies;
+      if (Array.isArray(list)) lines = list.map(String);
+    } catch (error) {
+      // Not JSON after all; read it line by line
+    }
+  }
+
+  const seen = new Set();
+  const result = { proxies: [], invalid: [], duplicates: 0 };
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    // A header such as "host,port,username,password" has no digits
+    if (index === 0 && !/\d/.test(line)) return;
+
+    const proxy = parseProxy(line);
+    if (!proxy) {
+      result.invalid.push({ line: index + 1, text: line });
+    } else if (seen.has(proxy)) {
+      result.duplicates++;
+    } else {
+      seen.add(proxy);
+      result.proxies.push(proxy);
+    }
+  });
+  return result;
+}
+
 /**
  * Get current proxy count
  * @returns {number} Number of available proxies
@@ -108,10 +233,10 @@ function getProxyCount() {
 }
 
 /**
- * Reset proxy rotation index
+ * Reset proxy rotation
  */
 function resetProxyIndex() {
-  currentProxyIndex = 0;
+  currentWeights = new Map();
 }
 
 module.exports = {
@@ -120,8 +245,13 @@ module.exports = {
   getProxyCount,
   resetProxyIndex,
   addProxy,
+  addProxies,
   removeProxy,
   replaceProxies,
+  normalizeProxy,
+  parseProxy,
+  parseProxyList,
+  maskProxy,
   loadProxies,
   saveProxies
 };
@@ -0,0 +1,266 @@
+// Proxy Health Module
+// Probes every proxy in the background and keeps latency, success rate and the last 429 per proxy
+// Proxies failing several times in a row are quarantined until a probe succeeds again
+// Stats are kept in memory; the first probe run after a start fills them again
+
+const axios = require('axios');
+const { getProxyAgents, maskProxy } = require('./proxy-agent');
+
+const DEFAULT_CHECK_URL = 'https://chat-tempmail.com/api/email/domains';
+const RATE_LIMIT_PENALTY_TIME = 10 * 60 * 1000; // A 429 lowers the score for this long
+const MAX_PARALLEL_CHECKS = 5;
+
+const stats = new Map(); // Proxy URL -> stats
+let timer = null;
+let running = false;
+let options = null;
+
+function getCheckUrl() {
+  return process.env.PROXY_CHECK_URL || DEFAULT_CHECK_URL;
+}
+
+function getCheckTimeout() {
+  return (parseInt(process.env.PROXY_CHECK_TIMEOUT || '') || 10) * 1000;
+}
+
+function getQuarantineFailures() {
+  return parseInt(process.env.PROXY_QUARANTINE_FAILURES || '') || 3;
+}
+
+function emptyStats() {
+  return {
+    checks: 0,
+    successes: 0,
+    consecutiveFailures: 0,
+    latencyMs: null,
+    lastCheckedAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    lastRateLimitedAt: null,
+    quarantinedAt: null
+  };
+}
+
+function getEntry(proxy) {
+  if (!stats.has(proxy)) {
+    stats.set(proxy, emptyStats());
+  }
+  return stats.get(proxy);
+}
+
+/**
+ * Record the outcome of a request made through a proxy (probe or real API call)
+ * A 429 counts as a working proxy but lowers its score for a while.
+ * @param {string} proxy - Proxy URL
+ * @param {object} result - { ok, status, latencyMs, error }
+ */
+function recordResult(proxy, result) {
+  const entry = getEntry(proxy);
+  const now = new Date().toISOString();
+  entry.checks++;
+  entry.lastCheckedAt = now;
+
+  if (result.status === 429) {
+    entry.lastRateLimitedAt = now;
+  }
+
+  if (result.ok) {
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = now;
+    entry.lastError = null;
+    // Smoothed, so one slow answer does not swing the score
+    if (result.latencyMs !== undefined) {
+      entry.latencyMs = entry.latencyMs === null
+        ? result.latencyMs
+        : Math.round(entry.latencyMs * 0.7 + result.latencyMs * 0.3);
+    }
+    if (entry.quarantinedAt) {
+      entry.quarantinedAt = null;
+      console.log(`Proxy back from quarantine: ${maskProxy(proxy)}`);
+    }
+    return;
+  }
+
+  entry.consecutiveFailures++;
+  entry.lastError = result.error || (result.status ? `HTTP ${result.status}` : 'Failed');
+  if (!entry.quarantinedAt && entry.consecutiveFailures >= getQuarantineFailures()) {
+    entry.quarantinedAt = now;
+    console.warn(`Proxy quarantined after ${entry.consecutiveFailures} failures: ${maskProxy(proxy)}`);
+  }
+}
+
+/**
+ * Score a proxy for weighted selection
+ * Unchecked proxies get a neutral score so new ones are tried.
+ * @param {string} proxy - Proxy URL
+ * @returns {number} Between 0 and 1; higher is better
+ */
+function getScore(proxy) {
+  const entry = stats.get(proxy);
+  if (!entry || entry.checks === 0) return 0.5;
+
+  // Success rate with one assumed success and failure, so a single result is not final
+  const successRate = (entry.successes + 1) / (entry.checks + 2);
+  const speed = entry.latencyMs === null ? 0.5 : 1 / (1 + entry.latencyMs / 1000);
+  let score = successRate * (0.5 + speed / 2);
+
+  if (entry.lastRateLimitedAt) {
+    const since = Date.now() - new Date(entry.lastRateLimitedAt).getTime();
+    if (since < RATE_LIMIT_PENALTY_TIME) {
+      score *= 0.2 + 0.8 * (since / RATE_LIMIT_PENALTY_TIME);
+    }
+  }
+  return Math.max(0.01, Math.min(1, score));
+}
+
+/**
+ * Whether a proxy is quarantined
+ * @param {string} proxy - Proxy URL
+ * @returns {boolean}
+ */
+function isQuarantined(proxy) {
+  return Boolean(stats.get(proxy)?.quarantinedAt);
+}
+
+/**
+ * Get the health data of a proxy
+ * @param {string} proxy - Proxy URL
+ * @returns {object} Stats with successRate (0-1 or null), score and quarantined
+ */
+function getHealth(proxy) {
+  const entry = stats.get(proxy) || emptyStats();
+  return {
+    ...entry,
+    successRate: entry.checks > 0 ? entry.successes / entry.checks : null,
+    score: getScore(proxy),
+    quarantined: isQuarantined(proxy)
+  };
+}
+
+/**
+ * Drop the stats of a proxy, e.g. after it was removed
+ * @param {string} proxy - Proxy URL
+ */
+function forget(proxy) {
+  stats.delete(proxy);
+}
+
+/**
+ * Probe one proxy with a request to the check URL
+ * Any HTTP answer below 500 (other than 407) means the proxy works.
+ * @param {string} proxy - Proxy URL
+ * @returns {Promise<object>} { ok, status, latencyMs, error }
+ */
+async function checkProxy(proxy) {
+  const started = Date.now();
+  let result;
+  try {
+    const response = await axios.get(getCheckUrl(), {
+      ...getProxyAgents(proxy),
+      proxy: false,
+      timeout: getCheckTimeout(),
+      validateStatus: () => true
+    });
+    const ok = response.status < 500 && response.status !== 407;
+    result = {
+      ok,
+      status: response.status,
+      latencyMs: Date.now() - started,
+      error: ok ? null : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    result = { ok: false, status: null, latencyMs: Date.now() - started, error: error.message };
+  }
+  recordResult(proxy, result);
+  return result;
+}
+
+/**
+ * Probe several proxies, a few at a time
+ * @param {array} proxyList - Proxy URLs
+ * @returns {Promise<Map>} Proxy URL -> { ok, status, latencyMs, error }
+ */
+async function checkMany(proxyList) {
+  const results = new Map();
+  const queue = [...proxyList];
+  async function worker() {
+    while (queue.length > 0) {
+      const proxy = queue.shift();
+      results.set(proxy, await checkProxy(proxy));
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(MAX_PARALLEL_CHECKS, queue.length) }, worker));
+  return results;
+}
+
+/**
+ * Probe every listed proxy and drop the stats of proxies no longer listed
+ * @param {array} proxyList - Proxy URLs
+ * @returns {Promise<object>} { checked, healthy, quarantined }
+ */
+async function checkAll(proxyList) {
+  await checkMany(proxyList);
+
+  // Stats of proxies no longer listed are dropped
+  const listed = new Set(proxyList);
+  [...stats.keys()].forEach(proxy => {
+    if (!listed.has(proxy)) stats.delete(proxy);
+  });
+
+  return {
+    checked: proxyList.length,
+    healthy: proxyList.filter(proxy => !isQuarantined(proxy)).length,
+    quarantined: proxyList.filter(isQuarantined).length
+  };
+}
+
+function scheduleNext(delay) {
+  if (!running) return;
+  timer = setTimeout(async () => {
+    try {
+      await checkAll(options.getProxies());
+    } catch (error) {
+      console.error('Error checking proxies:', error.message);
+    }
+    scheduleNext(options.interval);
+  }, delay);
+}
+
+/**
+ * Start probing proxies in the background
+ * @param {object} healthOptions
+ * @param {function} healthOptions.getProxies - Returns the current proxy URLs
+ * @param {number} [healthOptions.interval=300000] - Delay between probe runs in ms
+ */
+function startHealthChecks(healthOptions) {
+  if (running) return;
+  options = { interval: 300000, ...healthOptions };
+  running = true;
+  scheduleNext(0);
+  console.log(`Proxy health checks started (every ${Math.round(options.interval / 1000)}s)`);
+}
+
+/**
+ * Stop the background probes
+ */
+function stopHealthChecks() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  recordResult,
+  getScore,
+  isQuarantined,
+  getHealth,
+  forget,
+  checkProxy,
+  checkMany,
+  checkAll,
+  startHealthChecks,
+  stopHealthChecks
+};
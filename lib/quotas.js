@@ -0,0 +1,163 @@
+// Quota Module
+// Limits how many addresses a user may hold and create, per usage tier (free / trusted / unlimited)
+// Tiers are assigned per user in storage; limits come from the environment with the defaults below
+
+const { getStorage } = require('./storage');
+
+const TIERS = ['free', 'trusted', 'unlimited'];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// null means no limit
+const DEFAULT_LIMITS = {
+  free: { maxActive: 5, perHour: 3, perDay: 10, allowPermanent: false },
+  trusted: { maxActive: 25, perHour: 10, perDay: 50, allowPermanent: true },
+  unlimited: { maxActive: null, perHour: null, perDay: null, allowPermanent: true }
+};
+
+// QUOTA_<TIER>_<NAME>: a number (0 for no limit), or true / false for QUOTA_<TIER>_PERMANENT
+function readLimit(tier, name, fallback) {
+  const value = process.env[`QUOTA_${tier.toUpperCase()}_${name}`];
+  if (value === undefined || value === '') return fallback;
+  const number = parseInt(value);
+  if (isNaN(number)) return fallback;
+  return number > 0 ? number : null;
+}
+
+function readFlag(tier, name, fallback) {
+  const value = (process.env[`QUOTA_${tier.toUpperCase()}_${name}`] || '').toLowerCase();
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return fallback;
+}
+
+/**
+ * Get the limits of a tier
+ * @param {string} tier - Tier name
+ * @returns {object} { maxActive, perHour, perDay, allowPermanent }; null numbers mean no limit
+ */
+function getLimits(tier) {
+  const defaults = DEFAULT_LIMITS[tier] || DEFAULT_LIMITS.free;
+  if (tier === 'unlimited') return { ...defaults };
+  return {
+    maxActive: readLimit(tier, 'MAX_ACTIVE', defaults.maxActive),
+    perHour: readLimit(tier, 'PER_HOUR', defaults.perHour),
+    perDay: readLimit(tier, 'PER_DAY', defaults.perDay),
+    allowPermanent: readFlag(tier, 'PERMANENT', defaults.allowPermanent)
+  };
+}
+
+/**
+ * Tier for users nobody assigned one to
+ * @returns {string}
+ */
+function getDefaultTier() {
+  const tier = process.env.QUOTA_DEFAULT_TIER;
+  return TIERS.includes(tier) ? tier : 'free';
+}
+
+/**
+ * Get a user's tier
+ * @param {number|string} userId - User ID
+ * @returns {string} Tier name
+ */
+function getUserTier(userId) {
+  const tier = getStorage().getUser(userId)?.tier;
+  return TIERS.includes(tier) ? tier : getDefaultTier();
+}
+
+/**
+ * Assign a tier to a user
+ * @param {number|string} userId - User ID
+ * @param {string} tier - Tier name
+ * @returns {boolean} False for an unknown tier
+ */
+function setUserTier(userId, tier) {
+  if (!TIERS.includes(tier)) return false;
+  getStorage().setUserTier(userId, tier);
+  return true;
+}
+
+/**
+ * Get a user's current usage against their limits
+ * @param {number|string} userId - User ID
+ * @returns {object} { tier, limits, active, lastHour, lastDay, hourResetAt, dayResetAt }
+ *   hourResetAt / dayResetAt: when the oldest counted creation leaves its window (null when none)
+ */
+function getUsage(userId) {
+  const storage = getStorage();
+  const tier = getUserTier(userId);
+  const now = Date.now();
+  const active = storage.getUserEmails(userId)
+    .filter(email => !email.expiresAt || new Date(email.expiresAt).getTime() > now)
+    .length;
+  const lastDay = storage.getEmailCreations(userId, new Date(now - DAY).toISOString());
+  const hourStart = new Date(now - HOUR).toISOString();
+  const lastHour = lastDay.filter(createdAt => createdAt >= hourStart);
+
+  return {
+    tier,
+    limits: getLimits(tier),
+    active,
+    lastHour: lastHour.length,
+    lastDay: lastDay.length,
+    hourResetAt: lastHour.length > 0 ? new Date(new Date(lastHour[0]).getTime() + HOUR) : null,
+    dayResetAt: lastDay.length > 0 ? new Date(new Date(lastDay[0]).getTime() + DAY) : null
+  };
+}
+
+/**
+ * Check whether a user may create another address
+ * @param {number|string} userId - User ID
+ * @param {object} [options]
+ * @param {boolean} [options.permanent] - The address would never expire
+ * @returns {object|null} null when allowed, otherwise { reason, limit, resetAt }
+ *   reason: "max_active", "per_hour", "per_day" or "permanent"
+ */
+function checkCreation(userId, options = {}) {
+  const usage = getUsage(userId);
+  const { limits } = usage;
+
+  if (options.permanent && !limits.allowPermanent) {
+    return { reason: 'permanent', limit: null, resetAt: null };
+  }
+  if (limits.maxActive !== null && usage.active >= limits.maxActive) {
+    return { reason: 'max_active', limit: limits.maxActive, resetAt: null };
+  }
+  if (limits.perHour !== null && usage.lastHour >= limits.perHour) {
+    return { reason: 'per_hour', limit: limits.perHour, resetAt: usage.hourResetAt };
+  }
+  if (limits.perDay !== null && usage.lastDay >= limits.perDay) {
+    return { reason: 'per_day', limit: limits.perDay, resetAt: usage.dayResetAt };
+  }
+  return null;
+}
+
+/**
+ * Count a new address against the user's hourly and daily limits
+ * @param {number|string} userId - User ID
+ */
+function recordCreation(userId) {
+  getStorage().recordEmailCreation(userId, new Date().toISOString());
+}
+
+/**
+ * Forget creations that no longer count towards any limit
+ * @returns {number} Number removed
+ */
+function pruneCreations() {
+  return getStorage().deleteEmailCreationsBefore(new Date(Date.now() - DAY).toISOString());
+}
+
+module.exports = {
+  TIERS,
+  getLimits,
+  getDefaultTier,
+  getUserTier,
+  setUserTier,
+  getUsage,
+  checkCreation,
+  recordCreation,
+  pruneCreations
+};
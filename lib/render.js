@@ -0,0 +1,324 @@
+// Message Rendering Module
+// Turns email bodies into text that is safe for Telegram's HTML parse mode
+// Keeps bold/italic text, links and lists from HTML mail; drops scripts, styles and images
+
+// Tags Telegram accepts, mapped from their email equivalents
+const inlineTags = {
+  b: 'b', strong: 'b',
+  i: 'i', em: 'i', cite: 'i',
+  u: 'u', ins: 'u',
+  s: 's', strike: 's', del: 's',
+  code: 'code', tt: 'code', kbd: 'code'
+};
+
+const blockTags = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+  'table', 'tbody', 'thead', 'tfoot', 'tr', 'blockquote', 'center', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'dl', 'dt', 'dd', 'address', 'figure'
+]);
+
+const headingTags = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Content of these is never shown
+const hiddenTags = ['script', 'style', 'head', 'title', 'noscript', 'template', 'svg', 'iframe', 'object'];
+
+const namedEntities = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°', times: '×', zwnj: '', zwj: ''
+};
+
+/**
+ * Escape text for Telegram HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode HTML entities to plain characters
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (error) {
+        return '';
+      }
+    }
+    const named = namedEntities[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  if (!match) return null;
+  return decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+}
+
+function isSafeLink(href) {
+  return /^(https?:|mailto:)/i.test(href || '');
+}
+
+// Whitespace around line breaks is noise; more than one empty line is too.
+// <pre> blocks are left exactly as they are.
+function tidy(text) {
+  return text
+    .split(/(<pre>[\s\S]*?<\/pre>)/)
+    .map(part => part.startsWith('<pre>') ? part : part
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n[ \t]+(?![ \t•\d])/g, '\n')
+      .replace(/\n{3,}/g, '\n\n'))
+    .join('')
+    .trim();
+}
+
+/**
+ * Convert an HTML email body into Telegram HTML
+ * @param {string} html - Email HTML
+ * @returns {string} Text using only tags Telegram supports
+ */
+function htmlToTelegram(html) {
+  let source = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+  hiddenTags.forEach(tag => {
+    source = source.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '');
+  });
+
+  let out = '';
+  const open = []; // Telegram tags currently open, innermost last
+  const lists = []; // { ordered, counter }
+  let preDepth = 0;
+  let inLink = false;
+
+  // Block boundaries need a line break, but nested blocks should not stack them up
+  function newline(count = 1) {
+    out = out.replace(/[ \t]+$/, '');
+    const trailing = /\n*$/.exec(out)[0].length;
+    if (out.length > 0 && trailing < count) {
+      out += '\n'.repeat(count - trailing);
+    }
+  }
+
+  function openTag(tag, markup) {
+    open.push(tag);
+    out += markup || `<${tag}>`;
+  }
+
+  function closeTag(tag) {
+    const index = open.lastIndexOf(tag);
+    if (index === -1) return;
+    // Close anything opened inside it first so the result stays well nested
+    while (open.length > index) {
+      const closing = open.pop();
+      if (closing === 'a') inLink = false;
+      out += `</${closing}>`;
+    }
+  }
+
+  const tokenPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|([^<]+)|(<)/g;
+  let match;
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const [, closing, rawName, attributes, text, strayBracket] = match;
+
+    if (text !== undefined || strayBracket !== undefined) {
+      let value = decodeEntities(text ?? strayBracket);
+      if (preDepth === 0) {
+        value = value.replace(/\s+/g, ' ');
+      }
+      out += escapeHtml(value);
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+
+    if (name === 'br') {
+      out += '\n';
+    } else if (name === 'hr') {
+      newline();
+      out += '──────────';
+      newline();
+    } else if (name === 'img') {
+      // Images (and the 1x1 tracking pixels among them) are not rendered
+    } else if (name === 'a') {
+      if (closing) {
+        closeTag('a');
+      } else {
+        const href = getAttribute(attributes, 'href');
+        if (!inLink && isSafeLink(href)) {
+          inLink = true;
+          openTag('a', `<a href="${escapeAttribute(href)}">`);
+        }
+      }
+    } else if (inlineTags[name]) {
+      const tag = inlineTags[name];
+      if (closing) {
+        closeTag(tag);
+      } else if (!open.includes(tag) && !open.includes('code') && !open.includes('pre')) {
+        openTag(tag);
+      }
+    } else if (name === 'pre') {
+      if (closing) {
+        preDepth = Math.max(0, preDepth - 1);
+        closeTag('pre');
+        newline();
+      } else {
+        newline();
+        // <pre> may not sit inside other formatting in Telegram
+        while (open.length > 0) closeTag(open[open.length - 1]);
+        preDepth++;
+        openTag('pre');
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      if (closing) {
+        lists.pop();
+      } else {
+        const start = parseInt(getAttribute(attributes, 'start') || '1') || 1;
+        lists.push({ ordered: name === 'ol', counter: start });
+      }
+      newline();
+    } else if (name === 'li') {
+      if (!closing) {
+        const list = lists[lists.length - 1];
+        const indent = '  '.repeat(Math.max(0, lists.length - 1));
+        const bullet = list && list.ordered ? `${list.counter++}. ` : '• ';
+        newline();
+        out += indent + bullet;
+      }
+    } else if (name === 'td' || name === 'th') {
+      if (closing) out += ' ';
+    } else if (headingTags.has(name)) {
+      if (closing) {
+        closeTag('b');
+        newline(2);
+      } else {
+        newline(2);
+        if (!open.includes('b')) openTag('b');
+      }
+    } else if (blockTags.has(name)) {
+      newline(name === 'p' || name === 'blockquote' ? 2 : 1);
+    }
+  }
+
+  while (open.length > 0) {
+    out += `</${open.pop()}>`;
+  }
+
+  return tidy(out
+    // Formatting around nothing but whitespace is just clutter
+    .replace(/<(b|i|u|s|code)>(\s*)<\/\1>/g, '$2')
+    // Bullets whose item only held a nested list
+    .replace(/\n[ \t]*(•|\d+\.)[ \t]*(?=\n)/g, ''));
+}
+
+/**
+ * Render a message body for Telegram
+ * Uses the HTML part when there is one, otherwise the escaped text part.
+ * @param {object} message - Message with content and/or html
+ * @returns {string} Telegram HTML
+ */
+function renderMessageBody(message) {
+  if (message.html) {
+    const rendered = htmlToTelegram(message.html);
+    if (rendered) return rendered;
+  }
+  return tidy(escapeHtml(message.content || ''));
+}
+
+/**
+ * Split Telegram HTML into pages of at most `pageSize` characters
+ * Pages end at a paragraph, line or word break where possible and never inside a tag or entity.
+ * Formatting open at a page break is closed there and reopened on the next page.
+ * @param {string} html - Telegram HTML
+ * @param {number} pageSize - Maximum length of one page
+ * @returns {array} Pages (at least one)
+ */
+function paginateHtml(html, pageSize) {
+  if (html.length <= pageSize) return [html];
+
+  const tokens = html.match(/<\/?[a-z]+[^>]*>|&[^;\s]+;|[^<&]/gi) || [];
+  const pages = [];
+  let open = []; // { name, markup } of tags open at the current position
+  let page = '';
+  let lastBreak = null; // { length, open, index, strength } of the best break seen on this page
+
+  const closers = stack => stack.slice().reverse().map(tag => `</${tag.name}>`).join('');
+  const openers = stack => stack.map(tag => tag.markup).join('');
+  const closersLength = stack => stack.reduce((length, tag) => length + tag.name.length + 3, 0);
+
+  function startPage(stack) {
+    page = openers(stack);
+    open = stack.slice();
+    lastBreak = null;
+  }
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const tag = /^<(\/?)([a-z]+)/i.exec(token);
+    const ownCloser = tag && !tag[1] ? tag[2].length + 3 : 0;
+
+    if (page.length + token.length + ownCloser + closersLength(open) > pageSize && page.length > openers(open).length) {
+      // Prefer a break in the last part of the page so pages are not cut far too short
+      const useBreak = lastBreak && lastBreak.length > pageSize * 0.5;
+      if (useBreak) {
+        const cut = lastBreak;
+        pages.push(page.slice(0, cut.length) + closers(cut.open));
+        startPage(cut.open);
+        // Continue right after the break; the loop increment moves past it
+        index = cut.index;
+        continue;
+      }
+      pages.push(page + closers(open));
+      startPage(open);
+    }
+
+    page += token;
+    if (tag) {
+      if (tag[1]) {
+        const position = open.map(t => t.name).lastIndexOf(tag[2].toLowerCase());
+        if (position !== -1) open.splice(position, 1);
+      } else {
+        open.push({ name: tag[2].toLowerCase(), markup: token });
+      }
+    } else if (token === '\n' || token === ' ') {
+      // Never break inside <pre> or a link, Telegram would show half of it
+      if (!open.some(t => t.name === 'pre' || t.name === 'a')) {
+        const strength = token === ' ' ? 1 : (page.endsWith('\n\n') ? 3 : 2);
+        if (!lastBreak || strength >= lastBreak.strength || page.length - lastBreak.length > pageSize * 0.2) {
+          lastBreak = { length: page.length, open: open.slice(), index, strength };
+        }
+      }
+    }
+  }
+
+  if (page.length > openers(open).length || pages.length === 0) {
+    pages.push(page + closers(open));
+  }
+  return pages.map(text => text.trim()).filter(Boolean);
+}
+
+module.exports = {
+  escapeHtml,
+  decodeEntities,
+  htmlToTelegram,
+  renderMessageBody,
+  paginateHtml
+};
@@ -0,0 +1,352 @@
+// Request Scheduler Module
+// Runs mail API calls with bounded concurrency, token buckets per API key and per proxy (or the direct
+// connection), and two priority lanes: interactive requests always start before background polling
+// A 429 pauses the key that got it for its Retry-After and briefly pauses the route; both slow down
+// until requests succeed again. Requests not tied to a key fail over to another key after 401, 403 or 429
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['interactive', 'background'];
+const DIRECT_ROUTE = 'direct'; // Bucket of requests sent without a proxy
+const MAX_BACKOFF = 60 * 1000;
+const MAX_SCAN = 50; // Queued requests looked at per lane when the first ones have to wait
+const MIN_RATE_FACTOR = 0.1; // A bucket never slows below this share of its configured rate
+const BUCKET_IDLE_TIME = 10 * 60 * 1000; // Idle, full buckets are dropped after this long
+
+const context = new AsyncLocalStorage();
+
+function createBucket(rate, burst) {
+  return {
+    baseRate: rate,
+    rate,
+    burst,
+    tokens: burst,
+    updatedAt: Date.now(),
+    blockedUntil: 0,
+    strikes: 0 // 429s in a row, for the backoff when no Retry-After is sent
+  };
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate);
+  bucket.updatedAt = now;
+}
+
+// Milliseconds until the bucket has a token; 0 when one is available now
+function waitTime(bucket, now) {
+  if (bucket.blockedUntil > now) return bucket.blockedUntil - now;
+  refill(bucket, now);
+  return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / bucket.rate * 1000);
+}
+
+/**
+ * Read a Retry-After header
+ * @param {object} [headers] - Response headers
+ * @returns {number|null} Delay in ms, or null when missing or unreadable
+ */
+function parseRetryAfter(headers) {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create a scheduler
+ * @param {object} options
+ * @param {function} options.getApiKeys - IDs of the API keys requests not tied to a key may use, preferred first
+ * @param {function} [options.reportApiKey] - Called with (keyId, { ok, status, error }) after each attempt
+ * @param {function} options.getProxy - (filter) => proxy URL passing the filter, or null
+ * @param {function} options.getProxyCount - Number of configured proxies
+ * @param {number} [options.concurrency=4] - Requests running at the same time
+ * @param {number} [options.keyRate=2] - Requests per second per API key
+ * @param {number} [options.keyBurst=5] - Requests an idle API key may send at once
+ * @param {number} [options.proxyRate=1] - Requests per second per proxy (and for the direct connection)
+ * @param {number} [options.proxyBurst=3] - Requests an idle proxy may send at once
+ * @param {number} [options.maxRetries=3] - Attempts per request; at least one per proxy and per key
+ * @param {number} [options.timeout=60000] - A request still running after this long frees its slot and fails
+ * @returns {object} { schedule, getContext, getStats }
+ */
+function createScheduler(options) {
+  const settings = {
+    concurrency: 4,
+    keyRate: 2,
+    keyBurst: 5,
+    proxyRate: 1,
+    proxyBurst: 3,
+    maxRetries: 3,
+    timeout: 60000,
+    ...options
+  };
+  const lanes = { interactive: [], background: [] };
+  const keyBuckets = new Map();
+  const routeBuckets = new Map();
+  let running = 0;
+  let timer = null;
+  let timerDue = 0;
+  let lastPrune = Date.now();
+
+  function keyBucket(apiKey) {
+    const id = apiKey === null ? '' : apiKey;
+    if (!keyBuckets.has(id)) keyBuckets.set(id, createBucket(settings.keyRate, settings.keyBurst));
+    return keyBuckets.get(id);
+  }
+
+  function routeBucket(route) {
+    if (!routeBuckets.has(route)) routeBuckets.set(route, createBucket(settings.proxyRate, settings.proxyBurst));
+    return routeBuckets.get(route);
+  }
+
+  function pruneBuckets(now) {
+    if (now - lastPrune < BUCKET_IDLE_TIME) return;
+    lastPrune = now;
+    [keyBuckets, routeBuckets].forEach(buckets => {
+      buckets.forEach((bucket, id) => {
+        refill(bucket, now);
+        if (bucket.tokens >= bucket.burst && bucket.blockedUntil <= now && bucket.rate === bucket.baseRate &&
+          now - bucket.lastUsedAt > BUCKET_IDLE_TIME) {
+          buckets.delete(id);
+        }
+      });
+    });
+  }
+
+  // Pick the route for the next request: a proxy with a free token, or the direct connection
+  // Returns { route, wait } where wait > 0 means nothing is free yet
+  function pickRoute(now) {
+    if (settings.getProxyCount() === 0) {
+      return { route: DIRECT_ROUTE, wait: waitTime(routeBucket(DIRECT_ROUTE), now) };
+    }
+    const proxy = settings.getProxy(candidate => waitTime(routeBucket(candidate), now) === 0);
+    if (proxy) return { route: proxy, wait: 0 };
+    // Every proxy is busy or paused: wait for the first one to free up
+    let wait = Infinity;
+    routeBuckets.forEach((bucket, route) => {
+      if (route !== DIRECT_ROUTE) wait = Math.min(wait, waitTime(bucket, now));
+    });
+    return { route: null, wait: wait === Infinity || wait === 0 ? 1000 : wait };
+  }
+
+  // Pick the API key for a request: its own key, or the first usable key with a free token that has not refused it
+  // Returns { apiKey, wait }, or { error } when every usable key already refused this request
+  function pickKey(task, now) {
+    if (task.apiKey !== undefined) {
+      return { apiKey: task.apiKey, wait: waitTime(keyBucket(task.apiKey), now) };
+    }
+    const usable = settings.getApiKeys();
+    if (usable.length === 0) {
+      // No key pool (or every key disabled): the provider decides which key to send
+      return { apiKey: null, wait: waitTime(keyBucket(null), now) };
+    }
+    const candidates = usable.filter(apiKey => !task.failedKeys.has(apiKey));
+    if (candidates.length === 0) return { error: task.lastError };
+    let wait = Infinity;
+    for (const apiKey of candidates) {
+      const keyWait = waitTime(keyBucket(apiKey), now);
+      if (keyWait === 0) return { apiKey, wait: 0 };
+      wait = Math.min(wait, keyWait);
+    }
+    return { apiKey: null, wait };
+  }
+
+  // A sooner wake-up replaces a later one, so a long pause of one key does not hold up the others
+  function wake(delay) {
+    const due = Date.now() + delay;
+    if (timer) {
+      if (due >= timerDue) return;
+      clearTimeout(timer);
+    }
+    timerDue = due;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, delay);
+  }
+
+  // Start queued requests while slots are free; a request waiting for its key does not hold up the others
+  function pump() {
+    const now = Date.now();
+    pruneBuckets(now);
+    let wait = Infinity;
+
+    for (const priority of PRIORITIES) {
+      const lane = lanes[priority];
+      for (let index = 0; index < lane.length && index < MAX_SCAN && running < settings.concurrency; index++) {
+        const task = lane[index];
+        const key = pickKey(task, now);
+        if (key.error) {
+          lane.splice(index--, 1);
+          task.reject(key.error);
+          continue;
+        }
+        if (key.wait > 0) {
+          wait = Math.min(wait, key.wait);
+          continue;
+        }
+        const route = pickRoute(now);
+        if (route.wait > 0) {
+          // Routes are shared by every request, so nothing else can start either
+          return wake(route.wait);
+        }
+
+        const keyState = keyBucket(key.apiKey);
+        const routeState = routeBucket(route.route);
+        keyState.tokens -= 1;
+        routeState.tokens -= 1;
+        keyState.lastUsedAt = now;
+        routeState.lastUsedAt = now;
+        lane.splice(index--, 1);
+        run(task, { apiKey: key.apiKey, proxy: route.route === DIRECT_ROUTE ? null : route.route }, keyState, routeState);
+      }
+    }
+
+    if (wait !== Infinity && lanes.interactive.length + lanes.background.length > 0) wake(wait);
+  }
+
+  function report(apiKey, result) {
+    if (apiKey !== null && settings.reportApiKey) settings.reportApiKey(apiKey, result);
+  }
+
+  async function run(task, route, key, bucket) {
+    running++;
+    task.attempts++;
+    let timeout;
+    try {
+      const result = await Promise.race([
+        context.run(route, task.fn),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error('Request timed out')), settings.timeout);
+        })
+      ]);
+      recover(key);
+      recover(bucket);
+      report(route.apiKey, { ok: true, status: null, error: null });
+      task.resolve(result);
+    } catch (error) {
+      const status = error.response?.status;
+      report(route.apiKey, { ok: false, status: status || null, error: error.message });
+      if (status === 429) {
+        // Limits are usually per key: the key waits out Retry-After, the route only backs off briefly
+        // (growing with every 429 in a row, in case the limit is on the address after all)
+        penalize(key, parseRetryAfter(error.response.headers));
+        penalize(bucket, null);
+      } else if (status === 503) {
+        const retryAfter = parseRetryAfter(error.response.headers);
+        if (retryAfter !== null) bucket.blockedUntil = Date.now() + retryAfter;
+      }
+      // Requests free to use any key do not try a refused key again; after a 429 the paused bucket
+      // already sends them to other keys first
+      if (task.apiKey === undefined && route.apiKey !== null && (status === 401 || status === 403)) {
+        task.failedKeys.add(route.apiKey);
+      }
+      task.lastError = error;
+
+      if (shouldRetry(task, error, route)) {
+        console.warn(`Request ${status === 429 ? 'rate limited' : 'failed'}, retrying ` +
+          `(attempt ${task.attempts}/${maxAttempts()})${error.response ? '' : `: ${error.message}`}`);
+        // Retries go back to the front of their lane
+        lanes[task.priority].unshift(task);
+      } else {
+        task.reject(error);
+      }
+    } finally {
+      clearTimeout(timeout);
+      running--;
+      pump();
+    }
+  }
+
+  function maxAttempts() {
+    return Math.max(settings.maxRetries, settings.getProxyCount(), settings.getApiKeys().length);
+  }
+
+  function shouldRetry(task, error, route) {
+    if (task.attempts >= maxAttempts()) return false;
+    const status = error.response?.status;
+    if (status === 429) return true;
+    // A refused key: only worth retrying with another one
+    if (status === 401 || status === 403) return task.failedKeys.has(route.apiKey);
+    if (status === 503) return task.idempotent;
+    // No answer at all: a broken proxy, a reset connection or the timeout above
+    return !status && task.idempotent && Boolean(route.proxy || error.code);
+  }
+
+  // 429: pause for Retry-After (or a growing backoff) and halve the rate
+  function penalize(bucket, retryAfter) {
+    bucket.strikes++;
+    const delay = retryAfter !== null
+      ? retryAfter
+      : Math.min(MAX_BACKOFF, 1000 * Math.pow(2, bucket.strikes - 1));
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delay);
+    bucket.rate = Math.max(bucket.baseRate * MIN_RATE_FACTOR, bucket.rate / 2);
+    bucket.tokens = Math.min(bucket.tokens, 0);
+  }
+
+  // Each success gives back a tenth of the configured rate
+  function recover(bucket) {
+    bucket.strikes = 0;
+    if (bucket.rate < bucket.baseRate) {
+      bucket.rate = Math.min(bucket.baseRate, bucket.rate + bucket.baseRate * 0.1);
+    }
+  }
+
+  /**
+   * Queue a request
+   * @param {function} fn - async () => result; the provider call
+   * @param {object} [taskOptions]
+   * @param {string} [taskOptions.priority='interactive'] - "interactive" or "background"
+   * @param {boolean} [taskOptions.idempotent=true] - False for calls that must not be repeated after
+   *   the request may have reached the API (only 429s are retried then)
+   * @param {string} [taskOptions.apiKey] - ID of the key the request must use; by default any usable key
+   * @returns {Promise<*>} Result of fn
+   */
+  function schedule(fn, taskOptions = {}) {
+    const priority = PRIORITIES.includes(taskOptions.priority) ? taskOptions.priority : 'interactive';
+    return new Promise((resolve, reject) => {
+      lanes[priority].push({
+        fn,
+        priority,
+        idempotent: taskOptions.idempotent !== false,
+        apiKey: taskOptions.apiKey,
+        failedKeys: new Set(),
+        lastError: null,
+        attempts: 0,
+        resolve,
+        reject
+      });
+      pump();
+    });
+  }
+
+  /**
+   * Route of the request running in the current async context
+   * @returns {object|undefined} { apiKey, proxy } inside a scheduled call, undefined outside;
+   *   apiKey is a key ID, or null without a key pool
+   */
+  function getContext() {
+    return context.getStore();
+  }
+
+  /**
+   * Current load, for diagnostics
+   * @returns {object} { running, queued: { interactive, background }, pausedRoutes }
+   */
+  function getStats() {
+    const now = Date.now();
+    return {
+      running,
+      queued: { interactive: lanes.interactive.length, background: lanes.background.length },
+      pausedRoutes: [...routeBuckets.values()].filter(bucket => bucket.blockedUntil > now).length
+    };
+  }
+
+  return { schedule, getContext, getStats };
+}
+
+module.exports = {
+  PRIORITIES,
+  parseRetryAfter,
+  createScheduler
+};
@@ -0,0 +1,163 @@
+// HTTP Server Module
+// One local HTTP server for the Telegram webhook and the /healthz and /readyz probes
+// Check results are cached for a short while so frequent probes do not hit Telegram or the mail API each time
+
+const http = require('http');
+
+const CHECK_TIMEOUT = 5000;
+
+/**
+ * Wrap a health check so its result is cached
+ * @param {function} fn - async () => any; throwing (or taking longer than 5s) means unhealthy
+ * @param {number} ttl - How long a result is reused, in ms
+ * @returns {function} async () => { ok, latencyMs, checkedAt, error? }
+ */
+function createCheck(fn, ttl) {
+  let last = null;
+  let pending = null;
+
+  async function run() {
+    const started = Date.now();
+    let timeout;
+    try {
+      await Promise.race([
+        Promise.resolve().then(fn),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error('Timed out')), CHECK_TIMEOUT);
+        })
+      ]);
+      return { ok: true, latencyMs: Date.now() - started, checkedAt: new Date().toISOString() };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - started, checkedAt: new Date().toISOString(), error: error.message };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  return async function check() {
+    if (last && Date.now() - new Date(last.checkedAt).getTime() < ttl) {
+      return last;
+    }
+    // Probes arriving together share one run
+    if (!pending) {
+      pending = run().then(result => {
+        last = result;
+        pending = null;
+        return result;
+      });
+    }
+    return pending;
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the HTTP server
+ * @param {object} options
+ * @param {object} options.checks - { name: check } from createCheck()
+ * @param {string} [options.webhookPath] - Path Telegram posts updates to
+ * @param {function} [options.webhookHandler] - (req, res, next) from bot.webhookCallback(); checks path and secret itself
+ * @returns {object} { listen, close, getStatus }
+ */
+function createHttpServer(options) {
+  const checks = options.checks || {};
+  const startedAt = Date.now();
+
+  /**
+   * Run every check
+   * @returns {object} { ok, checks: { name: result } }
+   */
+  async function getStatus() {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => checks[name]()));
+    const status = {};
+    names.forEach((name, index) => {
+      status[name] = results[index];
+    });
+    return { ok: results.every(result => result.ok), checks: status };
+  }
+
+  async function handleRequest(req, res) {
+    const pathname = (req.url || '/').split('?')[0];
+
+    if (options.webhookHandler && pathname === options.webhookPath) {
+      // A wrong method or secret token ends up here
+      return options.webhookHandler(req, res, () => sendJson(res, 403, { error: 'Forbidden' }));
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (pathname === '/healthz') {
+      // Liveness: the process answers; components are reported but do not fail the probe
+      const status = await getStatus();
+      return sendJson(res, 200, {
+        status: status.ok ? 'ok' : 'degraded',
+        uptime: Math.round((Date.now() - startedAt) / 1000),
+        checks: status.checks
+      });
+    }
+
+    if (pathname === '/readyz') {
+      const status = await getStatus();
+      return sendJson(res, status.ok ? 200 : 503, {
+        status: status.ok ? 'ready' : 'not_ready',
+        checks: status.checks
+      });
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error('HTTP server error:', error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal error' });
+      } else if (!res.writableEnded) {
+        res.end();
+      }
+    });
+  });
+
+  /**
+   * Start listening
+   * @param {number} port - Port
+   * @param {string} [host] - Interface to bind
+   * @returns {Promise<void>}
+   */
+  function listen(port, host) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>}
+   */
+  function close() {
+    return new Promise(resolve => {
+      if (!server.listening) return resolve();
+      server.close(() => resolve());
+      // Keep-alive connections would hold close() open (Node 18.2+)
+      if (server.closeIdleConnections) server.closeIdleConnections();
+    });
+  }
+
+  return { listen, close, getStatus };
+}
+
+module.exports = {
+  createCheck,
+  createHttpServer
+};
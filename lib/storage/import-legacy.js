@@ -0,0 +1,74 @@
+// Legacy Importer
+// Copies users.json and proxies.json from older versions into the storage layer once
+// The old files are left untouched; run directly with --force to import them again:
+//   node lib/storage/import-legacy.js --force
+
+const fs = require('fs');
+const path = require('path');
+
+const databaseDir = path.join(__dirname, '..', '..', 'database');
+const IMPORT_SETTING = 'legacy_import';
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Import legacy JSON files into a storage
+ * @param {object} storage - Target storage
+ * @param {object} [options]
+ * @param {string} [options.usersPath] - Legacy users.json
+ * @param {string} [options.proxiesPath] - Legacy proxies.json
+ * @param {boolean} [options.force=false] - Import even if it already ran
+ * @returns {object|null} Import summary, or null when skipped
+ */
+function importLegacy(storage, options = {}) {
+  if (!options.force && storage.getSetting(IMPORT_SETTING)) return null;
+
+  const usersPath = options.usersPath || path.join(databaseDir, 'users.json');
+  const proxiesPath = options.proxiesPath || path.join(databaseDir, 'proxies.json');
+  const summary = { importedAt: new Date().toISOString(), users: 0, emails: 0, proxies: 0 };
+
+  const legacyUsers = readJson(usersPath)?.users || {};
+  Object.keys(legacyUsers).forEach(userId => {
+    const entry = legacyUsers[userId] || {};
+    storage.ensureUser(userId);
+    summary.users++;
+    if (entry.language) {
+      storage.setUserLanguage(userId, entry.language);
+    }
+    // Old files mixed settings and email IDs in one object; email IDs map to true
+    Object.keys(entry).forEach(key => {
+      if (entry[key] === true && !storage.getEmail(key)) {
+        storage.addEmail(userId, { id: key });
+        summary.emails++;
+      }
+    });
+  });
+
+  const legacyProxies = readJson(proxiesPath)?.proxies || [];
+  if (legacyProxies.length > 0) {
+    const current = storage.getProxies();
+    const merged = [...current, ...legacyProxies.filter(proxy => !current.includes(proxy))];
+    summary.proxies = merged.length - current.length;
+    storage.setProxies(merged);
+  }
+
+  storage.setSetting(IMPORT_SETTING, summary);
+  return summary;
+}
+
+module.exports = { importLegacy };
+
+if (require.main === module) {
+  require('dotenv').config();
+  // Opened without getStorage(), which would run the import itself first
+  const { openConfiguredStorage } = require('./index');
+  const storage = openConfiguredStorage();
+  const summary = importLegacy(storage, { force: process.argv.includes('--force') });
+  storage.close();
+  console.log(summary
+    ? `Imported ${summary.users} users, ${summary.emails} emails and ${summary.proxies} proxies`
+    : 'Legacy files were already imported (use --force to import again)');
+}
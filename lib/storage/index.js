@@ -0,0 +1,104 @@
+// Storage Module
+// Single entry point for persistent data: users, emails, settings, proxies, sessions, callback tokens,
+// forwarding targets, usage tiers, the email creation log, the API key pool, expiry reminders,
+// email labels, notes and unread counts, the message archive, user preferences and timezones
+// The backend is picked with STORAGE_BACKEND (json or sqlite) and opened once per process
+//
+// Storage interface (synchronous):
+//   getUser(userId) / ensureUser(userId) / setUserLanguage(userId, language) / setUserTier(userId, tier)
+//   setUserTimezone(userId, timezone)
+//   setUserArchiveOptOut(userId, optOut) / setUserPreferences(userId, preferences)
+//   listUsers()
+//   addEmail(userId, { id, address, domain, createdAt, expiresAt, apiKeyId })
+//   getEmail(emailId) / getUserEmails(userId) / removeEmail(emailId)
+//   updateEmail(emailId, { expiresAt, remindedAt, label, note, unread })
+//   getEmailsExpiringBefore(isoDate) (oldest expiry first)
+//   countEmailsByApiKey() -> { apiKeyId: count } (emails without a key under "") / assignApiKeyToEmails(apiKeyId) (emails without a key)
+//   recordEmailCreation(userId, isoDate) / getEmailCreations(userId, sinceIso) -> [isoDate]
+//   deleteEmailCreationsBefore(isoDate)
+//   getSetting(key, fallback) / setSetting(key, value)
+//   getProxies() / setProxies(urls)
+//   getApiKeys() -> [{ id, key, label, enabled, usage, addedAt }] / addApiKey({ id, key, label })
+//   updateApiKey(id, { label, enabled, usage }) / removeApiKey(id)
+//   archiveMessage({ emailId, messageId, userId, address, fromAddress, subject, text, html, receivedAt })
+//   getArchivedMessage(emailId, messageId) / countArchivedMessages(userId) / deleteUserArchive(userId)
+//   searchArchive(userId, terms, limit) (every term in sender, subject or body; newest first)
+//   deleteArchivedMessagesBefore(isoDate) (by received date)
+//   getSession(userId) -> { data, updatedAt } / setSession(userId, data) / deleteSessionsBefore(isoDate)
+//   getCallbackToken(token) -> { token, userId, payload, expiresAt }
+//   saveCallbackToken(token, userId, payload, expiresAt) / deleteExpiredCallbackTokens(isoDate)
+//   getForward(id) / getForwards(emailId) / removeForward(id)
+//   addForward({ id, emailId, chatId, chatTitle, fromFilter, subjectFilter }) / updateForward(id, changes)
+//   getSchemaVersion() / close()
+
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+const { importLegacy } = require('./import-legacy');
+
+const defaultPaths = {
+  json: 'database/storage.json',
+  sqlite: 'database/vunmail.db'
+};
+
+let storage = null;
+
+/**
+ * Open a storage backend
+ * @param {string} backend - "json" or "sqlite"
+ * @param {string} filePath - File to store data in
+ * @returns {object} Storage
+ */
+function openStorage(backend, filePath) {
+  if (backend === 'json') return createJsonStorage(filePath);
+  if (backend === 'sqlite') return createSqliteStorage(filePath);
+  throw new Error(`Unknown storage backend "${backend}". Available: json, sqlite`);
+}
+
+/**
+ * Open the store configured with STORAGE_BACKEND / STORAGE_PATH, without the legacy import
+ * @returns {object} Storage
+ */
+function openConfiguredStorage() {
+  const backend = process.env.STORAGE_BACKEND || 'json';
+  const configuredPath = process.env.STORAGE_PATH || defaultPaths[backend] || '';
+  const filePath = configuredPath === ':memory:'
+    ? configuredPath
+    : path.resolve(__dirname, '..', '..', configuredPath);
+  return openStorage(backend, filePath);
+}
+
+/**
+ * Get the shared storage, opening it on first use
+ * Legacy users.json / proxies.json are imported the first time a store is opened.
+ * @returns {object} Storage
+ */
+function getStorage() {
+  if (storage) return storage;
+
+  storage = openConfiguredStorage();
+
+  const summary = importLegacy(storage);
+  if (summary) {
+    console.log(`Imported legacy data: ${summary.users} users, ${summary.emails} emails, ${summary.proxies} proxies`);
+  }
+
+  return storage;
+}
+
+/**
+ * Close the shared storage
+ */
+function closeStorage() {
+  if (storage) {
+    storage.close();
+    storage = null;
+  }
+}
+
+module.exports = {
+  getStorage,
+  closeStorage,
+  openStorage,
+  openConfiguredStorage
+};
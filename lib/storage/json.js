@@ -0,0 +1,521 @@
+// JSON Storage Backend
+// Keeps the whole store in memory and writes it to one JSON file shortly after a change; changes made in the
+// meantime share that write. Pending changes are written on close() and when the process exits
+// Writes go to a temporary file first and are renamed into place, so a crash never leaves half a file
+// Archived messages are too large to rewrite with the document: each is its own file next to the store (<file>.archive/)
+
+const fs = require('fs');
+const path = require('path');
+const { getPendingMigrations } = require('./migrations');
+
+const SAVE_DELAY = 1000;
+
+function toEmail(row) {
+  return row ? { ...row } : null;
+}
+
+/**
+ * Create a JSON file storage
+ * @param {string} filePath - Store file, or ":memory:" to keep nothing on disk
+ * @returns {object} Storage
+ */
+function createJsonStorage(filePath) {
+  const inMemory = filePath === ':memory:';
+  const archiveDir = inMemory ? null : `${filePath}.archive`;
+  let doc = { schemaVersion: 0 };
+
+  if (!inMemory && fs.existsSync(filePath)) {
+    doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  const archive = loadArchive();
+  let saveTimer = null;
+
+  function writeFile(target, content) {
+    const dir = path.dirname(target);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tempPath = `${target}.tmp`;
+    fs.writeFileSync(tempPath, content, 'utf8');
+    fs.renameSync(tempPath, target);
+  }
+
+  function save() {
+    if (inMemory || saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY);
+    saveTimer.unref();
+  }
+
+  function flush() {
+    if (!saveTimer) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    writeFile(filePath, JSON.stringify(doc, null, 2));
+  }
+
+  if (!inMemory) process.on('exit', flush);
+
+  function archiveFile(key) {
+    return path.join(archiveDir, `${encodeURIComponent(key)}.json`);
+  }
+
+  function loadArchive() {
+    const loaded = {};
+    if (inMemory || !fs.existsSync(archiveDir)) return loaded;
+    fs.readdirSync(archiveDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const message = JSON.parse(fs.readFileSync(path.join(archiveDir, file), 'utf8'));
+          loaded[`${message.emailId}:${message.messageId}`] = message;
+        } catch (error) {
+          console.error(`Error loading archived message ${file}:`, error.message);
+        }
+      });
+    return loaded;
+  }
+
+  function saveArchived(key) {
+    if (inMemory) return;
+    writeFile(archiveFile(key), JSON.stringify(archive[key]));
+  }
+
+  function removeArchivedFile(key) {
+    if (inMemory) return;
+    fs.rmSync(archiveFile(key), { force: true });
+  }
+
+  function migrate() {
+    const pending = getPendingMigrations(doc.schemaVersion || 0);
+    if (pending.length === 0) return;
+    pending.forEach(migration => {
+      migration.json(doc);
+      doc.schemaVersion = migration.version;
+      console.log(`Storage migrated to v${migration.version}: ${migration.description}`);
+    });
+    save();
+  }
+
+  migrate();
+
+  // Stores written before the archive had its own files kept it inside the document
+  if (doc.archivedMessages) {
+    Object.entries(doc.archivedMessages).forEach(([key, message]) => {
+      archive[key] = message;
+      saveArchived(key);
+    });
+    delete doc.archivedMessages;
+    save();
+  }
+
+  // ---------- Users ----------
+
+  function getUser(userId) {
+    const user = doc.users[String(userId)];
+    return user ? { ...user, preferences: user.preferences ? { ...user.preferences } : null } : null;
+  }
+
+  function ensureUser(userId) {
+    const id = String(userId);
+    if (!doc.users[id]) {
+      doc.users[id] = { id, language: null, tier: null, timezone: null, archiveOptOut: false, preferences: null, joinDate: new Date().toISOString() };
+      save();
+    }
+    return getUser(id);
+  }
+
+  function setUserLanguage(userId, language) {
+    ensureUser(userId);
+    doc.users[String(userId)].language = language;
+    save();
+  }
+
+  function setUserTier(userId, tier) {
+    ensureUser(userId);
+    doc.users[String(userId)].tier = tier || null;
+    save();
+  }
+
+  function setUserTimezone(userId, timezone) {
+    ensureUser(userId);
+    doc.users[String(userId)].timezone = timezone || null;
+    save();
+  }
+
+  function setUserArchiveOptOut(userId, optOut) {
+    ensureUser(userId);
+    doc.users[String(userId)].archiveOptOut = Boolean(optOut);
+    save();
+  }
+
+  function setUserPreferences(userId, preferences) {
+    ensureUser(userId);
+    doc.users[String(userId)].preferences = preferences ? { ...preferences } : null;
+    save();
+  }
+
+  function listUsers() {
+    return Object.values(doc.users).map(user => ({ ...user }));
+  }
+
+  // ---------- Emails ----------
+
+  function addEmail(userId, email) {
+    ensureUser(userId);
+    doc.emails[email.id] = {
+      id: email.id,
+      userId: String(userId),
+      address: email.address || null,
+      domain: email.domain || null,
+      createdAt: email.createdAt || new Date().toISOString(),
+      expiresAt: email.expiresAt || null,
+      apiKeyId: email.apiKeyId || null,
+      remindedAt: null,
+      label: null,
+      note: null,
+      unread: 0
+    };
+    save();
+  }
+
+  function getEmail(emailId) {
+    return toEmail(doc.emails[emailId]);
+  }
+
+  function getUserEmails(userId) {
+    const id = String(userId);
+    return Object.values(doc.emails)
+      .filter(email => email.userId === id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(toEmail);
+  }
+
+  function updateEmail(emailId, changes) {
+    const email = doc.emails[emailId];
+    if (!email) return false;
+    ['expiresAt', 'remindedAt', 'label', 'note'].forEach(field => {
+      if (changes[field] !== undefined) email[field] = changes[field] || null;
+    });
+    if (changes.unread !== undefined) email.unread = changes.unread || 0;
+    save();
+    return true;
+  }
+
+  function removeEmail(emailId) {
+    if (!doc.emails[emailId]) return false;
+    delete doc.emails[emailId];
+    Object.keys(doc.forwards).forEach(id => {
+      if (doc.forwards[id].emailId === emailId) delete doc.forwards[id];
+    });
+    save();
+    return true;
+  }
+
+  function getEmailsExpiringBefore(isoDate) {
+    return Object.values(doc.emails)
+      .filter(email => email.expiresAt && email.expiresAt <= isoDate)
+      .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt))
+      .map(toEmail);
+  }
+
+  function countEmailsByApiKey() {
+    const counts = {};
+    Object.values(doc.emails).forEach(email => {
+      const id = email.apiKeyId || '';
+      counts[id] = (counts[id] || 0) + 1;
+    });
+    return counts;
+  }
+
+  function assignApiKeyToEmails(apiKeyId) {
+    const unassigned = Object.values(doc.emails).filter(email => !email.apiKeyId);
+    unassigned.forEach(email => {
+      email.apiKeyId = apiKeyId;
+    });
+    if (unassigned.length > 0) save();
+    return unassigned.length;
+  }
+
+  // ---------- Email creation log ----------
+
+  function recordEmailCreation(userId, isoDate) {
+    doc.emailCreations.push({ userId: String(userId), createdAt: isoDate });
+    save();
+  }
+
+  function getEmailCreations(userId, sinceIso) {
+    const id = String(userId);
+    return doc.emailCreations
+      .filter(entry => entry.userId === id && entry.createdAt >= sinceIso)
+      .map(entry => entry.createdAt)
+      .sort();
+  }
+
+  function deleteEmailCreationsBefore(isoDate) {
+    const before = doc.emailCreations.length;
+    doc.emailCreations = doc.emailCreations.filter(entry => entry.createdAt >= isoDate);
+    const removed = before - doc.emailCreations.length;
+    if (removed > 0) save();
+    return removed;
+  }
+
+  // ---------- Settings ----------
+
+  function getSetting(key, fallback = null) {
+    return Object.prototype.hasOwnProperty.call(doc.settings, key) ? doc.settings[key] : fallback;
+  }
+
+  function setSetting(key, value) {
+    doc.settings[key] = value;
+    save();
+  }
+
+  // ---------- Proxies ----------
+
+  function getProxies() {
+    return doc.proxies.map(proxy => proxy.url);
+  }
+
+  function setProxies(urls) {
+    const addedAt = {};
+    doc.proxies.forEach(proxy => {
+      addedAt[proxy.url] = proxy.addedAt;
+    });
+    doc.proxies = urls.map(url => ({ url, addedAt: addedAt[url] || new Date().toISOString() }));
+    save();
+  }
+
+  // ---------- API keys ----------
+
+  function getApiKeys() {
+    return Object.values(doc.apiKeys)
+      .sort((a, b) => a.addedAt.localeCompare(b.addedAt))
+      .map(apiKey => ({ ...apiKey }));
+  }
+
+  function addApiKey(apiKey) {
+    doc.apiKeys[apiKey.id] = {
+      id: apiKey.id,
+      key: apiKey.key,
+      label: apiKey.label || null,
+      enabled: true,
+      usage: null,
+      addedAt: new Date().toISOString()
+    };
+    save();
+  }
+
+  function updateApiKey(id, changes) {
+    if (!doc.apiKeys[id]) return false;
+    ['label', 'enabled', 'usage'].forEach(field => {
+      if (changes[field] !== undefined) doc.apiKeys[id][field] = changes[field];
+    });
+    save();
+    return true;
+  }
+
+  function removeApiKey(id) {
+    if (!doc.apiKeys[id]) return false;
+    delete doc.apiKeys[id];
+    save();
+    return true;
+  }
+
+  // ---------- Message archive ----------
+
+  function archiveMessage(message) {
+    const key = `${message.emailId}:${message.messageId}`;
+    archive[key] = {
+      emailId: message.emailId,
+      messageId: message.messageId,
+      userId: String(message.userId),
+      address: message.address || null,
+      fromAddress: message.fromAddress || null,
+      subject: message.subject || null,
+      text: message.text || null,
+      html: message.html || null,
+      receivedAt: message.receivedAt || new Date().toISOString(),
+      archivedAt: new Date().toISOString()
+    };
+    saveArchived(key);
+  }
+
+  function getArchivedMessage(emailId, messageId) {
+    const message = archive[`${emailId}:${messageId}`];
+    return message ? { ...message } : null;
+  }
+
+  function searchArchive(userId, terms, limit) {
+    const id = String(userId);
+    const wanted = terms.map(term => String(term).toLowerCase());
+    return Object.values(archive)
+      .filter(message => message.userId === id)
+      .filter(message => {
+        // Every term must appear in the sender, subject or body
+        const haystack = `${message.fromAddress || ''} ${message.subject || ''} ${message.text || ''}`.toLowerCase();
+        return wanted.every(term => haystack.includes(term));
+      })
+      .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+      .slice(0, limit)
+      .map(message => ({ ...message }));
+  }
+
+  function countArchivedMessages(userId) {
+    const id = String(userId);
+    return Object.values(archive).filter(message => message.userId === id).length;
+  }
+
+  function removeArchivedWhere(predicate) {
+    const keys = Object.keys(archive).filter(key => predicate(archive[key]));
+    keys.forEach(key => {
+      delete archive[key];
+      removeArchivedFile(key);
+    });
+    return keys.length;
+  }
+
+  function deleteUserArchive(userId) {
+    const id = String(userId);
+    return removeArchivedWhere(message => message.userId === id);
+  }
+
+  function deleteArchivedMessagesBefore(isoDate) {
+    return removeArchivedWhere(message => message.receivedAt < isoDate);
+  }
+
+  // ---------- Sessions ----------
+
+  function getSession(userId) {
+    const session = doc.sessions[String(userId)];
+    return session ? { data: session.data, updatedAt: session.updatedAt } : null;
+  }
+
+  function setSession(userId, data) {
+    doc.sessions[String(userId)] = { data, updatedAt: new Date().toISOString() };
+    save();
+  }
+
+  function deleteSessionsBefore(isoDate) {
+    const stale = Object.keys(doc.sessions).filter(id => doc.sessions[id].updatedAt < isoDate);
+    stale.forEach(id => delete doc.sessions[id]);
+    if (stale.length > 0) save();
+    return stale.length;
+  }
+
+  // ---------- Callback tokens ----------
+
+  function getCallbackToken(token) {
+    const entry = doc.callbackTokens[token];
+    return entry ? { token, ...entry } : null;
+  }
+
+  function saveCallbackToken(token, userId, payload, expiresAt) {
+    doc.callbackTokens[token] = { userId: String(userId), payload, expiresAt };
+    save();
+  }
+
+  function deleteExpiredCallbackTokens(isoDate) {
+    const expired = Object.keys(doc.callbackTokens).filter(token => doc.callbackTokens[token].expiresAt <= isoDate);
+    expired.forEach(token => delete doc.callbackTokens[token]);
+    if (expired.length > 0) save();
+    return expired.length;
+  }
+
+  // ---------- Forwards ----------
+
+  function getForward(id) {
+    const forward = doc.forwards[id];
+    return forward ? { ...forward } : null;
+  }
+
+  function getForwards(emailId) {
+    return Object.values(doc.forwards)
+      .filter(forward => forward.emailId === emailId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(forward => ({ ...forward }));
+  }
+
+  function addForward(forward) {
+    doc.forwards[forward.id] = {
+      id: forward.id,
+      emailId: forward.emailId,
+      chatId: String(forward.chatId),
+      chatTitle: forward.chatTitle || null,
+      fromFilter: forward.fromFilter || null,
+      subjectFilter: forward.subjectFilter || null,
+      createdAt: forward.createdAt || new Date().toISOString()
+    };
+    save();
+  }
+
+  function updateForward(id, changes) {
+    if (!doc.forwards[id]) return false;
+    ['chatTitle', 'fromFilter', 'subjectFilter'].forEach(key => {
+      if (changes[key] !== undefined) doc.forwards[id][key] = changes[key] || null;
+    });
+    save();
+    return true;
+  }
+
+  function removeForward(id) {
+    if (!doc.forwards[id]) return false;
+    delete doc.forwards[id];
+    save();
+    return true;
+  }
+
+  return {
+    backend: 'json',
+    getSchemaVersion: () => doc.schemaVersion,
+    getUser,
+    ensureUser,
+    setUserLanguage,
+    setUserTier,
+    setUserTimezone,
+    setUserArchiveOptOut,
+    setUserPreferences,
+    listUsers,
+    addEmail,
+    getEmail,
+    getUserEmails,
+    updateEmail,
+    removeEmail,
+    getEmailsExpiringBefore,
+    countEmailsByApiKey,
+    assignApiKeyToEmails,
+    recordEmailCreation,
+    getEmailCreations,
+    deleteEmailCreationsBefore,
+    getSetting,
+    setSetting,
+    getProxies,
+    setProxies,
+    getApiKeys,
+    addApiKey,
+    updateApiKey,
+    removeApiKey,
+    archiveMessage,
+    getArchivedMessage,
+    searchArchive,
+    countArchivedMessages,
+    deleteUserArchive,
+    deleteArchivedMessagesBefore,
+    getSession,
+    setSession,
+    deleteSessionsBefore,
+    getCallbackToken,
+    saveCallbackToken,
+    deleteExpiredCallbackTokens,
+    getForward,
+    getForwards,
+    addForward,
+    updateForward,
+    removeForward,
+    close: () => {
+      flush();
+      process.removeListener('exit', flush);
+    }
+  };
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,230 @@
+// Storage Migrations
+// Versioned schema changes shared by every storage backend
+//
+// Each migration carries the SQL for the SQLite backend and a function that
+// applies the same change to the document kept by the JSON backend.
+// Append new migrations at the end; never edit one that has been released.
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Users, emails, settings and proxies',
+    sql: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        language TEXT,
+        join_date TEXT NOT NULL
+      );
+      CREATE TABLE emails (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        address TEXT,
+        domain TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT
+      );
+      CREATE INDEX idx_emails_user ON emails(user_id);
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+      CREATE TABLE proxies (
+        url TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        added_at TEXT NOT NULL
+      );
+    `,
+    json(doc) {
+      doc.users = {};
+      doc.emails = {};
+      doc.settings = {};
+      doc.proxies = [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Sessions and callback tokens',
+    sql: `
+      CREATE TABLE sessions (
+        user_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE callback_tokens (
+        token TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_callback_tokens_expiry ON callback_tokens(expires_at);
+    `,
+    json(doc) {
+      doc.sessions = {};
+      doc.callbackTokens = {};
+    }
+  },
+  {
+    version: 3,
+    description: 'Mail forwarding targets',
+    sql: `
+      CREATE TABLE forwards (
+        id TEXT PRIMARY KEY,
+        email_id TEXT NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+        chat_id TEXT NOT NULL,
+        chat_title TEXT,
+        from_filter TEXT,
+        subject_filter TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_forwards_email ON forwards(email_id);
+    `,
+    json(doc) {
+      doc.forwards = {};
+    }
+  },
+  {
+    version: 4,
+    description: 'Usage tiers and email creation log',
+    sql: `
+      ALTER TABLE users ADD COLUMN tier TEXT;
+      CREATE TABLE email_creations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_email_creations_user ON email_creations(user_id, created_at);
+    `,
+    json(doc) {
+      Object.values(doc.users).forEach(user => {
+        user.tier = null;
+      });
+      doc.emailCreations = [];
+    }
+  },
+  {
+    version: 5,
+    description: 'API key pool',
+    sql: `
+      CREATE TABLE api_keys (
+        id TEXT PRIMARY KEY,
+        key TEXT NOT NULL UNIQUE,
+        label TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        usage TEXT,
+        added_at TEXT NOT NULL
+      );
+      ALTER TABLE emails ADD COLUMN api_key_id TEXT;
+      CREATE INDEX idx_emails_api_key ON emails(api_key_id);
+    `,
+    json(doc) {
+      doc.apiKeys = {};
+      Object.values(doc.emails).forEach(email => {
+        email.apiKeyId = null;
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Expiry reminders',
+    sql: `
+      ALTER TABLE emails ADD COLUMN reminded_at TEXT;
+      CREATE INDEX idx_emails_expires ON emails(expires_at);
+    `,
+    json(doc) {
+      Object.values(doc.emails).forEach(email => {
+        email.remindedAt = null;
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Email labels, notes and unread counts',
+    sql: `
+      ALTER TABLE emails ADD COLUMN label TEXT;
+      ALTER TABLE emails ADD COLUMN note TEXT;
+      ALTER TABLE emails ADD COLUMN unread INTEGER NOT NULL DEFAULT 0;
+    `,
+    json(doc) {
+      Object.values(doc.emails).forEach(email => {
+        email.label = null;
+        email.note = null;
+        email.unread = 0;
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Message archive',
+    sql: `
+      ALTER TABLE users ADD COLUMN archive_opt_out INTEGER NOT NULL DEFAULT 0;
+      CREATE TABLE archived_messages (
+        email_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        address TEXT,
+        from_address TEXT,
+        subject TEXT,
+        text TEXT,
+        html TEXT,
+        received_at TEXT NOT NULL,
+        archived_at TEXT NOT NULL,
+        PRIMARY KEY (email_id, message_id)
+      );
+      CREATE INDEX idx_archived_messages_user ON archived_messages(user_id, received_at);
+      CREATE INDEX idx_archived_messages_received ON archived_messages(received_at);
+    `,
+    json(doc) {
+      Object.values(doc.users).forEach(user => {
+        user.archiveOptOut = false;
+      });
+      doc.archivedMessages = {};
+    }
+  },
+  {
+    version: 9,
+    description: 'User preferences',
+    sql: `
+      ALTER TABLE users ADD COLUMN preferences TEXT;
+    `,
+    json(doc) {
+      Object.values(doc.users).forEach(user => {
+        user.preferences = null;
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'User timezones',
+    sql: `
+      ALTER TABLE users ADD COLUMN timezone TEXT;
+    `,
+    json(doc) {
+      Object.values(doc.users).forEach(user => {
+        user.timezone = null;
+      });
+    }
+  }
+];
+
+/**
+ * Get migrations newer than a schema version
+ * @param {number} currentVersion - Version the store is at
+ * @returns {array} Pending migrations in order
+ */
+function getPendingMigrations(currentVersion) {
+  return migrations.filter(migration => migration.version > currentVersion);
+}
+
+/**
+ * Get the newest schema version
+ * @returns {number} Latest version
+ */
+function getLatestVersion() {
+  return migrations[migrations.length - 1].version;
+}
+
+module.exports = {
+  migrations,
+  getPendingMigrations,
+  getLatestVersion
+};
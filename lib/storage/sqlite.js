@@ -0,0 +1,485 @@
+// SQLite Storage Backend
+// Stores everything in a single SQLite database through better-sqlite3
+// Every write is its own transaction, so concurrent handlers can no longer overwrite each other
+
+const fs = require('fs');
+const path = require('path');
+const { getPendingMigrations } = require('./migrations');
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+  }
+}
+
+function toUser(row) {
+  return row ? {
+    id: row.id,
+    language: row.language,
+    tier: row.tier,
+    archiveOptOut: Boolean(row.archive_opt_out),
+    preferences: row.preferences ? JSON.parse(row.preferences) : null,
+    timezone: row.timezone,
+    joinDate: row.join_date
+  } : null;
+}
+
+function toArchivedMessage(row) {
+  return row ? {
+    emailId: row.email_id,
+    messageId: row.message_id,
+    userId: row.user_id,
+    address: row.address,
+    fromAddress: row.from_address,
+    subject: row.subject,
+    text: row.text,
+    html: row.html,
+    receivedAt: row.received_at,
+    archivedAt: row.archived_at
+  } : null;
+}
+
+// LIKE pattern matching a term anywhere; \ escapes the wildcards
+function likePattern(term) {
+  return `%${String(term).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+function toForward(row) {
+  return row ? {
+    id: row.id,
+    emailId: row.email_id,
+    chatId: row.chat_id,
+    chatTitle: row.chat_title,
+    fromFilter: row.from_filter,
+    subjectFilter: row.subject_filter,
+    createdAt: row.created_at
+  } : null;
+}
+
+function toEmail(row) {
+  return row ? {
+    id: row.id,
+    userId: row.user_id,
+    address: row.address,
+    domain: row.domain,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    apiKeyId: row.api_key_id,
+    remindedAt: row.reminded_at,
+    label: row.label,
+    note: row.note,
+    unread: row.unread
+  } : null;
+}
+
+function toApiKey(row) {
+  return row ? {
+    id: row.id,
+    key: row.key,
+    label: row.label,
+    enabled: Boolean(row.enabled),
+    usage: row.usage ? JSON.parse(row.usage) : null,
+    addedAt: row.added_at
+  } : null;
+}
+
+/**
+ * Create a SQLite storage
+ * @param {string} filePath - Database file, or ":memory:"
+ * @returns {object} Storage
+ */
+function createSqliteStorage(filePath) {
+  const Database = loadDriver();
+
+  if (filePath !== ':memory:') {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  function migrate() {
+    db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)');
+    const current = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+    getPendingMigrations(current).forEach(migration => {
+      db.transaction(() => {
+        db.exec(migration.sql);
+        db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)')
+          .run(migration.version, new Date().toISOString());
+      })();
+      console.log(`Storage migrated to v${migration.version}: ${migration.description}`);
+    });
+  }
+
+  migrate();
+
+  // ---------- Users ----------
+
+  function getUser(userId) {
+    return toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(String(userId)));
+  }
+
+  function ensureUser(userId) {
+    db.prepare('INSERT OR IGNORE INTO users (id, language, join_date) VALUES (?, NULL, ?)')
+      .run(String(userId), new Date().toISOString());
+    return getUser(userId);
+  }
+
+  function setUserLanguage(userId, language) {
+    ensureUser(userId);
+    db.prepare('UPDATE users SET language = ? WHERE id = ?').run(language, String(userId));
+  }
+
+  function setUserTier(userId, tier) {
+    ensureUser(userId);
+    db.prepare('UPDATE users SET tier = ? WHERE id = ?').run(tier || null, String(userId));
+  }
+
+  function setUserTimezone(userId, timezone) {
+    ensureUser(userId);
+    db.prepare('UPDATE users SET timezone = ? WHERE id = ?').run(timezone || null, String(userId));
+  }
+
+  function setUserArchiveOptOut(userId, optOut) {
+    ensureUser(userId);
+    db.prepare('UPDATE users SET archive_opt_out = ? WHERE id = ?').run(optOut ? 1 : 0, String(userId));
+  }
+
+  function setUserPreferences(userId, preferences) {
+    ensureUser(userId);
+    db.prepare('UPDATE users SET preferences = ? WHERE id = ?')
+      .run(preferences ? JSON.stringify(preferences) : null, String(userId));
+  }
+
+  function listUsers() {
+    return db.prepare('SELECT * FROM users ORDER BY join_date').all().map(toUser);
+  }
+
+  // ---------- Emails ----------
+
+  function addEmail(userId, email) {
+    ensureUser(userId);
+    db.prepare(`
+      INSERT OR REPLACE INTO emails (id, user_id, address, domain, created_at, expires_at, api_key_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      email.id,
+      String(userId),
+      email.address || null,
+      email.domain || null,
+      email.createdAt || new Date().toISOString(),
+      email.expiresAt || null,
+      email.apiKeyId || null
+    );
+  }
+
+  function getEmail(emailId) {
+    return toEmail(db.prepare('SELECT * FROM emails WHERE id = ?').get(emailId));
+  }
+
+  function getUserEmails(userId) {
+    return db.prepare('SELECT * FROM emails WHERE user_id = ? ORDER BY created_at')
+      .all(String(userId))
+      .map(toEmail);
+  }
+
+  function updateEmail(emailId, changes) {
+    const current = getEmail(emailId);
+    if (!current) return false;
+    const next = { ...current };
+    ['expiresAt', 'remindedAt', 'label', 'note', 'unread'].forEach(field => {
+      if (changes[field] !== undefined) next[field] = changes[field];
+    });
+    db.prepare('UPDATE emails SET expires_at = ?, reminded_at = ?, label = ?, note = ?, unread = ? WHERE id = ?')
+      .run(next.expiresAt || null, next.remindedAt || null, next.label || null, next.note || null, next.unread || 0, emailId);
+    return true;
+  }
+
+  function removeEmail(emailId) {
+    return db.prepare('DELETE FROM emails WHERE id = ?').run(emailId).changes > 0;
+  }
+
+  function getEmailsExpiringBefore(isoDate) {
+    return db.prepare('SELECT * FROM emails WHERE expires_at IS NOT NULL AND expires_at <= ? ORDER BY expires_at')
+      .all(isoDate)
+      .map(toEmail);
+  }
+
+  function countEmailsByApiKey() {
+    const counts = {};
+    db.prepare('SELECT api_key_id, COUNT(*) AS count FROM emails GROUP BY api_key_id')
+      .all()
+      .forEach(row => {
+        counts[row.api_key_id || ''] = row.count;
+      });
+    return counts;
+  }
+
+  function assignApiKeyToEmails(apiKeyId) {
+    return db.prepare('UPDATE emails SET api_key_id = ? WHERE api_key_id IS NULL').run(apiKeyId).changes;
+  }
+
+  // ---------- Email creation log ----------
+
+  function recordEmailCreation(userId, isoDate) {
+    db.prepare('INSERT INTO email_creations (user_id, created_at) VALUES (?, ?)').run(String(userId), isoDate);
+  }
+
+  function getEmailCreations(userId, sinceIso) {
+    return db.prepare('SELECT created_at FROM email_creations WHERE user_id = ? AND created_at >= ? ORDER BY created_at')
+      .all(String(userId), sinceIso)
+      .map(row => row.created_at);
+  }
+
+  function deleteEmailCreationsBefore(isoDate) {
+    return db.prepare('DELETE FROM email_creations WHERE created_at < ?').run(isoDate).changes;
+  }
+
+  // ---------- Settings ----------
+
+  function getSetting(key, fallback = null) {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : fallback;
+  }
+
+  function setSetting(key, value) {
+    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+  }
+
+  // ---------- Proxies ----------
+
+  function getProxies() {
+    return db.prepare('SELECT url FROM proxies ORDER BY position').all().map(row => row.url);
+  }
+
+  function setProxies(urls) {
+    db.transaction(() => {
+      const keep = new Set(urls);
+      db.prepare('SELECT url FROM proxies').all().forEach(row => {
+        if (!keep.has(row.url)) {
+          db.prepare('DELETE FROM proxies WHERE url = ?').run(row.url);
+        }
+      });
+      const upsert = db.prepare(`
+        INSERT INTO proxies (url, position, added_at) VALUES (?, ?, ?)
+        ON CONFLICT(url) DO UPDATE SET position = excluded.position
+      `);
+      urls.forEach((url, index) => upsert.run(url, index, new Date().toISOString()));
+    })();
+  }
+
+  // ---------- API keys ----------
+
+  function getApiKeys() {
+    return db.prepare('SELECT * FROM api_keys ORDER BY added_at').all().map(toApiKey);
+  }
+
+  function addApiKey(apiKey) {
+    db.prepare('INSERT INTO api_keys (id, key, label, enabled, usage, added_at) VALUES (?, ?, ?, 1, NULL, ?)')
+      .run(apiKey.id, apiKey.key, apiKey.label || null, new Date().toISOString());
+  }
+
+  function updateApiKey(id, changes) {
+    const current = toApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+    if (!current) return false;
+    const next = { ...current };
+    ['label', 'enabled', 'usage'].forEach(field => {
+      if (changes[field] !== undefined) next[field] = changes[field];
+    });
+    db.prepare('UPDATE api_keys SET label = ?, enabled = ?, usage = ? WHERE id = ?')
+      .run(next.label, next.enabled ? 1 : 0, next.usage ? JSON.stringify(next.usage) : null, id);
+    return true;
+  }
+
+  function removeApiKey(id) {
+    return db.prepare('DELETE FROM api_keys WHERE id = ?').run(id).changes > 0;
+  }
+
+  // ---------- Message archive ----------
+
+  function archiveMessage(message) {
+    db.prepare(`
+      INSERT OR REPLACE INTO archived_messages
+        (email_id, message_id, user_id, address, from_address, subject, text, html, received_at, archived_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      message.emailId,
+      message.messageId,
+      String(message.userId),
+      message.address || null,
+      message.fromAddress || null,
+      message.subject || null,
+      message.text || null,
+      message.html || null,
+      message.receivedAt || new Date().toISOString(),
+      new Date().toISOString()
+    );
+  }
+
+  function getArchivedMessage(emailId, messageId) {
+    return toArchivedMessage(db.prepare('SELECT * FROM archived_messages WHERE email_id = ? AND message_id = ?')
+      .get(emailId, messageId));
+  }
+
+  function searchArchive(userId, terms, limit) {
+    // Every term must appear in the sender, subject or body
+    const haystack = "(coalesce(from_address, '') || ' ' || coalesce(subject, '') || ' ' || coalesce(text, ''))";
+    const conditions = terms.map(() => `${haystack} LIKE ? ESCAPE '\\'`);
+    return db.prepare(`
+      SELECT * FROM archived_messages
+      WHERE user_id = ?${conditions.map(condition => ` AND ${condition}`).join('')}
+      ORDER BY received_at DESC
+      LIMIT ?
+    `).all(String(userId), ...terms.map(likePattern), limit).map(toArchivedMessage);
+  }
+
+  function countArchivedMessages(userId) {
+    return db.prepare('SELECT COUNT(*) AS count FROM archived_messages WHERE user_id = ?').get(String(userId)).count;
+  }
+
+  function deleteUserArchive(userId) {
+    return db.prepare('DELETE FROM archived_messages WHERE user_id = ?').run(String(userId)).changes;
+  }
+
+  function deleteArchivedMessagesBefore(isoDate) {
+    return db.prepare('DELETE FROM archived_messages WHERE received_at < ?').run(isoDate).changes;
+  }
+
+  // ---------- Sessions ----------
+
+  function getSession(userId) {
+    const row = db.prepare('SELECT data, updated_at FROM sessions WHERE user_id = ?').get(String(userId));
+    return row ? { data: JSON.parse(row.data), updatedAt: row.updated_at } : null;
+  }
+
+  function setSession(userId, data) {
+    db.prepare('INSERT OR REPLACE INTO sessions (user_id, data, updated_at) VALUES (?, ?, ?)')
+      .run(String(userId), JSON.stringify(data), new Date().toISOString());
+  }
+
+  function deleteSessionsBefore(isoDate) {
+    return db.prepare('DELETE FROM sessions WHERE updated_at < ?').run(isoDate).changes;
+  }
+
+  // ---------- Callback tokens ----------
+
+  function getCallbackToken(token) {
+    const row = db.prepare('SELECT * FROM callback_tokens WHERE token = ?').get(token);
+    return row ? {
+      token: row.token,
+      userId: row.user_id,
+      payload: JSON.parse(row.payload),
+      expiresAt: row.expires_at
+    } : null;
+  }
+
+  function saveCallbackToken(token, userId, payload, expiresAt) {
+    db.prepare('INSERT OR REPLACE INTO callback_tokens (token, user_id, payload, expires_at) VALUES (?, ?, ?, ?)')
+      .run(token, String(userId), JSON.stringify(payload), expiresAt);
+  }
+
+  function deleteExpiredCallbackTokens(isoDate) {
+    return db.prepare('DELETE FROM callback_tokens WHERE expires_at <= ?').run(isoDate).changes;
+  }
+
+  // ---------- Forwards ----------
+
+  function getForward(id) {
+    return toForward(db.prepare('SELECT * FROM forwards WHERE id = ?').get(id));
+  }
+
+  function getForwards(emailId) {
+    return db.prepare('SELECT * FROM forwards WHERE email_id = ? ORDER BY created_at')
+      .all(emailId)
+      .map(toForward);
+  }
+
+  function addForward(forward) {
+    db.prepare(`
+      INSERT INTO forwards (id, email_id, chat_id, chat_title, from_filter, subject_filter, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      forward.id,
+      forward.emailId,
+      String(forward.chatId),
+      forward.chatTitle || null,
+      forward.fromFilter || null,
+      forward.subjectFilter || null,
+      forward.createdAt || new Date().toISOString()
+    );
+  }
+
+  function updateForward(id, changes) {
+    const current = getForward(id);
+    if (!current) return false;
+    const next = { ...current };
+    ['chatTitle', 'fromFilter', 'subjectFilter'].forEach(key => {
+      if (changes[key] !== undefined) next[key] = changes[key] || null;
+    });
+    db.prepare('UPDATE forwards SET chat_title = ?, from_filter = ?, subject_filter = ? WHERE id = ?')
+      .run(next.chatTitle, next.fromFilter, next.subjectFilter, id);
+    return true;
+  }
+
+  function removeForward(id) {
+    return db.prepare('DELETE FROM forwards WHERE id = ?').run(id).changes > 0;
+  }
+
+  return {
+    backend: 'sqlite',
+    getSchemaVersion: () => db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0,
+    getUser,
+    ensureUser,
+    setUserLanguage,
+    setUserTier,
+    setUserTimezone,
+    setUserArchiveOptOut,
+    setUserPreferences,
+    listUsers,
+    addEmail,
+    getEmail,
+    getUserEmails,
+    updateEmail,
+    removeEmail,
+    getEmailsExpiringBefore,
+    countEmailsByApiKey,
+    assignApiKeyToEmails,
+    recordEmailCreation,
+    getEmailCreations,
+    deleteEmailCreationsBefore,
+    getSetting,
+    setSetting,
+    getProxies,
+    setProxies,
+    getApiKeys,
+    addApiKey,
+    updateApiKey,
+    removeApiKey,
+    archiveMessage,
+    getArchivedMessage,
+    searchArchive,
+    countArchivedMessages,
+    deleteUserArchive,
+    deleteArchivedMessagesBefore,
+    getSession,
+    setSession,
+    deleteSessionsBefore,
+    getCallbackToken,
+    saveCallbackToken,
+    deleteExpiredCallbackTokens,
+    getForward,
+    getForwards,
+    addForward,
+    updateForward,
+    removeForward,
+    close: () => db.close()
+  };
+}
+
+module.exports = { createSqliteStorage };
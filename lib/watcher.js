@@ -0,0 +1,170 @@
+// Mail Watcher Module
+// Polls tracked inboxes in the background and announces new messages
+// Remembers announced message IDs in database/notified.json so restarts stay quiet
+// A message is only recorded once announced; failed announcements are retried on the next polls, a few times at most
+
+const fs = require('fs');
+const path = require('path');
+
+const statePath = path.join(__dirname, '..', 'database', 'notified.json');
+const maxRememberedPerEmail = 200; // Inboxes rarely hold more; keeps the file small
+const maxNotifyAttempts = 3; // Then the message is given up on (e.g. the user blocked the bot)
+
+// Load announced message IDs from database
+function loadState() {
+  try {
+    if (fs.existsSync(statePath)) {
+      const data = fs.readFileSync(statePath, 'utf8');
+      const state = JSON.parse(data);
+      return { emails: state.emails || {}, failed: state.failed || {} };
+    }
+  } catch (error) {
+    console.error('Error loading watcher state:', error.message);
+  }
+  return { emails: {}, failed: {} };
+}
+
+// Save announced message IDs to database
+function saveState() {
+  try {
+    const dir = path.dirname(statePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving watcher state:', error.message);
+  }
+}
+
+let state = loadState();
+let timer = null;
+let running = false;
+let options = null;
+
+/**
+ * Check a single inbox and announce messages not seen before.
+ * The first time an inbox is seen its current messages are only recorded,
+ * so existing mail is not announced.
+ * @param {object} entry - Tracked email ({ userId, emailId, address })
+ * @returns {Promise<boolean>} Whether the state changed
+ */
+async function checkEmail(entry) {
+  const data = await options.getMessages(entry.emailId);
+  const messages = data?.messages || [];
+  const known = state.emails[entry.emailId];
+
+  if (!known) {
+    state.emails[entry.emailId] = messages.map(msg => msg.id);
+    return true;
+  }
+
+  const fresh = messages.filter(msg => !known.includes(msg.id));
+  // Failed attempts per message ID, rebuilt so messages gone from the inbox drop out
+  const previous = state.failed[entry.emailId] || {};
+  const failed = {};
+  if (fresh.length === 0) {
+    if (!state.failed[entry.emailId]) return false;
+    delete state.failed[entry.emailId];
+    return true;
+  }
+
+  // Announce oldest first so the chat reads in arrival order
+  for (const msg of fresh.reverse()) {
+    const attempts = previous[msg.id] || 0;
+    try {
+      await options.notify(entry, msg, { retry: attempts > 0 });
+    } catch (error) {
+      console.error(`Error notifying user ${entry.userId} (attempt ${attempts + 1}/${maxNotifyAttempts}):`, error.message);
+      if (attempts + 1 < maxNotifyAttempts) {
+        failed[msg.id] = attempts + 1;
+        continue;
+      }
+    }
+    known.push(msg.id);
+  }
+  if (Object.keys(failed).length > 0) {
+    state.failed[entry.emailId] = failed;
+  } else {
+    delete state.failed[entry.emailId];
+  }
+
+  if (known.length > maxRememberedPerEmail) {
+    known.splice(0, known.length - maxRememberedPerEmail);
+  }
+  return true;
+}
+
+/**
+ * Run one polling pass over every tracked email
+ */
+async function pollOnce() {
+  const tracked = await options.getTrackedEmails();
+  let changed = false;
+
+  for (const entry of tracked) {
+    try {
+      if (await checkEmail(entry)) changed = true;
+    } catch (error) {
+      console.error(`Error checking email ${entry.emailId}:`, error.message);
+    }
+  }
+
+  // Forget emails that are no longer tracked
+  const trackedIds = new Set(tracked.map(entry => entry.emailId));
+  Object.keys(state.emails).forEach(emailId => {
+    if (!trackedIds.has(emailId)) {
+      delete state.emails[emailId];
+      delete state.failed[emailId];
+      changed = true;
+    }
+  });
+
+  if (changed) saveState();
+}
+
+function scheduleNext() {
+  if (!running) return;
+  timer = setTimeout(async () => {
+    try {
+      await pollOnce();
+    } catch (error) {
+      console.error('Error polling inboxes:', error.message);
+    }
+    scheduleNext();
+  }, options.interval);
+}
+
+/**
+ * Start the background watcher
+ * @param {object} watcherOptions
+ * @param {function} watcherOptions.getTrackedEmails - Async, returns [{ userId, emailId, address }]
+ * @param {function} watcherOptions.getMessages - Async, returns { messages } for an email ID
+ * @param {function} watcherOptions.notify - Async, called with (entry, message, { retry }) for each new message;
+ *   a rejection leaves the message to be tried again on the next pass (retry is then true)
+ * @param {number} [watcherOptions.interval=60000] - Delay between polling passes in ms
+ */
+function startWatcher(watcherOptions) {
+  if (running) return;
+  options = { interval: 60000, ...watcherOptions };
+  running = true;
+  scheduleNext();
+  console.log(`Mail watcher started (every ${Math.round(options.interval / 1000)}s)`);
+}
+
+/**
+ * Stop the background watcher
+ */
+function stopWatcher() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startWatcher,
+  stopWatcher,
+  pollOnce
+};
@@ -0,0 +1,154 @@
+// OTP extraction corpus
+// Each case is a message as received (subject, text and/or HTML) with the codes the bot should show
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractCodes } = require('../lib/otp');
+
+const corpus = [
+  // Plain numeric codes
+  {
+    name: 'code after keyword',
+    message: {
+      subject: 'Verify your email',
+      content: 'Hi,\n\nYour verification code is 483920. It expires in 10 minutes.\n\n© 2024 Acme Inc.'
+    },
+    codes: ['483920']
+  },
+  {
+    name: 'code before keyword',
+    message: { subject: 'Sign in', content: '738201 is your Instagram code. Don\'t share it.' },
+    codes: ['738201']
+  },
+  {
+    name: 'short PIN',
+    message: { subject: 'Ihr Bestätigungscode', content: 'Bestätigungscode: 7731' },
+    codes: ['7731']
+  },
+
+  // Split by spaces or dashes
+  {
+    name: 'code split by a space',
+    message: { subject: 'Verify your email', content: 'Your verification code is 123 456. It expires soon.' },
+    codes: ['123456']
+  },
+  {
+    name: 'code split by a dash',
+    message: {
+      subject: 'Slack confirmation code: 482-913',
+      content: 'Your confirmation code is below.\n482-913\n500 Howard Street, San Francisco CA 94105'
+    },
+    codes: ['482-913']
+  },
+  {
+    name: 'eight digits split in halves',
+    message: { subject: 'Security alert', content: 'Use code 4829-1037 to continue' },
+    codes: ['4829-1037']
+  },
+  {
+    name: 'split code in HTML',
+    message: {
+      subject: '',
+      html: '<html><head><style>.x{color:#ff0000}</style></head><body><p>Your code</p><div><b>551 204</b></div></body></html>'
+    },
+    codes: ['551204']
+  },
+
+  // Alphanumeric
+  {
+    name: 'letters and digits',
+    message: { subject: 'Discord', content: 'Your one-time code: A7K9Q2' },
+    codes: ['A7K9Q2']
+  },
+  {
+    name: 'Spanish alphanumeric code',
+    message: { subject: 'Código de verificación', content: 'Tu código de verificación es 3F8K2P' },
+    codes: ['3F8K2P']
+  },
+
+  // Code in the subject
+  {
+    name: 'prefixed code in the subject only',
+    message: { subject: 'G-583920 is your Google verification code', content: 'Someone is trying to sign in.' },
+    codes: ['G-583920']
+  },
+  {
+    name: 'subject code comes first',
+    message: { subject: 'Your login code is 118822', content: 'Or use this backup code: 990011' },
+    codes: ['118822', '990011']
+  },
+
+  // Other languages
+  {
+    name: 'Indonesian',
+    message: { subject: 'Kode verifikasi Anda', content: 'Kode OTP Anda adalah 904512. Jangan berikan kode ini kepada siapa pun.' },
+    codes: ['904512']
+  },
+  {
+    name: 'Chinese',
+    message: { subject: '验证码', content: '您的验证码是 839201，5分钟内有效。' },
+    codes: ['839201']
+  },
+  {
+    name: 'Russian',
+    message: { subject: 'Подтверждение', content: 'Ваш код подтверждения: 250613' },
+    codes: ['250613']
+  },
+
+  // False positives
+  {
+    name: 'years',
+    message: { subject: 'Welcome', content: 'Thanks for joining in 2024.\n© 2019-2024 Example Ltd. All rights reserved.' },
+    codes: []
+  },
+  {
+    name: 'order numbers',
+    message: {
+      subject: 'Order #10045872 confirmed',
+      content: 'Thanks for your order 10045872 placed on 12 March 2024. Total: $49.99'
+    },
+    codes: []
+  },
+  {
+    name: 'invoice numbers',
+    message: { subject: 'Your invoice INV-2024-0042', content: 'Invoice number 2024-0042 is attached.' },
+    codes: []
+  },
+  {
+    name: 'phone numbers',
+    message: {
+      subject: 'Welcome',
+      content: 'Call us at +1 (800) 555-0199, 555-123-4567 or 0812-3456-7890.'
+    },
+    codes: []
+  },
+  {
+    name: 'phone number next to a code keyword',
+    message: { subject: 'Support', content: 'Lost your code? Call 555-0199.' },
+    codes: []
+  },
+  {
+    name: 'links, addresses and colours',
+    message: {
+      subject: 'Newsletter',
+      html: '<a href="https://example.com/track/938475">code</a> <span style="color:#123456">user482910@mail.com</span>'
+    },
+    codes: []
+  },
+  {
+    name: 'words with digits',
+    message: { subject: 'Release notes', content: 'The code now ships mp3s and v2beta builds.' },
+    codes: []
+  },
+  {
+    name: 'no message',
+    message: null,
+    codes: []
+  }
+];
+
+corpus.forEach(({ name, message, codes }) => {
+  test(name, () => {
+    assert.deepStrictEqual(extractCodes(message), codes);
+  });
+});
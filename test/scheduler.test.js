@@ -0,0 +1,71 @@
+// Request scheduler
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScheduler, parseRetryAfter } = require('../lib/scheduler');
+
+function rateLimited(retryAfter) {
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers: { 'retry-after': String(retryAfter) } };
+  return error;
+}
+
+function scheduler(options = {}) {
+  return createScheduler({
+    getApiKeys: () => ['a', 'b'],
+    getProxy: () => null,
+    getProxyCount: () => 0,
+    proxyRate: 100,
+    proxyBurst: 100,
+    ...options
+  });
+}
+
+test('parseRetryAfter reads seconds and dates', () => {
+  assert.strictEqual(parseRetryAfter({ 'retry-after': '30' }), 30000);
+  assert.strictEqual(parseRetryAfter({}), null);
+  const later = parseRetryAfter({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+  assert.ok(later > 8000 && later <= 10000);
+});
+
+test('interactive requests start before background ones', async () => {
+  const order = [];
+  const { schedule } = scheduler({ concurrency: 1 });
+  await Promise.all([
+    schedule(async () => order.push('first')),
+    schedule(async () => order.push('background'), { priority: 'background' }),
+    schedule(async () => order.push('interactive'))
+  ]);
+  assert.deepStrictEqual(order, ['first', 'interactive', 'background']);
+});
+
+test('a cooldown on one key does not stall another key', async () => {
+  // Two proxies, so the second one is free while the first backs off after the 429
+  const proxies = ['p1', 'p2'];
+  const { schedule } = scheduler({
+    getApiKeys: () => [],
+    getProxy: filter => proxies.find(filter) || null,
+    getProxyCount: () => proxies.length,
+    keyRate: 10,
+    keyBurst: 1
+  });
+
+  // Key a is refused once; its retry waits out the Retry-After
+  let limited;
+  const hit = new Promise(resolve => { limited = resolve; });
+  let calls = 0;
+  const paused = schedule(async () => {
+    if (calls++ > 0) return 'a';
+    limited();
+    throw rateLimited(0.6);
+  }, { apiKey: 'a' });
+  await hit;
+
+  // Key b only waits for its own refill (100 ms), not for key a
+  assert.strictEqual(await schedule(async () => 'b', { apiKey: 'b' }), 'b');
+  const start = Date.now();
+  assert.strictEqual(await schedule(async () => 'b', { apiKey: 'b' }), 'b');
+  assert.ok(Date.now() - start < 400, `waited ${Date.now() - start} ms`);
+
+  assert.strictEqual(await paused, 'a');
+});